@@ -10,7 +10,20 @@ const log = console.log
 const express = require('express')                  // Load express module
     
 const userRouter = require('./routers/userRouter')  // Load user routers
+const apiKeyRouter = require('./routers/apiKeyRouter')  // Load API key routers
 const taskRouter = require('./routers/taskRouter')  // Load task routers
+const bulkRouter = require('./routers/bulkRouter')  // Load bulk task routers
+const importExportRouter = require('./routers/importExportRouter')  // Load task import/export routers
+const tagRouter = require('./routers/tagRouter')    // Load tag routers
+const projectRouter = require('./routers/projectRouter')    // Load project routers
+const commentRouter = require('./routers/commentRouter')    // Load comment routers
+const attachmentRouter = require('./routers/attachmentRouter')  // Load attachment routers
+const notificationRouter = require('./routers/notificationRouter')  // Load notification routers
+const webhookRouter = require('./routers/webhookRouter')    // Load webhook routers
+const eventRouter = require('./routers/eventRouter')        // Load event stream routers
+const workspaceRouter = require('./routers/workspaceRouter')    // Load workspace routers
+const adminRouter = require('./routers/adminRouter')        // Load admin routers
+const { errorHandler, routeNotFound } = require('./middleware/errorHandler')   // Sends every error in the same format
 
 require('./db/mongoose')                            // Runs the file that connects to the mongoose database
 
@@ -21,12 +34,36 @@ require('./db/mongoose')                            // Runs the file that connec
 const app = express()                               // Initialize express app
 app.use(express.json())                             // Automatically parse incoming JSON into javascript objects
 
+if (process.env.TRUST_PROXY) {                      // Behind a proxy (TRUST_PROXY in the config), req.ip is the client's IP instead of the proxy's, rate limits count per client
+    const trustProxy = process.env.TRUST_PROXY
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy)
+}
+
 
 /**
  * Endpoints from routers
  */
 app.use(userRouter)                                 // User router
+app.use(apiKeyRouter)                               // API key router
+app.use(importExportRouter)                         // Task import/export router (before the task router so /tasks/export isn't read as /tasks/:id)
 app.use(taskRouter)                                 // Task router
+app.use(bulkRouter)                                 // Bulk task router
+app.use(tagRouter)                                  // Tag router
+app.use(projectRouter)                              // Project router
+app.use(commentRouter)                              // Comment router
+app.use(attachmentRouter)                           // Attachment router
+app.use(notificationRouter)                         // Notification router
+app.use(webhookRouter)                              // Webhook router
+app.use(eventRouter)                                // Event stream router
+app.use(workspaceRouter)                            // Workspace router
+app.use(adminRouter)                                // Admin router
+
+
+/**
+ * Errors (after every router)
+ */
+app.use(routeNotFound)                              // 404 for the requests no router handled
+app.use(errorHandler)                               // Sends the errors from the routers and middleware
 
 
 module.exports = app
\ No newline at end of file
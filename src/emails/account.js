@@ -3,6 +3,7 @@ const log = console.log
 const sgMail = require('@sendgrid/mail')
 
 const senderEmail = ''      // The email we will be sending from
+const appUrl = process.env.APP_URL || 'http://localhost:3000'      // Where the links in the emails point to (the web app)
 
 sgMail.setApiKey(process.env.SENDGRID_API_KEY)                  // sendgrid email API Key
 
@@ -40,7 +41,129 @@ const sendCancelEmail = (email, name) => {
         text: `We are sorry to see you go, ${name}. If there was any particular reason you chose to cancel, please feel free to give me any feedback you\'d like to provide.Hope you reconsider!`
     })
 }
+
+/**
+ * Description:
+ *      Sends a reminder about a Task (jobs/reminders.js)
+ * 
+ * @param email : The email of the user being reminded
+ * @param name : The name of the user being reminded
+ * @param task : The Task Document the reminder is for
+ * 
+ * Returns:
+ *      A promise that rejects if the email couldn't be sent
+ */
+const sendReminderEmail = (email, name, task) => {
+    const due = task.dueDate ? ` It is due ${task.dueDate.toUTCString()}.` : ''
+
+    return sgMail.send({
+        to: email,
+        from: senderEmail,
+        subject: `Reminder: ${task.description}`,
+        text: `Hi ${name}, this is your reminder for "${task.description}".${due}`
+    })
+}
+
+/**
+ * Description:
+ *      Sends the daily digest of the Tasks that are due today or overdue (jobs/reminders.js)
+ * 
+ * @param email : The email of the user
+ * @param name : The name of the user
+ * @param dueToday : The Task Documents due later today
+ * @param overdue : The Task Documents whose due date has passed
+ * 
+ * Returns:
+ *      A promise that rejects if the email couldn't be sent
+ */
+const sendDigestEmail = (email, name, dueToday, overdue) => {
+    const list = (tasks) => tasks.map((task) => `  - ${task.description} (due ${task.dueDate.toUTCString()})`).join('\n')
+    const sections = []
+
+    if (overdue.length > 0) {
+        sections.push(`Overdue:\n${list(overdue)}`)
+    }
+
+    if (dueToday.length > 0) {
+        sections.push(`Due today:\n${list(dueToday)}`)
+    }
+
+    return sgMail.send({
+        to: email,
+        from: senderEmail,
+        subject: 'Your tasks for today',
+        text: `Hi ${name}, here is what needs your attention today.\n\n${sections.join('\n\n')}`
+    })
+}
+
+/**
+ * Description:
+ *      Sends the link the user opens to confirm their email address (POST /users/verify)
+ * 
+ * @param email : The email to verify
+ * @param name : The name of the user
+ * @param token : The verification token
+ * 
+ * Returns:
+ *      A promise that rejects if the email couldn't be sent
+ */
+const sendVerificationEmail = (email, name, token) => {
+    return sgMail.send({
+        to: email,
+        from: senderEmail,
+        subject: 'Please confirm your email',
+        text: `Hi ${name}, please confirm your email address by opening this link: ${appUrl}/verify-email?token=${token}\nThe link expires in 24 hours.`
+    })
+}
+
+/**
+ * Description:
+ *      Sends the link the user opens to choose a new password (POST /users/password/reset)
+ * 
+ * @param email : The email of the user that forgot their password
+ * @param name : The name of the user
+ * @param token : The password reset token
+ * 
+ * Returns:
+ *      A promise that rejects if the email couldn't be sent
+ */
+const sendPasswordResetEmail = (email, name, token) => {
+    return sgMail.send({
+        to: email,
+        from: senderEmail,
+        subject: 'Reset your password',
+        text: `Hi ${name}, you can choose a new password by opening this link: ${appUrl}/reset-password?token=${token}\nThe link expires in 1 hour. If you didn't ask to reset your password you can ignore this email.`
+    })
+}
+
+/**
+ * Description:
+ *      Invites someone to a Workspace, they accept it with POST /invitations/:id/accept
+ *      (after logging in or signing up with this email and verifying it)
+ * 
+ * @param email : The email the invitation was sent to
+ * @param workspaceName : The name of the Workspace
+ * @param inviterName : The name of the member who sent the invitation
+ * @param invitationId : The _id of the invitation
+ * 
+ * Returns:
+ *      A promise that rejects if the email couldn't be sent
+ */
+const sendWorkspaceInvitationEmail = (email, workspaceName, inviterName, invitationId) => {
+    return sgMail.send({
+        to: email,
+        from: senderEmail,
+        subject: `${inviterName} invited you to ${workspaceName}`,
+        text: `Hi, ${inviterName} invited you to join the workspace ${workspaceName}. Open this link to accept or decline: ${appUrl}/invitations/${invitationId}\nThe invitation expires in 7 days.`
+    })
+}
+
 module.exports = {
     sendWelcomeEmail,
-    sendCancelEmail
+    sendCancelEmail,
+    sendReminderEmail,
+    sendDigestEmail,
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    sendWorkspaceInvitationEmail
 }
\ No newline at end of file
@@ -1,9 +1,16 @@
 const log = console.log
 
 const app = require('./app')                    // Get our express server app
+const { startTrashPurge } = require('./jobs/trashPurge')
+const { startReminderScheduler } = require('./jobs/reminders')
+const { startWebhookDelivery } = require('./jobs/webhooks')
 
 const PORT = process.env.PORT                   // Get the port
 
 app.listen(PORT, () => {                        // Run the server
     log('Server is running on port ', PORT)
+
+    startTrashPurge()                           // Permanently delete Tasks that have been in the trash for too long
+    startReminderScheduler()                    // Send task reminders and daily digests
+    startWebhookDelivery()                      // Retry the webhook deliveries that failed
 })
\ No newline at end of file
@@ -0,0 +1,158 @@
+const log = console.log
+
+const Task = require('../models/task')
+const User = require('../models/user')
+const Notification = require('../models/notification')
+const { sendReminderEmail, sendDigestEmail } = require('../emails/account')
+
+const checkInterval = 60 * 1000                 // Look for due reminders and digests every minute
+const batchSize = 100                           // The most reminders (or digests) sent in one check, the rest wait for the next one
+
+/**
+ * Description:
+ *      Sends a reminder to the owner and the assignee of the Task, both as an email and an in-app Notification
+ *
+ * Parameters:
+ *      @param task: The Task Document the reminder is for
+ */
+const deliverReminder = async (task) => {
+    const recipients = await User.find({ _id: { $in: [task.owner, task.assignee].filter((id) => id) } })
+
+    for (const user of recipients) {
+        await new Notification({
+            type: 'reminder',
+            message: `Reminder: ${task.description}`,
+            task: task._id,
+            user: user._id
+        }).save()
+
+        try {
+            await sendReminderEmail(user.email, user.name, task)
+        } catch (e) {
+            log(`Unable to email the reminder for task ${task._id}: ${e.message}`)
+        }
+    }
+}
+
+/**
+ * Description:
+ *      Sends the reminders that are due on open Tasks.
+ *      Each reminder is claimed (sentAt is set) with a single atomic update before it is sent,
+ *      so it is only sent once even after a restart or with several instances of the server running.
+ *
+ * Returns:
+ *      The number of reminders sent
+ */
+const sendDueReminders = async () => {
+    let sent = 0
+
+    while (sent < batchSize) {
+        const now = new Date()
+        const task = await Task.findOneAndUpdate({                  // Returns the Task as it was before the reminder was claimed
+            completed: false,
+            deletedAt: null,
+            reminders: { $elemMatch: { remindAt: { $lte: now }, sentAt: null } }
+        }, {
+            $set: { 'reminders.$.sentAt': now }
+        })
+
+        if (!task) {
+            break
+        }
+
+        await deliverReminder(task)
+        sent++
+    }
+
+    return sent
+}
+
+/**
+ * Description:
+ *      Emails the daily digest (Tasks due today and overdue Tasks) to the Users that turned it on, once their digest hour has come.
+ *      Like reminders, each User is claimed (lastDigestAt is set) before the digest is sent so it is only sent once a day.
+ *
+ * Returns:
+ *      The number of Users that were checked for a digest
+ */
+const sendDailyDigests = async () => {
+    let checked = 0
+
+    while (checked < batchSize) {
+        const now = new Date()
+        const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()))
+        const tomorrow = new Date(today.getTime() + 24 * 60 * 60 * 1000)
+
+        const user = await User.findOneAndUpdate({
+            dailyDigest: true,
+            digestHour: { $lte: now.getUTCHours() },
+            lastDigestAt: { $not: { $gte: today } }                 // Not sent yet today (or never sent)
+        }, {
+            $set: { lastDigestAt: now }
+        })
+
+        if (!user) {
+            break
+        }
+
+        checked++
+
+        const tasks = await Task.find({
+            $or: [{ owner: user._id }, { assignee: user._id }],
+            completed: false,
+            dueDate: { $lt: tomorrow }
+        }).sort({ dueDate: 1 })
+
+        if (tasks.length === 0) {                                   // Nothing to do today, no need for an email
+            continue
+        }
+
+        try {
+            await sendDigestEmail(
+                user.email,
+                user.name,
+                tasks.filter((task) => task.dueDate >= now),
+                tasks.filter((task) => task.dueDate < now)
+            )
+        } catch (e) {
+            log(`Unable to email the daily digest to user ${user._id}: ${e.message}`)
+        }
+    }
+
+    return checked
+}
+
+/**
+ * Description:
+ *      Starts sending reminders and daily digests in the background, called once when the server starts (index.js)
+ */
+const startReminderScheduler = () => {
+    let running = false                         // Don't start a check while the last one is still going
+
+    const run = async () => {
+        if (running) {
+            return
+        }
+
+        running = true
+
+        try {
+            await sendDueReminders()
+            await sendDailyDigests()
+        } catch (e) {
+            log('Unable to send reminders: ' + e.message)
+        }
+
+        running = false
+    }
+
+    run()
+    setInterval(run, checkInterval)
+}
+
+
+module.exports = {
+    sendDueReminders,
+    sendDailyDigests,
+    startReminderScheduler
+}
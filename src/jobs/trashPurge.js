@@ -0,0 +1,39 @@
+const log = console.log
+
+const Task = require('../models/task')
+
+// How many days Tasks stay in the trash before they are permanently deleted (TRASH_RETENTION_DAYS in the config)
+const retentionDays = parseInt(process.env.TRASH_RETENTION_DAYS) || 30
+const checkInterval = 60 * 60 * 1000            // Look for expired Tasks every hour
+
+/**
+ * Description:
+ *      Permanently deletes the Tasks that have been in the trash for longer than the retention period
+ */
+const purgeExpiredTrash = async () => {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000)
+    const count = await Task.purgeTrash({ deletedAt: { $lt: cutoff } })
+
+    if (count > 0) {
+        log(`Purged ${count} task(s) from the trash`)
+    }
+}
+
+/**
+ * Description:
+ *      Starts purging the trash in the background, called once when the server starts (index.js)
+ */
+const startTrashPurge = () => {
+    const run = () => {
+        purgeExpiredTrash().catch((e) => log('Unable to purge the trash: ' + e.message))
+    }
+
+    run()
+    setInterval(run, checkInterval)
+}
+
+
+module.exports = {
+    purgeExpiredTrash,
+    startTrashPurge
+}
@@ -0,0 +1,244 @@
+const log = console.log
+
+const http = require('http')
+const https = require('https')
+const crypto = require('crypto')
+const Webhook = require('../models/webhook')
+const WebhookDelivery = require('../models/webhookDelivery')
+const { publicLookup, checkPublicUrl } = require('../utils/network')
+
+const maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6     // Attempts before a delivery fails for good
+const firstRetryDelay = 30 * 1000               // The delay doubles after every failed attempt (30s, 1m, 2m, 4m, ...)
+const requestTimeout = 10 * 1000                // How long the receiver has to answer
+const leaseTime = 60 * 1000                     // How long a claimed delivery is held before another instance may retry it
+const checkInterval = 15 * 1000                 // Look for deliveries to retry every 15 seconds
+
+/**
+ * Description:
+ *      Signs a payload with the Webhook's secret. Receivers check the X-Webhook-Signature header by computing
+ *      the HMAC-SHA256 of '<X-Webhook-Timestamp>.<raw body>' with their copy of the secret.
+ *
+ * Returns:
+ *      The signature (example: sha256=5d41402abc4b2a76b9719d911017c592...)
+ */
+const signPayload = (secret, timestamp, body) => {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+}
+
+/**
+ * Description:
+ *      POSTs a JSON body to a URL. Unless private URLs are allowed (see models/webhook.js), the request fails
+ *      if the URL points to a private address, checked when the request connects so the URL can't be changed to point
+ *      there after it was saved (or by its DNS).
+ *
+ * Returns:
+ *      A promise that resolves with the response's status code, or rejects if the receiver couldn't be reached
+ */
+const postJson = (url, body, headers) => new Promise((resolve, reject) => {
+    const target = new URL(url)
+    const client = target.protocol === 'https:' ? https : http
+    const publicOnly = !Webhook.privateUrlsAllowed()
+
+    if (publicOnly) {
+        checkPublicUrl(url)                     // Throwing rejects the promise
+    }
+
+    const request = client.request(target, {
+        method: 'POST',
+        timeout: requestTimeout,
+        lookup: publicOnly ? publicLookup : undefined,
+        headers: {
+            ...headers,
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body)
+        }
+    }, (response) => {
+        response.resume()                       // The response body isn't needed
+        response.on('end', () => resolve(response.statusCode))
+    })
+
+    request.on('timeout', () => request.destroy(new Error('The receiver took too long to respond')))
+    request.on('error', reject)
+    request.end(body)
+})
+
+/**
+ * Description:
+ *      Makes one attempt at sending a delivery to its Webhook and saves the result in the delivery log.
+ *      Failed deliveries are retried later with exponential backoff until maxAttempts is reached.
+ *
+ * Parameters:
+ *      @param delivery: The WebhookDelivery Document, claimed by the caller
+ *
+ * Returns:
+ *      The updated WebhookDelivery Document
+ */
+const attemptDelivery = async (delivery) => {
+    const webhook = await Webhook.findById(delivery.webhook)
+
+    if (!webhook) {                             // The Webhook was deleted in the meantime
+        delivery.status = 'failed'
+        delivery.nextAttemptAt = undefined
+        return delivery.save()
+    }
+
+    const body = JSON.stringify(delivery.payload)
+    const timestamp = Math.floor(Date.now() / 1000)
+    const started = Date.now()
+    const attempt = { at: new Date() }
+
+    try {
+        attempt.responseStatus = await postJson(webhook.url, body, {
+            'User-Agent': 'Task-Manager-Webhooks',
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Delivery': delivery._id.toString(),
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+        })
+
+        if (attempt.responseStatus < 200 || attempt.responseStatus >= 300) {
+            attempt.error = `The receiver responded with ${attempt.responseStatus}`
+        }
+    } catch (e) {
+        attempt.error = e.message || 'Unable to reach the receiver'
+    }
+
+    attempt.duration = Date.now() - started
+    delivery.attempts.push(attempt)
+
+    if (!attempt.error) {
+        delivery.status = 'succeeded'
+        delivery.nextAttemptAt = undefined
+    } else if (delivery.attempts.length >= maxAttempts) {
+        delivery.status = 'failed'
+        delivery.nextAttemptAt = undefined
+    } else {
+        delivery.nextAttemptAt = new Date(Date.now() + firstRetryDelay * Math.pow(2, delivery.attempts.length - 1))
+    }
+
+    return delivery.save()
+}
+
+/**
+ * Description:
+ *      Claims a pending delivery that is due, so that only one instance of the server sends it.
+ *      The claim moves nextAttemptAt forward, if the instance stops before saving the attempt the delivery is retried after the lease.
+ *
+ * Parameters:
+ *      @param filter: Optional extra conditions (example: { _id })
+ *
+ * Returns:
+ *      The claimed WebhookDelivery Document, or null if there is nothing to send
+ */
+const claimDelivery = (filter = { }) => {
+    const now = new Date()
+
+    return WebhookDelivery.findOneAndUpdate(
+        { ...filter, status: 'pending', nextAttemptAt: { $lte: now } },
+        { $set: { nextAttemptAt: new Date(now.getTime() + leaseTime) } },
+        { new: true }
+    )
+}
+
+/**
+ * Description:
+ *      Sends an event to every active Webhook of the User that subscribed to it.
+ *      The deliveries are saved first and sent in the background, so a slow receiver doesn't slow down the request.
+ *      Never throws, a failure to queue the event is only logged.
+ *
+ * Parameters:
+ *      @param userId: The ObjectId of the User whose Webhooks receive the event
+ *      @param event: One of Webhook.WEBHOOK_EVENTS (example: 'task.created')
+ *      @param data: The object the event is about (example: { task })
+ */
+const emitEvent = async (userId, event, data) => {
+    try {
+        const webhooks = await Webhook.find({ owner: userId, active: true, events: event })
+
+        for (const webhook of webhooks) {
+            const delivery = new WebhookDelivery({ event, webhook: webhook._id, nextAttemptAt: new Date() })
+            delivery.payload = { id: delivery._id, event, createdAt: new Date(), data: JSON.parse(JSON.stringify(data)) }
+            await delivery.save()
+
+            claimDelivery({ _id: delivery._id })
+                .then((claimed) => claimed && attemptDelivery(claimed))
+                .catch((e) => log(`Unable to deliver webhook ${delivery._id}: ${e.message}`))
+        }
+    } catch (e) {
+        log(`Unable to send the ${event} event to webhooks: ${e.message}`)
+    }
+}
+
+/**
+ * Description:
+ *      Sends a test ('ping') event to a Webhook right away and waits for the result
+ *
+ * Parameters:
+ *      @param webhook: The Webhook Document
+ *
+ * Returns:
+ *      The WebhookDelivery Document with the result of the first attempt
+ */
+const sendTestEvent = async (webhook) => {
+    const delivery = new WebhookDelivery({ event: 'ping', webhook: webhook._id, nextAttemptAt: new Date() })
+    delivery.payload = { id: delivery._id, event: 'ping', createdAt: new Date(), data: { webhook: webhook._id } }
+    await delivery.save()
+
+    const claimed = await claimDelivery({ _id: delivery._id })
+
+    return attemptDelivery(claimed || delivery)
+}
+
+/**
+ * Description:
+ *      Retries the deliveries that failed earlier and are due again
+ *
+ * Returns:
+ *      The number of deliveries that were attempted
+ */
+const retryDueDeliveries = async () => {
+    let attempted = 0
+    let delivery
+
+    while ((delivery = await claimDelivery())) {
+        await attemptDelivery(delivery)
+        attempted++
+    }
+
+    return attempted
+}
+
+/**
+ * Description:
+ *      Starts retrying failed webhook deliveries in the background, called once when the server starts (index.js)
+ */
+const startWebhookDelivery = () => {
+    let running = false                         // Don't start a check while the last one is still going
+
+    const run = async () => {
+        if (running) {
+            return
+        }
+
+        running = true
+
+        try {
+            await retryDueDeliveries()
+        } catch (e) {
+            log('Unable to retry webhook deliveries: ' + e.message)
+        }
+
+        running = false
+    }
+
+    setInterval(run, checkInterval)
+}
+
+
+module.exports = {
+    signPayload,
+    emitEvent,
+    sendTestEvent,
+    retryDueDeliveries,
+    startWebhookDelivery
+}
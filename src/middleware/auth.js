@@ -2,7 +2,35 @@ const log = console.log
 
 const jwt = require('jsonwebtoken')
 const User = require('../models/user')
+const ApiKey = require('../models/apiKey')
+const { unauthorized, forbidden } = require('../utils/errors')
 
+const accountDisabled = 'This account has been disabled'
+const lastUsedPrecision = 60 * 1000        // Only save when a session (or API key) was last used once a minute, not on every request
+
+/**
+ * Description:
+ *      Authenticates a request made with a personal API key instead of a JWT.
+ *      What the key is allowed to do is checked by each route (middleware/scope.js).
+ * 
+ * Returns:
+ *      { user, apiKey }, or {} if the key isn't valid
+ */
+const findApiKeyUser = async (key) => {
+    const apiKey = await ApiKey.findByKey(key)
+    const user = apiKey && await User.findById(apiKey.owner)
+
+    if (!user) {
+        return { }
+    }
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt > lastUsedPrecision) {
+        apiKey.lastUsedAt = new Date()
+        await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: apiKey.lastUsedAt })
+    }
+
+    return { user, apiKey }
+}
 
 const auth = async (req, res, next) => {
     log('\nAuth middleware starting...')
@@ -13,18 +41,47 @@ const auth = async (req, res, next) => {
     try {
         // Get the token in the header from the user's request
         const token = req.header('Authorization').replace('Bearer ', '')                // DON'T FORGET THE SPACE AFTER Bearer
+
+        if (ApiKey.isApiKey(token)) {                                                   // Scripts can use an API key instead of logging in
+            const { user, apiKey } = await findApiKeyUser(token)
+
+            if (!user) {
+                throw new Error()
+            }
+
+            if (user.disabled) {
+                return next(forbidden(accountDisabled))
+            }
+
+            req.user = user
+            req.apiKey = apiKey                                                             // Add the API key so that the routes can check its scopes
+            return next()
+        }
+
         const decoded = jwt.verify(token, process.env.JWT_SECRET)                              // Check if token is valid
         const user = await User.findOne({ _id: decoded._id, 'tokens.token': token })    // Find the user based on the _id AND token
         
         if (!user) {                                                                    // If the _id or token doesn't exist
             throw new Error()                                                               // throw error
         }
+
+        if (user.disabled) {                                                            // Disabled by an admin
+            return next(forbidden(accountDisabled))
+        }
         
+        const session = user.tokens.find((session) => session.token === token)         // The session (device) the token belongs to
+
+        if (!session.lastUsedAt || Date.now() - session.lastUsedAt > lastUsedPrecision) {
+            session.lastUsedAt = new Date()
+            await User.updateOne({ _id: user._id, 'tokens._id': session._id }, { $set: { 'tokens.$.lastUsedAt': session.lastUsedAt } }, { timestamps: false })
+        }
+
         req.user = user                                                                 // Add the User Document into the req so that it can be passed to the router
         req.token = token                                                               // Add the token into the req so that it can be passed to the router
+        req.session = session                                                           // Add the session so that the router knows which device made the request
         next()
     } catch (e) {
-        res.status(401).send( { error:'Authentication failed' } )
+        next(unauthorized('Authentication failed'))
     }
 
     
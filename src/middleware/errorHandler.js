@@ -0,0 +1,35 @@
+const log = console.log
+
+const { toApiError, sendError, notFound } = require('../utils/errors')
+
+/**
+ * Description:
+ *      Sends back every error passed to next() (or thrown by a synchronous route) in the API's error format
+ *      (see utils/errors.js). Errors the client didn't cause are logged, their internals are never sent.
+ *      Goes after all the routers in app.js.
+ */
+const errorHandler = (error, req, res, next) => {
+    if (res.headersSent) {                                  // Too late to send an error, let express close the connection
+        return next(error)
+    }
+
+    if (toApiError(error).status >= 500) {
+        log(`Error in ${req.method} ${req.path}:`, error)
+    }
+
+    sendError(res, error)
+}
+
+/**
+ * Description:
+ *      Sends a 404 for the requests no router handled
+ */
+const routeNotFound = (req, res, next) => {
+    next(notFound(`There is no ${req.method} ${req.path} route`))
+}
+
+
+module.exports = {
+    errorHandler,
+    routeNotFound
+}
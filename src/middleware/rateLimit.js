@@ -0,0 +1,132 @@
+const log = console.log
+
+const store = require('../rateLimit')
+const { ApiError } = require('../utils/errors')
+
+const minute = 60 * 1000
+
+// Progressive lockout of accounts after failed logins (LOGIN_MAX_FAILURES in the config)
+const maxFailures = parseInt(process.env.LOGIN_MAX_FAILURES) || 5          // Failed attempts before the account is locked
+const failureWindow = 15 * minute                                           // The failed attempts are counted over this long
+const lockoutBase = minute                                                  // The first lockout, each one after it is twice as long
+const lockoutMax = 60 * minute
+const lockoutMemory = 24 * 60 * minute                                      // How long earlier lockouts count towards the next one
+
+/**
+ * Description:
+ *      Creates a 429 Too Many Requests error with the Retry-After header (in seconds)
+ * 
+ * Parameters:
+ *      @param resetAt: The Date the client can try again
+ *      @param message: The error sent back
+ */
+const tooManyRequests = (resetAt, message = 'Too many requests, please try again later') => {
+    const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))
+
+    return new ApiError(429, message, { headers: { 'Retry-After': String(retryAfter) } })
+}
+
+/**
+ * Description:
+ *      Creates a middleware that allows a number of requests per window for each key (the client's IP by default).
+ *      The X-RateLimit-Limit, X-RateLimit-Remaining and X-RateLimit-Reset (seconds since the epoch) headers are sent back.
+ *      If the counter store fails, the request is let through rather than locking everyone out.
+ * 
+ * Parameters:
+ *      @param name: Keeps the counters of different limits apart (example: 'login')
+ *      @param max: The requests allowed per window
+ *      @param windowMs: How long a window lasts
+ *      @param keyOf: Returns what is counted for a request (goes after the auth middleware when it uses req.user)
+ * 
+ * EXAMPLE:
+ *      const loginLimit = rateLimit({ name: 'login', max: 20, windowMs: 15 * 60 * 1000 })
+ *      router.post('/users/login', loginLimit, async (req, res) => { ... })
+ */
+const rateLimit = ({ name, max, windowMs, keyOf = (req) => req.ip }) => async (req, res, next) => {
+    let counter
+
+    try {
+        counter = await store.increment(`${name}:${keyOf(req)}`, windowMs)
+    } catch (e) {
+        log('Unable to count the request: ' + e.message)
+        return next()
+    }
+
+    res.set({
+        'X-RateLimit-Limit': String(max),
+        'X-RateLimit-Remaining': String(Math.max(0, max - counter.count)),
+        'X-RateLimit-Reset': String(Math.ceil(counter.resetAt / 1000))
+    })
+
+    if (counter.count > max) {
+        return next(tooManyRequests(counter.resetAt))
+    }
+
+    next()
+}
+
+/**
+ * Description:
+ *      The request quota of each User on the task routes (TASK_RATE_LIMIT requests every 15 minutes in the config).
+ *      Requests made with the User's API keys count towards it too. Goes after the auth middleware.
+ */
+const taskQuota = rateLimit({
+    name: 'tasks',
+    max: parseInt(process.env.TASK_RATE_LIMIT) || 1000,
+    windowMs: 15 * minute,
+    keyOf: (req) => req.user._id
+})
+
+/**
+ * Description:
+ *      Checks if an account is locked because of failed logins
+ * 
+ * Parameters:
+ *      @param account: The account being logged into (example: the email)
+ * 
+ * Returns:
+ *      The Date the lockout ends, or null if the account isn't locked
+ */
+const lockedUntil = async (account) => {
+    const lockout = await store.get(`lockout:${account}`)
+
+    return lockout && lockout.resetAt
+}
+
+/**
+ * Description:
+ *      Counts a failed login. After LOGIN_MAX_FAILURES the account is locked for a minute,
+ *      and every lockout in the next 24 hours is twice as long as the one before (up to an hour).
+ */
+const recordLoginFailure = async (account) => {
+    const failures = await store.increment(`login-failures:${account}`, failureWindow)
+
+    if (failures.count < maxFailures) {
+        return
+    }
+
+    const lockouts = await store.increment(`lockouts:${account}`, lockoutMemory)
+    const duration = Math.min(lockoutBase * Math.pow(2, lockouts.count - 1), lockoutMax)
+
+    await store.reset(`login-failures:${account}`)
+    await store.increment(`lockout:${account}`, duration)
+}
+
+/**
+ * Description:
+ *      Forgets the failed logins of an account after a successful login
+ */
+const clearLoginFailures = async (account) => {
+    await store.reset(`login-failures:${account}`)
+    await store.reset(`lockouts:${account}`)
+}
+
+
+module.exports = {
+    rateLimit,
+    taskQuota,
+    tooManyRequests,
+    lockedUntil,
+    recordLoginFailure,
+    clearLoginFailures
+}
@@ -0,0 +1,55 @@
+const log = console.log
+
+const { forbidden } = require('../utils/errors')
+
+/**
+ * Description:
+ *      Creates a middleware that only lets requests made with an API key through if the key has the scope.
+ *      Requests made with a login (JWT) can do everything. Goes after the auth middleware.
+ * 
+ * Parameters:
+ *      @param scope: One of ApiKey.SCOPES (example: 'tasks:read')
+ * 
+ * EXAMPLE:
+ *      router.get('/tasks', auth, requireScope('tasks:read'), async (req, res) => { ... })
+ */
+const requireScope = (scope) => (req, res, next) => {
+    if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+        return next(forbidden(`This API key doesn't have the ${scope} scope`))
+    }
+
+    next()
+}
+
+/**
+ * Description:
+ *      Middleware for the account and security routes (sessions, passwords, API keys, ...) that can't be used with an API key.
+ *      Goes after the auth middleware.
+ */
+const sessionOnly = (req, res, next) => {
+    if (req.apiKey) {
+        return next(forbidden('API keys can\'t be used for this, please log in'))
+    }
+
+    next()
+}
+
+/**
+ * Description:
+ *      Middleware for the /admin routes, only admins logged in with a session get through (not their API keys).
+ *      Goes after the auth middleware.
+ */
+const adminOnly = (req, res, next) => {
+    if (req.apiKey || req.user.role !== 'admin') {
+        return next(forbidden('Only admins can do this'))
+    }
+
+    next()
+}
+
+
+module.exports = {
+    requireScope,
+    sessionOnly,
+    adminOnly
+}
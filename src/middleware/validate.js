@@ -0,0 +1,191 @@
+const log = console.log
+
+const validator = require('validator')
+const { validationFailed } = require('../utils/errors')
+
+// The checks for each type of field, and how they are described in the error messages
+const types = {
+    string: { check: (value) => typeof value === 'string', name: 'a string' },
+    number: { check: (value) => typeof value === 'number' && isFinite(value), name: 'a number' },
+    integer: { check: (value) => Number.isInteger(value), name: 'a whole number' },
+    boolean: { check: (value) => typeof value === 'boolean', name: 'true or false' },
+    date: { check: (value) => ['string', 'number'].includes(typeof value) && !isNaN(new Date(value).getTime()), name: 'a valid date' },
+    objectId: { check: (value) => typeof value === 'string' && /^[0-9a-fA-F]{24}$/.test(value), name: 'a valid id' },
+    email: { check: (value) => typeof value === 'string' && validator.isEmail(value.trim()), name: 'a valid email' },
+    array: { check: (value) => Array.isArray(value), name: 'an array' },
+    object: { check: (value) => typeof value === 'object' && value !== null && !Array.isArray(value), name: 'an object' }
+}
+
+/**
+ * Description:
+ *      URL queries are always strings, so numbers and booleans are read from them before they are checked
+ */
+const fromQuery = (value, type) => {
+    if (typeof value !== 'string') {
+        return value                                                    // Repeated (?a=1&a=2) or nested (?a[b]=1) queries fail the check
+    }
+
+    if ((type === 'integer' || type === 'number') && value.trim() !== '' && !isNaN(Number(value))) {
+        return Number(value)
+    }
+
+    if (type === 'boolean' && ['true', 'false'].includes(value)) {
+        return value === 'true'
+    }
+
+    return value
+}
+
+/**
+ * Description:
+ *      Checks one value against its rule
+ * 
+ * Returns:
+ *      The problem with the value, or undefined if it is valid
+ */
+const checkValue = (field, value, rule) => {
+    if (value === undefined) {
+        return rule.required ? `${field} is required` : undefined
+    }
+
+    if (value === null) {
+        return rule.nullable ? undefined : `${field} can't be null`
+    }
+
+    if (!types[rule.type].check(value)) {
+        return `${field} must be ${types[rule.type].name}`
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        return `${field} must be one of: ${rule.enum.join(', ')}`
+    }
+
+    if (rule.min !== undefined && value < rule.min) {
+        return `${field} must be at least ${rule.min}`
+    }
+
+    if (rule.max !== undefined && value > rule.max) {
+        return `${field} must be at most ${rule.max}`
+    }
+
+    const length = typeof value === 'string' ? value.trim().length : value.length
+    const unit = typeof value === 'string' ? 'characters' : 'items'
+
+    if (rule.minLength !== undefined && length < rule.minLength) {
+        return rule.minLength === 1 ? `${field} can't be empty` : `${field} must have at least ${rule.minLength} ${unit}`
+    }
+
+    if (rule.maxLength !== undefined && length > rule.maxLength) {
+        return `${field} must have at most ${rule.maxLength} ${unit}`
+    }
+
+    if (rule.items) {
+        for (let i = 0; i < value.length; i++) {
+            const problem = checkValue(`${field}.${i}`, value[i], { required: true, ...rule.items })
+
+            if (problem) {
+                return problem
+            }
+        }
+    }
+
+    if (rule.values) {
+        for (const key of Object.keys(value)) {
+            const problem = checkValue(`${field}.${key}`, value[key], { required: true, ...rule.values })
+
+            if (problem) {
+                return problem
+            }
+        }
+    }
+}
+
+/**
+ * Description:
+ *      Checks the fields of an object against a schema (see validate() below for the rules)
+ * 
+ * Parameters:
+ *      @param values: The object to check (example: req.body)
+ *      @param schema: Maps the field names to their rule
+ *      @param location: 'params', 'query' or 'body', fields that aren't in the schema are only allowed in params and query
+ * 
+ * Returns:
+ *      The problems as [{ field, location, message }], empty if the object is valid
+ */
+const checkFields = (values, schema, location) => {
+    const details = []
+
+    Object.keys(schema).forEach((field) => {
+        const rule = schema[field]
+        const value = location === 'body' ? values[field] : fromQuery(values[field], rule.type)
+        const message = checkValue(field, value, rule)
+
+        if (message) {
+            details.push({ field, location, message })
+        }
+    })
+
+    if (location === 'body') {
+        Object.keys(values).filter((field) => !schema[field]).forEach((field) => {
+            details.push({ field, location, message: `${field} is not allowed` })
+        })
+    }
+
+    return details
+}
+
+/**
+ * Description:
+ *      Creates a middleware that checks the request's URL parameters, URL queries and body against schemas.
+ *      Every problem is sent back at once as a 400 validation_failed error (see utils/errors.js).
+ *      Fields in the body that aren't in its schema aren't allowed, unknown URL queries are ignored.
+ * 
+ * Parameters:
+ *      @param schemas: { params, query, body }, each maps the field names to their rule:
+ *          type: string, number, integer, boolean, date, objectId, email, array or object
+ *          required: The field has to be there
+ *          nullable: The field can be null (to clear it)
+ *          enum: The allowed values
+ *          min, max: For numbers
+ *          minLength, maxLength: For strings (trimmed) and arrays
+ *          items: The rule for every item of an array
+ *          values: The rule for every value of an object
+ * 
+ * EXAMPLE:
+ *      router.patch('/tasks/:id', auth, validate({ params: idParams, body: { description: { type: 'string', minLength: 1 } } }), async (req, res, next) => { ... })
+ */
+const validate = (schemas) => (req, res, next) => {
+    const details = []
+
+    Object.keys(schemas).forEach((location) => {
+        const schema = schemas[location]
+        const values = req[location]
+
+        if (location === 'body' && !types.object.check(values)) {
+            return details.push({ field: 'body', location, message: 'The body must be a JSON object' })
+        }
+
+        details.push(...checkFields(values, schema, location))
+    })
+
+    if (details.length > 0) {
+        return next(validationFailed(details))
+    }
+
+    next()
+}
+
+// The schemas most routes share
+const idParams = { id: { type: 'objectId', required: true } }          // /:id
+const pagination = {                                                    // ?limit=10&skip=20
+    limit: { type: 'integer', min: 0 },
+    skip: { type: 'integer', min: 0 }
+}
+
+
+module.exports = {
+    validate,
+    checkFields,
+    idParams,
+    pagination
+}
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose')
+const crypto = require('crypto')
+
+// What an API key can be allowed to do, every route that accepts API keys needs one of these (middleware/scope.js)
+const SCOPES = [
+    'tasks:read', 'tasks:write',                    // Tasks, subtasks, comments, attachments and tags
+    'projects:read', 'projects:write',
+    'profile:read', 'profile:write',
+    'notifications:read', 'notifications:write',
+    'webhooks:read', 'webhooks:write',
+    'workspaces:read', 'workspaces:write'           // Workspaces, their members and invitations (their Tasks use the tasks scopes)
+]
+
+const keyPrefix = 'tm_'                         // Lets the auth middleware tell API keys apart from JWTs
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex')
+
+// A personal API key, used by scripts instead of logging in with the User's password
+const apiKeySchema = new mongoose.Schema({
+    name: {                                     // Example: "Backup script"
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    keyHash: {                                  // Only the hash of the key is saved, the key is shown once when it is created
+        type: String,
+        required: true,
+        unique: true
+    },
+    hint: {                                     // The start of the key, so the User can tell their keys apart
+        type: String
+    },
+    scopes: {
+        type: [{ type: String, enum: SCOPES }],
+        validate: {
+            validator: (value) => value.length > 0,
+            message: 'An API key needs at least one scope'
+        }
+    },
+    expiresAt: {                                // Optional, the key stops working after this
+        type: Date
+    },
+    lastUsedAt: {
+        type: Date
+    },
+    owner: {                                    // RELATIONSHIP TO USER
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'User'
+    }
+}, {
+    timestamps: true                            // Enable timestamps on ApiKey objects
+})
+
+/**
+ * Description:
+ *      Hides the hash of the key before the ApiKey is sent back to the user
+ *
+ * Returns:
+ *      A modified copy of the ApiKey Document
+ */
+apiKeySchema.methods.toJSON = function () {
+    const publicKey = this.toObject()
+
+    delete publicKey.keyHash
+
+    return publicKey
+}
+
+/**
+ * Description:
+ *      Creates a new random key for the ApiKey (the ApiKey still needs to be saved)
+ *
+ * Returns:
+ *      The key, it can't be shown again after this
+ */
+apiKeySchema.methods.generateKey = function () {
+    const apiKey = this
+    const key = keyPrefix + crypto.randomBytes(24).toString('hex')
+
+    apiKey.keyHash = hashKey(key)
+    apiKey.hint = key.slice(0, keyPrefix.length + 6)
+
+    return key
+}
+
+/**
+ * Description:
+ *      Finds the ApiKey Document for a key, if it hasn't expired
+ *
+ * Returns:
+ *      The ApiKey Document, or null if the key isn't valid
+ */
+apiKeySchema.statics.findByKey = async (key) => {
+    const apiKey = await ApiKey.findOne({ keyHash: hashKey(key) })
+
+    if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= Date.now())) {
+        return null
+    }
+
+    return apiKey
+}
+
+/**
+ * Description:
+ *      Checks if a token from the Authorization header is an API key (instead of a JWT)
+ */
+apiKeySchema.statics.isApiKey = (token) => token.startsWith(keyPrefix)
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema)
+
+ApiKey.SCOPES = SCOPES
+
+
+module.exports = ApiKey
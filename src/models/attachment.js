@@ -0,0 +1,87 @@
+const mongoose = require('mongoose')
+const storage = require('../storage')
+
+
+// Only the information about the file is saved in this collection
+// The file itself is saved in the storage picked in storage/index.js so the Documents stay small
+const attachmentSchema = new mongoose.Schema({
+    filename: {                                 // The original name of the uploaded file
+        type: String,
+        required: true,
+        trim: true
+    },
+    contentType: {
+        type: String,
+        required: true
+    },
+    size: {                                     // Size of the file in bytes
+        type: Number,
+        required: true
+    },
+    storageKey: {                               // Where the file is in the storage
+        type: String,
+        required: true
+    },
+    thumbnailKey: {                             // Where the thumbnail is in the storage (only for images)
+        type: String
+    },
+    task: {                                     // RELATIONSHIP TO TASK
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'Task'
+    },
+    uploadedBy: {                               // RELATIONSHIP TO USER
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'User'
+    }
+}, {
+    timestamps: true                            // Enable timestamps on Attachment objects
+})
+
+/**
+ * Description:
+ *      Removes the internal storage keys before the Attachment is sent back to the user
+ */
+attachmentSchema.methods.toJSON = function () {
+    const attachment = this
+    const publicAttachment = attachment.toObject()
+
+    publicAttachment.hasThumbnail = !!attachment.thumbnailKey
+
+    delete publicAttachment.storageKey
+    delete publicAttachment.thumbnailKey
+
+    return publicAttachment
+}
+
+/**
+ * Description:
+ *      Deletes the Attachments of Tasks and their files in the storage
+ * 
+ * Parameters:
+ *      @param taskIds: An array of Task ObjectIds
+ */
+attachmentSchema.statics.removeForTasks = async (taskIds) => {
+    const attachments = await Attachment.find({ task: { $in: taskIds } })
+
+    await Promise.all(attachments.map((attachment) => attachment.remove()))
+}
+
+// Delete the file (and thumbnail) from the storage when the Attachment Document is deleted
+attachmentSchema.pre('remove', async function (next) {
+    const attachment = this
+
+    await storage.remove(attachment.storageKey)
+
+    if (attachment.thumbnailKey) {
+        await storage.remove(attachment.thumbnailKey)
+    }
+
+    next()
+})
+
+const Attachment = mongoose.model('Attachment', attachmentSchema)
+
+
+module.exports = Attachment
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose')
+
+// What the admins can do to Users (see routers/adminRouter.js)
+const AUDIT_ACTIONS = [
+    'user.role',
+    'user.disable',
+    'user.enable',
+    'user.logout',
+    'user.avatar.reset',
+    'user.delete'
+]
+
+// A record of an action an admin took, they are never changed or removed
+const auditLogSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        required: true,
+        enum: AUDIT_ACTIONS
+    },
+    admin: {                                    // RELATIONSHIP TO USER
+        type: mongoose.Schema.Types.ObjectId,       // The admin who took the action
+        required: true,
+        ref: 'User'
+    },
+    targetUser: {                               // RELATIONSHIP TO USER
+        type: mongoose.Schema.Types.ObjectId,       // The User the action was taken on
+        ref: 'User'
+    },
+    targetEmail: {                              // Kept so the entry still makes sense after the User is deleted
+        type: String
+    },
+    details: {                                  // Example: { role: 'admin' } or { reason: 'Spam' }
+        type: mongoose.Schema.Types.Mixed
+    },
+    ip: {                                       // Where the admin made the request from
+        type: String
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }       // Entries never change
+})
+
+auditLogSchema.index({ createdAt: -1 })
+auditLogSchema.index({ targetUser: 1, createdAt: -1 })
+
+/**
+ * Description:
+ *      Records an action an admin took on a User
+ *
+ * Parameters:
+ *      @param req: The admin's request (for the admin and their IP)
+ *      @param action: One of AUDIT_ACTIONS
+ *      @param target: The User Document the action was taken on
+ *      @param details: Anything else worth keeping about the action
+ */
+auditLogSchema.statics.record = (req, action, target, details) => {
+    return AuditLog.create({
+        action,
+        admin: req.user._id,
+        targetUser: target._id,
+        targetEmail: target.email,
+        details,
+        ip: req.ip
+    })
+}
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema)
+
+AuditLog.ACTIONS = AUDIT_ACTIONS
+
+
+module.exports = AuditLog
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose')
+
+// The roles a User can be given when a Task or Project is shared with them, from least to most access
+    // viewer: Can see the Task
+    // editor: Can see and update the Task
+    // owner: Not given through sharing, this is the User that created the Task
+const ROLES = ['viewer', 'editor', 'owner']
+
+// A User that a Task or Project is shared with
+// This is not a model on its own, it is embedded in the Task and Project models
+const collaboratorSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'User'
+    },
+    role: {
+        type: String,
+        required: true,
+        enum: {
+            values: ['viewer', 'editor'],
+            message: 'Role must be either viewer or editor'
+        }
+    }
+}, {
+    _id: false                                  // The user's id is enough to identify the collaborator
+})
+
+/**
+ * Description:
+ *      Checks if a role gives at least as much access as the required role
+ * 
+ * Parameters:
+ *      @param role: The role the User has (example: 'editor'), can be undefined if the User has no access
+ *      @param requiredRole: The role needed for the action (example: 'viewer')
+ * 
+ * Returns:
+ *      true if the role is high enough
+ */
+const hasRole = (role, requiredRole) => {
+    return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole) && ROLES.includes(role)
+}
+
+/**
+ * Description:
+ *      Returns the highest of the roles (ignoring undefined roles)
+ */
+const highestRole = (...roles) => {
+    return roles.reduce((highest, role) => {
+        return ROLES.indexOf(role) > ROLES.indexOf(highest) ? role : highest
+    }, undefined)
+}
+
+
+module.exports = {
+    collaboratorSchema,
+    hasRole,
+    highestRole
+}
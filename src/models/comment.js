@@ -0,0 +1,49 @@
+const mongoose = require('mongoose')
+const Task = require('./task')
+
+
+const commentSchema = new mongoose.Schema({
+    text: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 5000
+    },
+    edited: {                                   // Set to true once the author changes the text
+        type: Boolean,
+        default: false
+    },
+    task: {                                     // RELATIONSHIP TO TASK
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'Task'
+    },
+    author: {                                   // RELATIONSHIP TO USER
+        type: mongoose.Schema.Types.ObjectId,       // The User that wrote the comment
+        required: true,
+        ref: 'User'
+    }
+}, {
+    timestamps: true                            // Enable timestamps on Comment objects
+})
+
+// Text index used by GET /tasks/search to find Tasks by their Comments
+commentSchema.index({ text: 'text' })
+
+/**
+ * Description:
+ *      Recounts the Comments of a Task and saves the count on the Task (commentCount)
+ * 
+ * Parameters:
+ *      @param taskId: The ObjectId of the Task
+ */
+commentSchema.statics.updateCount = async (taskId) => {
+    const commentCount = await Comment.countDocuments({ task: taskId })
+
+    await Task.updateOne({ _id: taskId }, { commentCount })
+}
+
+const Comment = mongoose.model('Comment', commentSchema)
+
+
+module.exports = Comment
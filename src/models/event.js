@@ -0,0 +1,55 @@
+const mongoose = require('mongoose')
+const EventEmitter = require('events')
+
+// How long events are kept so clients can catch up after reconnecting to GET /events
+const retentionHours = 24
+
+// Lets the open GET /events streams of this server know about new events as soon as they are published
+const emitter = new EventEmitter()
+emitter.setMaxListeners(0)                      // One listener per open stream
+
+// A change sent to a User's clients through GET /events
+const eventSchema = new mongoose.Schema({
+    type: {                                     // Example: task.created
+        type: String,
+        required: true
+    },
+    data: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    user: {                                     // RELATIONSHIP TO USER
+        type: mongoose.Schema.Types.ObjectId,       // The User the event is sent to
+        required: true,
+        ref: 'User'
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }       // Events never change
+})
+
+eventSchema.index({ user: 1, _id: 1 })
+eventSchema.index({ createdAt: 1 }, { expireAfterSeconds: retentionHours * 60 * 60 })     // MongoDB removes old events
+
+/**
+ * Description:
+ *      Saves an event for each User (so it can be replayed with Last-Event-ID) and pushes it to their open streams
+ *
+ * Parameters:
+ *      @param userIds: The ObjectIds of the Users to send the event to (duplicates and empty values are ignored)
+ *      @param type: The type of the event (example: task.updated)
+ *      @param data: The object the event is about (example: { task })
+ */
+eventSchema.statics.publish = async (userIds, type, data) => {
+    const users = [...new Set(userIds.filter((id) => id).map((id) => id.toString()))]
+    const json = JSON.parse(JSON.stringify(data))
+
+    const events = await Event.insertMany(users.map((user) => ({ type, data: json, user })))
+
+    events.forEach((event) => emitter.emit('event', event))
+}
+
+const Event = mongoose.model('Event', eventSchema)
+
+Event.emitter = emitter
+
+
+module.exports = Event
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose')
+const validator = require('validator')
+
+const expiryDays = 7                            // How long an invitation can be accepted for
+
+// An invitation to join a Workspace, sent by email (see routers/workspaceRouter.js)
+const invitationSchema = new mongoose.Schema({
+    email: {                                    // Who was invited, they accept with an account that has this (verified) email
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true,
+        validate(value) {
+            if (!validator.isEmail(value)) {
+                throw new Error('Email is invalid format')
+            }
+        }
+    },
+    role: {                                     // The role they get in the Workspace when they accept
+        type: String,
+        enum: {
+            values: ['admin', 'member'],
+            message: 'Role must be either admin or member'
+        },
+        default: 'member'
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'accepted', 'declined', 'revoked'],
+        default: 'pending'
+    },
+    respondedAt: {                              // When it was accepted, declined or revoked
+        type: Date
+    },
+    expiresAt: {
+        type: Date,
+        default: () => new Date(Date.now() + expiryDays * 24 * 60 * 60 * 1000)
+    },
+    invitedBy: {                                // RELATIONSHIP TO USER
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'User'
+    },
+    workspace: {                                // RELATIONSHIP TO WORKSPACE
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'Workspace'
+    }
+}, {
+    timestamps: true                            // Enable timestamps on Invitation objects
+})
+
+invitationSchema.index({ workspace: 1, status: 1 })
+invitationSchema.index({ email: 1, status: 1 })
+
+/**
+ * Description:
+ *      Checks if the invitation can still be accepted or declined
+ */
+invitationSchema.methods.isOpen = function () {
+    const invitation = this
+
+    return invitation.status === 'pending' && invitation.expiresAt > Date.now()
+}
+
+const Invitation = mongoose.model('Invitation', invitationSchema)
+
+
+module.exports = Invitation
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose')
+
+
+// In-app notifications, listed with GET /notifications
+const notificationSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: true,
+        enum: ['reminder']
+    },
+    message: {
+        type: String,
+        required: true
+    },
+    read: {                                     // Set once the User marks the Notification as read
+        type: Boolean,
+        default: false
+    },
+    task: {                                     // The Task the Notification is about
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task'
+    },
+    user: {                                     // RELATIONSHIP TO USER
+        type: mongoose.Schema.Types.ObjectId,       // The User that receives the Notification
+        required: true,
+        ref: 'User'
+    }
+}, {
+    timestamps: true                            // Enable timestamps on Notification objects
+})
+
+notificationSchema.index({ user: 1, createdAt: -1 })
+
+const Notification = mongoose.model('Notification', notificationSchema)
+
+
+module.exports = Notification
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose')
+const validator = require('validator')
+const Task = require('./task')
+const { collaboratorSchema } = require('./collaborator')
+
+
+const projectSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    color: {                                    // Optional color for the project in the UI (example: #ff0000)
+        type: String,
+        trim: true,
+        validate(value) {
+            if (!validator.isHexColor(value)) {
+                throw new Error('Color must be a hex color (example: #ff0000)')
+            }
+        }
+    },
+    archived: {                                 // Archived projects are hidden from GET /projects unless requested
+        type: Boolean,
+        default: false
+    },
+    archivedAt: {
+        type: Date
+    },
+    collaborators: [collaboratorSchema],        // The Users the Project is shared with, they get the same role on all of its Tasks
+    owner: {                                    // RELATIONSHIP TO USER
+        type: mongoose.Schema.Types.ObjectId,       // ObjectId of the User
+        required: true,
+        ref: 'User'
+    }
+}, {
+    timestamps: true                            // Enable timestamps on Project objects
+})
+
+// Virtual property for the Tasks that belong to the Project
+projectSchema.virtual('tasks', {
+    ref: 'Task',
+    localField: '_id',              // The Project's id
+    foreignField: 'project'         // The property of the Task that saves the id of the Project
+})
+
+/**
+ * Description:
+ *      Finds the role a User has on the Project
+ * 
+ * Parameters:
+ *      @param userId: The ObjectId of the User
+ * 
+ * Returns:
+ *      'owner', 'editor', 'viewer' or undefined if the User can't access the Project
+ */
+projectSchema.methods.getRole = function (userId) {
+    const project = this
+
+    if (project.owner.equals(userId)) {
+        return 'owner'
+    }
+
+    const collaborator = project.collaborators.find((collaborator) => collaborator.user.equals(userId))
+    return collaborator ? collaborator.role : undefined
+}
+
+// Keep track of when the Project was archived
+projectSchema.pre('save', function (next) {
+    const project = this
+
+    if (project.isModified('archived')) {
+        project.archivedAt = project.archived ? new Date() : undefined
+    }
+
+    next()
+})
+
+// Move the Project's Tasks to the inbox (no project) when the Project Document is deleted
+// This is triggered from the projectRouter.js at router.delete('/projects/:id')
+    // If the user chose to delete the Tasks as well, they are already gone by the time this runs
+projectSchema.pre('remove', async function (next) {
+    const project = this
+
+    await Task.updateMany({ project: project._id }, { $unset: { project: '' } })
+    next()
+})
+
+const Project = mongoose.model('Project', projectSchema)
+
+
+module.exports = Project
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose')
+
+// A rate limit counter shared by every server (used when RATE_LIMIT_STORE is 'mongo', see rateLimit/mongoStore.js)
+const rateLimitCounterSchema = new mongoose.Schema({
+    key: {                                      // Example: login-ip:127.0.0.1
+        type: String,
+        required: true,
+        unique: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    resetAt: {                                  // When the window ends
+        type: Date,
+        required: true
+    }
+})
+
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 })     // MongoDB removes the finished windows
+
+const RateLimitCounter = mongoose.model('RateLimitCounter', rateLimitCounterSchema)
+
+
+module.exports = RateLimitCounter
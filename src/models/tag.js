@@ -0,0 +1,62 @@
+const mongoose = require('mongoose')
+const validator = require('validator')
+
+
+const tagSchema = new mongoose.Schema({
+    name: {                                     // The label that is attached to Tasks (Tasks save the name in their 'tags' array)
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true,
+        maxlength: 30,
+        validate(value) {
+            if (value.includes(',')) {              // Commas are used to separate tags in URL queries (example: ?tags=work,home)
+                throw new Error('Tag name cannot contain a comma')
+            }
+        }
+    },
+    color: {                                    // Optional color for the tag in the UI (example: #ff0000)
+        type: String,
+        trim: true,
+        validate(value) {
+            if (!validator.isHexColor(value)) {
+                throw new Error('Color must be a hex color (example: #ff0000)')
+            }
+        }
+    },
+    owner: {                                    // RELATIONSHIP TO USER
+        type: mongoose.Schema.Types.ObjectId,       // ObjectId of the User
+        required: true,
+        ref: 'User'
+    }
+}, {
+    timestamps: true                            // Enable timestamps on Tag objects
+})
+
+// A User can't have 2 tags with the same name
+tagSchema.index({ owner: 1, name: 1 }, { unique: true })
+
+/**
+ * Description:
+ *      Creates the Tag Documents that don't exist yet for a list of tag names.
+ *      This lets users attach a new tag to a Task without creating it through /tags first.
+ * 
+ * Parameters:
+ *      @param owner: The ObjectId of the User that owns the tags
+ *      @param names: An array of tag names
+ *      @param session: Optional, the MongoDB session of the transaction the Task is saved in
+ */
+tagSchema.statics.ensureTags = async (owner, names, session) => {
+    await Promise.all(names.map((name) => {
+        return Tag.updateOne(
+            { owner: owner, name: name },
+            { $setOnInsert: { owner: owner, name: name } },
+            { upsert: true, session }                       // Only inserts if the tag doesn't exist
+        )
+    }))
+}
+
+const Tag = mongoose.model('Tag', tagSchema)
+
+
+module.exports = Tag
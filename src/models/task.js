@@ -1,5 +1,20 @@
+const log = console.log
+
 const mongoose = require('mongoose')
+const Tag = require('./tag')
+const TaskHistory = require('./taskHistory')
+const Notification = require('./notification')
+const Event = require('./event')
+const { collaboratorSchema, highestRole } = require('./collaborator')
+const { nextOccurrence } = require('../utils/recurrence')
+const { emitEvent } = require('../jobs/webhooks')
+
+// The allowed priority levels, ordered from lowest to highest
+// The index of each level is saved in 'priorityRank' so that we can sort by priority in queries
+const PRIORITIES = ['low', 'medium', 'high', 'urgent']
 
+// The properties users are allowed to change on an existing Task (PATCH /tasks/:id and POST /tasks/bulk)
+const UPDATABLE_FIELDS = ['description', 'completed', 'dueDate', 'startDate', 'priority', 'tags', 'project', 'parent', 'checklist', 'recurrence', 'reminders', 'assignee']
 
 const taskSchema = new mongoose.Schema({
     description: {
@@ -11,8 +26,183 @@ const taskSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    dueDate: {                                  // When the Task has to be done by
+        type: Date
+    },
+    startDate: {                                // When the user plans to start working on the Task
+        type: Date
+    },
+    priority: {
+        type: String,
+        default: 'medium',
+        trim: true,
+        lowercase: true,
+        enum: {
+            values: PRIORITIES,
+            message: 'Priority must be one of: ' + PRIORITIES.join(', ')
+        }
+    },
+    tags: [{                                    // Names of the User's tags attached to this Task
+        type: String,
+        trim: true,
+        lowercase: true,
+        maxlength: 30,
+        validate(value) {
+            if (!value || value.includes(',')) {
+                throw new Error('Tag names cannot be empty or contain a comma')
+            }
+        }
+    }],
+    priorityRank: {                             // Numeric version of 'priority' (0 = low ... 3 = urgent)
+        type: Number                                // Strings can't be sorted by importance, so we sort by this instead
+    },
+    project: {                                  // The Project the Task belongs to (no project means it is in the inbox)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project',
+        validate: {
+            // The Project has to exist and be owned by the same User as the Task
+            // Uses mongoose.model() instead of require() because the Project model requires this file
+            validator: async function (value) {
+                if (!value) {
+                    return true
+                }
+
+                const project = await mongoose.model('Project').findOne({ _id: value, owner: this.owner })
+                return !!project
+            },
+            message: 'Project not found'
+        }
+    },
+    parent: {                                   // The Task this Task is a subtask of (no parent means it is a top level Task)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        validate: {
+            // The parent has to be owned by the same User and can't be this Task or one of its subtasks
+            validator: async function (value) {
+                if (!value) {
+                    return true
+                }
+
+                const parent = await Task.findOne({ _id: value, owner: this.owner })
+                if (!parent) {
+                    return false
+                }
+
+                const ancestorIds = await Task.findAncestorIds(parent._id)
+                return !ancestorIds.concat(parent._id).some((id) => id.equals(this._id))
+            },
+            message: 'Parent task not found or it is a subtask of this task'
+        }
+    },
+    checklist: [{                               // Simple steps that don't need to be their own Task
+        text: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        done: {
+            type: Boolean,
+            default: false
+        }
+    }],
+    recurrence: {                               // Makes the Task repeat, the next occurrence is created when this one is completed
+        frequency: {
+            type: String,
+            enum: ['daily', 'weekly', 'monthly']
+        },
+        interval: {                                 // Every N days/weeks/months
+            type: Number,
+            min: 1,
+            default: undefined
+        },
+        weekdays: {                                 // Weekly only: 0 = Sunday ... 6 = Saturday
+            type: [{ type: Number, min: 0, max: 6 }],
+            default: undefined
+        },
+        dayOfMonth: {                               // Monthly only
+            type: Number,
+            min: 1,
+            max: 31
+        },
+        until: {                                    // Optional end date of the series
+            type: Date
+        },
+        count: {                                    // Optional number of occurrences in the series
+            type: Number,
+            min: 1
+        }
+    },
+    reminders: [{                               // When to remind the owner (and assignee) about the Task, sent by jobs/reminders.js
+        at: {                                       // An exact time
+            type: Date
+        },
+        minutesBefore: {                            // Or a number of minutes before the due date
+            type: Number,
+            min: 0
+        },
+        remindAt: {                                 // When the reminder is due, worked out from 'at' or 'minutesBefore'
+            type: Date,
+            index: true
+        },
+        sentAt: {                                   // Set by the scheduler when it sends the reminder
+            type: Date
+        }
+    }],
+    seriesId: {                                 // Every occurrence of a recurring Task shares the _id of the first occurrence
+        type: mongoose.Schema.Types.ObjectId
+    },
+    occurrence: {                               // Which occurrence of the series this Task is (starts at 1)
+        type: Number
+    },
+    skipped: {                                  // The occurrence was skipped instead of completed
+        type: Boolean
+    },
+    deletedAt: {                                // When the Task was moved to the trash (not set means it isn't in the trash)
+        type: Date,
+        index: true
+    },
+    trashedWith: {                              // The Task that was deleted and took this subtask to the trash with it
+        type: mongoose.Schema.Types.ObjectId
+    },
+    subtaskCount: {                             // How many direct subtasks the Task has
+        type: Number,                               // Kept up to date by Task.updateProgress() so we don't have to
+        default: 0                                  // count the subtasks every time the Task is sent back to the user
+    },
+    completedSubtaskCount: {                    // How many of the direct subtasks are completed
+        type: Number,
+        default: 0
+    },
+    commentCount: {                             // How many Comments the Task has, kept up to date by Comment.updateCount()
+        type: Number,
+        default: 0
+    },
+    historyVersion: {                           // The version of the Task's latest history entry, kept up to date by TaskHistory.record()
+        type: Number,                               // so two changes saved at the same time never get the same version
+        select: false
+    },
+    collaborators: [collaboratorSchema],        // The Users the Task is shared with and their role
+    assignee: {                                 // The User responsible for doing the Task (the owner or a collaborator)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        validate: {
+            validator: async function (value) {
+                if (!value) {
+                    return true
+                }
+
+                const role = await this.getRole(value)
+                return !!role
+            },
+            message: 'Tasks can only be assigned to their owner or a collaborator'
+        }
+    },
+    workspace: {                                // RELATIONSHIP TO WORKSPACE
+        type: mongoose.Schema.Types.ObjectId,       // Set for the Tasks of a team, every member of the Workspace can access them
+        ref: 'Workspace',                           // Only set when the Task is created (POST /workspaces/:id/tasks), it can't be moved
+        index: true
+    },
     owner: {                                    // RELATIONSHIP TO USER
-        type: mongoose.Schema.Types.ObjectId,       // ObjectId of the User
+        type: mongoose.Schema.Types.ObjectId,       // ObjectId of the User (for Workspace Tasks, the member who created it)
         required: true,
         ref: 'User'                                 // Setting up reference to User model
                                                         // This creates a relationship between the two models
@@ -21,9 +211,649 @@ const taskSchema = new mongoose.Schema({
     timestamps: true                            // Enable timestamps on Task objects
 })
 
+// Text index used by GET /tasks/search, matches in the description count the most
+taskSchema.index({
+    description: 'text',
+    tags: 'text',
+    'checklist.text': 'text'
+}, {
+    name: 'TaskTextIndex',
+    weights: { description: 10, tags: 5, 'checklist.text': 2 }
+})
+
+/**
+ * Description:
+ *      Removes the internal properties from the Task Document before it is sent back to the user
+ * 
+ * Returns:
+ *      A modified copy of the Task Document
+ */
+taskSchema.methods.toJSON = function () {
+    const task = this
+    const publicTask = task.toObject()
+
+    delete publicTask.priorityRank              // Only used internally for sorting
+    delete publicTask.subtaskCount              // Replaced by the progress property below
+    delete publicTask.completedSubtaskCount
+
+    publicTask.version = publicTask.__v         // Sent back in updates (or through the ETag) to detect conflicting changes
+    delete publicTask.__v
+
+    // Progress of the Task based on its direct subtasks and checklist items (example: 3 of 5 done)
+    publicTask.progress = {
+        done: task.completedSubtaskCount + task.checklist.filter((item) => item.done).length,
+        total: task.subtaskCount + task.checklist.length
+    }
+
+    return publicTask
+}
+
+/**
+ * Description:
+ *      Finds the role a User has on the Task, either as its owner, as a collaborator of the Task,
+ *      as a collaborator of the Task's Project or as a member of the Task's Workspace
+ * 
+ * Parameters:
+ *      @param userId: The ObjectId of the User
+ * 
+ * Returns:
+ *      'owner', 'editor', 'viewer' or undefined if the User can't access the Task
+ */
+taskSchema.methods.getRole = async function (userId) {
+    const task = this
+
+    if (task.owner.equals(userId)) {
+        return 'owner'
+    }
+
+    const collaborator = task.collaborators.find((collaborator) => collaborator.user.equals(userId))
+    let projectRole
+    let workspaceRole
+
+    if (task.project) {
+        // Uses mongoose.model() instead of require() because the Project model requires this file
+        const project = await mongoose.model('Project').findById(task.project)
+        projectRole = project ? project.getRole(userId) : undefined
+    }
+
+    if (task.workspace) {
+        const workspace = await mongoose.model('Workspace').findById(task.workspace)       // Same for the Workspace model
+        workspaceRole = workspace ? workspace.getTaskRole(userId) : undefined
+    }
+
+    return highestRole(collaborator && collaborator.role, projectRole, workspaceRole)
+}
+
+/**
+ * Description:
+ *      Finds a Task and the role the User has on it
+ * 
+ * Parameters:
+ *      @param taskId: The _id of the Task
+ *      @param userId: The ObjectId of the User
+ * 
+ * Returns:
+ *      { task, role }, both are undefined if the Task doesn't exist or the User can't access it
+ */
+taskSchema.statics.findWithRole = async (taskId, userId) => {
+    const task = await Task.findById(taskId)
+
+    if (!task) {
+        return { }
+    }
+
+    const role = await task.getRole(userId)
+
+    if (!role) {
+        return { }
+    }
+
+    return { task, role }
+}
+
+/**
+ * Description:
+ *      Finds the ids of every Task above a Task (its parent, its parent's parent, etc.)
+ * 
+ * Parameters:
+ *      @param taskId: The ObjectId of the Task
+ * 
+ * Returns:
+ *      An array of ObjectIds, starting with the direct parent
+ */
+taskSchema.statics.findAncestorIds = async (taskId) => {
+    const ancestorIds = []
+    let task = await Task.findById(taskId, 'parent')
+
+    while (task && task.parent) {
+        if (ancestorIds.some((id) => id.equals(task.parent))) {     // Stop if the data somehow already has a cycle
+            break
+        }
+
+        ancestorIds.push(task.parent)
+        task = await Task.findById(task.parent, 'parent')
+    }
+
+    return ancestorIds
+}
+
+/**
+ * Description:
+ *      Finds the ids of every Task below a Task (its subtasks, their subtasks, etc.)
+ * 
+ * Parameters:
+ *      @param taskId: The ObjectId of the Task
+ * 
+ * Returns:
+ *      An array of ObjectIds
+ */
+taskSchema.statics.findDescendantIds = async (taskId) => {
+    const descendantIds = []
+    let parentIds = [taskId]
+
+    while (parentIds.length > 0) {                              // Go down one level at a time
+        const children = await Task.find({ parent: { $in: parentIds } }, '_id')
+
+        parentIds = children
+            .map((child) => child._id)
+            .filter((id) => !descendantIds.some((descendantId) => descendantId.equals(id)))
+
+        descendantIds.push(...parentIds)
+    }
+
+    return descendantIds
+}
+
+/**
+ * Description:
+ *      Deletes Tasks along with everything that belongs to them (Comments and Attachments)
+ * 
+ * Parameters:
+ *      @param taskIds: An array of Task ObjectIds
+ */
+taskSchema.statics.deleteTasks = async (taskIds) => {
+    // Required here instead of at the top of the file because the Comment and Attachment models require this file
+    const Comment = require('./comment')
+    const Attachment = require('./attachment')
+
+    await Comment.deleteMany({ task: { $in: taskIds } })
+    await Attachment.removeForTasks(taskIds)
+    await TaskHistory.deleteMany({ task: { $in: taskIds } })
+    await Notification.deleteMany({ task: { $in: taskIds } })
+
+    await Task.deleteMany({ _id: { $in: taskIds } })
+}
+
+/**
+ * Description:
+ *      Moves the Task to the trash. Trashed Tasks are hidden from every query until they are restored or purged.
+ * 
+ * Parameters:
+ *      @param subtasks: 'reparent' (default) moves the subtasks up to the Task's parent, 'delete' moves them to the trash too
+ *      @param userId: The ObjectId of the User deleting the Task (for the Task's history)
+ */
+taskSchema.methods.moveToTrash = async function (subtasks = 'reparent', userId) {
+    const task = this
+
+    task.deletedAt = new Date()
+    task.$locals.userId = userId
+    await task.save()
+
+    await task.trashSubtasks(subtasks)
+}
+
+/**
+ * Description:
+ *      Deals with the subtasks of a Task that was just moved to the trash and updates the progress of its parent
+ * 
+ * Parameters:
+ *      @param subtasks: 'reparent' (default) moves the subtasks up to the Task's parent, 'delete' moves them to the trash too
+ */
+taskSchema.methods.trashSubtasks = async function (subtasks = 'reparent') {
+    const task = this
+
+    if (subtasks === 'delete') {
+        const descendantIds = await Task.findDescendantIds(task._id)
+
+        // Remember they were trashed with this Task so they are restored (or purged) with it
+        await Task.updateMany({ _id: { $in: descendantIds } }, { deletedAt: task.deletedAt, trashedWith: task._id })
+    } else {
+        const newParent = task.parent ? { $set: { parent: task.parent } } : { $unset: { parent: '' } }
+        await Task.updateMany({ parent: task._id, deletedAt: null }, newParent)
+    }
+
+    await Task.updateProgress(task.parent)                      // The parent lost (or gained) subtasks
+}
+
+/**
+ * Description:
+ *      Takes the Task (and the subtasks that were trashed with it) out of the trash.
+ *      If its parent is no longer available, the Task becomes a top level Task.
+ * 
+ * Parameters:
+ *      @param userId: The ObjectId of the User restoring the Task (for the Task's history)
+ * 
+ * Returns:
+ *      The restored Task Document
+ */
+taskSchema.methods.restore = async function (userId) {
+    const task = this
+
+    await Task.updateMany(
+        { $or: [{ _id: task._id }, { trashedWith: task._id }] },
+        { $unset: { deletedAt: '', trashedWith: '' } }
+    )
+
+    if (task.parent && !(await Task.findById(task.parent))) {   // The parent was trashed or purged in the meantime
+        await Task.updateOne({ _id: task._id }, { $unset: { parent: '' } })
+    }
+
+    const restored = await Task.findById(task._id)
+
+    await Task.updateProgress(restored.parent)
+    await Task.updateProgress(restored._id)
+
+    await TaskHistory.record({ task: task._id, user: userId, action: 'restore', changes: [], snapshot: trackedValues(restored) })
+    await emitEvent(restored.owner, 'task.restored', { task: restored })
+    publishEvent(restored, 'task.restored')
+
+    return Task.findById(task._id)
+}
+
+/**
+ * Description:
+ *      Permanently deletes trashed Tasks (and the subtasks that were trashed with them)
+ * 
+ * Parameters:
+ *      @param filter: Which trashed Tasks to purge (example: { owner: user._id } or { deletedAt: { $lt: date } })
+ * 
+ * Returns:
+ *      How many trashed Tasks were purged (not counting their subtasks)
+ */
+taskSchema.statics.purgeTrash = async (filter) => {
+    const rootIds = await Task.distinct('_id', { deletedAt: { $ne: null }, ...filter })
+    const groupIds = await Task.distinct('_id', { trashedWith: { $in: rootIds } }).setOptions({ withTrashed: true })
+
+    await Task.deleteTasks(rootIds.concat(groupIds))
+
+    return rootIds.length
+}
+
+/**
+ * Description:
+ *      Recounts the subtasks of a Task and saves the counts on the Task
+ * 
+ * Parameters:
+ *      @param taskId: The ObjectId of the Task (does nothing if it is empty)
+ *      @param session: Optional, the MongoDB session of the transaction the subtasks were changed in
+ */
+taskSchema.statics.updateProgress = async (taskId, session) => {
+    if (!taskId) {
+        return
+    }
+
+    const subtaskCount = await Task.countDocuments({ parent: taskId }).session(session || null)
+    const completedSubtaskCount = await Task.countDocuments({ parent: taskId, completed: true }).session(session || null)
+
+    await Task.updateOne({ _id: taskId }, { subtaskCount, completedSubtaskCount }, { session })
+}
+
+// Runs before validating the Task
+    // Keeps the priorityRank in sync with the priority
+    // Starts a new series when a recurrence rule is added
+    // Removes duplicate tags
+    // Checks the dates here (instead of in a validator) so it also runs when only the due date changes
+taskSchema.pre('validate', function (next) {
+    const task = this
+
+    task.priorityRank = PRIORITIES.indexOf(task.priority)
+
+    if (task.recurrence && task.recurrence.frequency) {
+        if (!task.seriesId) {                   // This is the first occurrence of a new series
+            task.seriesId = task._id
+            task.occurrence = 1
+        }
+    } else if (task.recurrence && Object.keys(task.toObject().recurrence || { }).length > 0) {
+        task.invalidate('recurrence.frequency', 'Recurrence needs a frequency (daily, weekly or monthly)')
+    }
+
+    const uniqueTags = [...new Set(task.tags)]
+    if (uniqueTags.length !== task.tags.length) {
+        task.tags = uniqueTags                  // Remove duplicate tags
+    }
+
+    if (task.startDate && task.dueDate && task.startDate > task.dueDate) {
+        task.invalidate('startDate', 'Start date must be before the due date')
+    }
+
+    if (task.isModified('reminders') || task.isModified('dueDate')) {
+        scheduleReminders(task)
+    }
+
+    next()
+})
+
+/**
+ * Description:
+ *      Creates the next occurrence of a recurring Task (when it is completed or skipped).
+ *      Does nothing if the Task doesn't repeat, the series is finished or the next occurrence already exists.
+ * 
+ * Returns:
+ *      The new Task Document, or undefined if one wasn't created
+ */
+taskSchema.methods.createNextOccurrence = async function () {
+    const task = this
+
+    if (!task.recurrence || !task.recurrence.frequency) {
+        return
+    }
+
+    const existing = await Task.findOne({ owner: task.owner, seriesId: task.seriesId, occurrence: task.occurrence + 1 })
+    if (existing) {                                             // The Task was completed, reopened and completed again
+        return
+    }
+
+    const baseDate = task.dueDate || new Date()                 // Tasks without a due date repeat from when they were completed
+    const nextDueDate = nextOccurrence(task.recurrence, baseDate, task.occurrence)
+    if (!nextDueDate) {
+        return
+    }
+
+    const next = new Task({
+        description: task.description,
+        priority: task.priority,
+        tags: task.tags,
+        project: task.project,
+        parent: task.parent,
+        checklist: task.checklist.map((item) => ({ text: item.text })),    // Same checklist, not done yet
+        recurrence: task.toObject().recurrence,
+        collaborators: task.collaborators.map((collaborator) => collaborator.toObject()),
+        assignee: task.assignee,
+        workspace: task.workspace,
+        reminders: task.reminders                                           // Reminders before the due date move with it
+            .filter((reminder) => reminder.minutesBefore !== undefined)
+            .map((reminder) => ({ minutesBefore: reminder.minutesBefore })),
+        seriesId: task.seriesId,
+        occurrence: task.occurrence + 1,
+        dueDate: nextDueDate,
+        owner: task.owner
+    })
+
+    if (task.startDate && task.dueDate) {                       // Keep the same gap between the start and due date
+        next.startDate = new Date(nextDueDate.getTime() - (task.dueDate - task.startDate))
+    }
+
+    await next.save()
+
+    return next
+}
+
+// Hide the Tasks in the trash from every query, unless the query filters on deletedAt itself
+    // or uses the withTrashed option (example: Task.find(filter).setOptions({ withTrashed: true }))
+const hideTrashed = function () {
+    const query = this
+    const withTrashed = query.options.withTrashed
+
+    delete query.options.withTrashed                            // Not a real MongoDB option, so don't send it to the DB
+
+    if (!withTrashed && query.getQuery().deletedAt === undefined) {
+        query.where({ deletedAt: null })                        // Matches Tasks where deletedAt is missing or null
+    }
+}
+
+taskSchema.pre('find', hideTrashed)
+taskSchema.pre('findOne', hideTrashed)
+taskSchema.pre('countDocuments', hideTrashed)
+taskSchema.pre('distinct', hideTrashed)
+
+taskSchema.pre('aggregate', function () {
+    const aggregate = this
+
+    if (!aggregate.options.withTrashed) {
+        aggregate.pipeline().unshift({ $match: { deletedAt: null } })
+    }
+
+    delete aggregate.options.withTrashed
+})
+
+/**
+ * Description:
+ *      Returns the values of the properties that are tracked in the Task's history (the ones users can update)
+ *      as plain JSON values so they can be compared and saved in the history
+ */
+const trackedValues = (task) => {
+    const values = JSON.parse(JSON.stringify(task.toObject({ depopulate: true })))
+    const tracked = { }
+
+    UPDATABLE_FIELDS.forEach((field) => {
+        tracked[field] = values[field]
+    })
+
+    return tracked
+}
+
+/**
+ * Description:
+ *      Works out when each reminder of the Task is due (remindAt). A reminder keeps its sent state while its time doesn't change,
+ *      reminders that are moved (or created) in the past are marked as sent so they aren't sent late.
+ */
+const scheduleReminders = (task) => {
+    const previous = (task.$locals.original && task.$locals.original.reminders) || []
+
+    task.reminders.forEach((reminder, index) => {
+        const hasTime = !!reminder.at
+        const hasOffset = reminder.minutesBefore !== undefined && reminder.minutesBefore !== null
+
+        if (hasTime === hasOffset) {
+            return task.invalidate(`reminders.${index}`, 'A reminder needs either a time (at) or minutesBefore the due date')
+        }
+
+        if (hasOffset && !task.dueDate) {
+            return task.invalidate(`reminders.${index}`, 'Reminders before the due date need the Task to have a due date')
+        }
+
+        const remindAt = hasTime ? reminder.at : new Date(task.dueDate.getTime() - reminder.minutesBefore * 60 * 1000)
+        const unchanged = previous.find((old) => old.remindAt && new Date(old.remindAt).getTime() === remindAt.getTime())
+
+        reminder.remindAt = remindAt
+        reminder.sentAt = unchanged ? unchanged.sentAt : (remindAt <= Date.now() ? new Date() : undefined)
+    })
+}
+
+// Remember the values the Task was loaded with
+    // The parent is used to update its progress if the Task is moved
+    // The tracked values are used to find what changed for the Task's history
+taskSchema.post('init', function () {
+    const task = this
+
+    task.$locals.originalParent = task.parent
+    task.$locals.original = trackedValues(task)
+})
+
+// Work out what changed before the Task is saved so it can be added to the Task's history
+    // Routes set task.$locals.userId to record who made the change
+    // and task.$locals.historyAction to record a special action (example: 'revert')
+taskSchema.pre('save', function (next) {
+    const task = this
+    const original = task.isNew ? { } : (task.$locals.original || { })
+    const current = trackedValues(task)
+
+    const changes = UPDATABLE_FIELDS
+        .filter((field) => JSON.stringify(original[field]) !== JSON.stringify(current[field]))
+        .map((field) => ({ field, oldValue: original[field], newValue: current[field] }))
+
+    let action = task.$locals.historyAction
+
+    if (task.isNew) {
+        action = 'create'
+    } else if (task.isModified('deletedAt') && task.deletedAt) {
+        action = 'delete'
+    } else if (!action && changes.some((change) => change.field === 'completed' && change.newValue === true)) {
+        action = 'complete'
+    } else if (!action && changes.length > 0) {
+        action = 'update'
+    }
+
+    task.$locals.history = action ? { action, changes, snapshot: current } : undefined
+
+    next()
+})
+
+// The webhook (and GET /events) event sent for each action in the Task's history
+const historyEvents = {
+    create: 'task.created',
+    update: 'task.updated',
+    revert: 'task.updated',
+    complete: 'task.completed',
+    delete: 'task.deleted'
+}
+
+/**
+ * Description:
+ *      The Users whose clients are sent the Task's events through GET /events, everyone who can access the Task:
+ *      its owner, assignee and collaborators, the collaborators of its Project and the members of its Workspace
+ * 
+ * Returns:
+ *      An array of User ObjectIds (with duplicates, Event.publish() ignores them)
+ */
+const audienceOf = async (task) => {
+    const users = [task.owner, task.assignee, ...task.collaborators.map((collaborator) => collaborator.user)]
+
+    if (task.project) {
+        // Uses mongoose.model() instead of require() because the Project model requires this file
+        const project = await mongoose.model('Project').findById(task.project)
+
+        if (project) {
+            users.push(...project.collaborators.map((collaborator) => collaborator.user))
+        }
+    }
+
+    if (task.workspace) {
+        const workspace = await mongoose.model('Workspace').findById(task.workspace)       // Same for the Workspace model
+
+        if (workspace) {
+            users.push(...workspace.members.map((member) => member.user))
+        }
+    }
+
+    return users
+}
+
+/**
+ * Description:
+ *      Pushes an event about the Task to the clients of everyone who can access it (GET /events).
+ *      Runs in the background, the request doesn't wait for it and a failure is only logged.
+ */
+const publishEvent = (task, event) => {
+    const data = { task: task.toJSON() }                        // The Task as it is now, it can change while the audience is found
+
+    audienceOf(task)
+        .then((users) => Event.publish(users, event, data))
+        .catch((e) => log(`Unable to publish the ${event} event: ${e.message}`))
+}
+
+/**
+ * Description:
+ *      Lets the owner's webhooks and the Users' clients (GET /events) know about a change to the Task.
+ *      The webhook deliveries are saved before it returns (emitEvent() never throws), the clients are sent the event in the background.
+ */
+const sendEvents = async (task, event, changes) => {
+    await emitEvent(task.owner, event, { task, changes })
+    publishEvent(task, event)
+}
+
+// Add the change to the Task's history after it is saved and let the owner's webhooks and the Users' clients know about it
+// Inside a transaction the history is written in the same transaction, and the events are held back
+// until it is committed (see sendPendingEvents()) so nothing is sent for a change that is rolled back
+taskSchema.post('save', async function () {
+    const task = this
+    const history = task.$locals.history
+    const session = task.$session()
+
+    if (!history) {
+        return
+    }
+
+    await TaskHistory.record({
+        ...history,
+        task: task._id,
+        user: task.$locals.userId,
+        revertedTo: task.$locals.revertedTo
+    }, session)
+
+    if (session && session.inTransaction()) {
+        task.$locals.pendingEvents = (task.$locals.pendingEvents || []).concat({ event: historyEvents[history.action], changes: history.changes })
+    } else {
+        await sendEvents(task, historyEvents[history.action], history.changes)
+    }
+
+    task.$locals.original = history.snapshot
+    task.$locals.history = undefined
+    task.$locals.historyAction = undefined
+})
+
+// Create the Tag Documents for any new tags that were attached to the Task
+taskSchema.pre('save', async function (next) {
+    const task = this
+
+    if (task.isModified('tags')) {
+        await Tag.ensureTags(task.owner, task.tags, task.$session())
+    }
+
+    task.$locals.progressChanged = task.isNew || task.isModified('parent') || task.isModified('completed')
+
+    next()
+})
+
+// Increase the version on every update, the save fails with a VersionError if the Task was saved by someone else in the meantime
+taskSchema.pre('save', function (next) {
+    if (!this.isNew) {
+        this.increment()
+    }
+
+    next()
+})
+
+// Update the progress of the parent (and the old parent if the Task was moved) after the Task is saved
+taskSchema.post('save', async function () {
+    const task = this
+
+    if (!task.$locals.progressChanged) {
+        return
+    }
+
+    await Task.updateProgress(task.parent, task.$session())
+
+    const originalParent = task.$locals.originalParent
+    if (originalParent && !originalParent.equals(task.parent)) {
+        await Task.updateProgress(originalParent, task.$session())
+    }
+
+    task.$locals.originalParent = task.parent
+})
+
+/**
+ * Description:
+ *      Sends the events of the changes that were saved in a transaction, called once the transaction is committed.
+ *      The Task is also taken out of the session, which ends with the transaction.
+ */
+taskSchema.methods.sendPendingEvents = async function () {
+    const task = this
+    const pendingEvents = task.$locals.pendingEvents || []
+
+    task.$locals.pendingEvents = undefined
+    task.$session(null)
+
+    for (const { event, changes } of pendingEvents) {
+        await sendEvents(task, event, changes)
+    }
+}
 
 // the model is still 'Task' but mongoose converts it into lowercase and pluralizes it
 const Task = mongoose.model('Task', taskSchema)
 
+Task.PRIORITIES = PRIORITIES
+Task.UPDATABLE_FIELDS = UPDATABLE_FIELDS
+
 
-module.exports = Task
\ No newline at end of file
+module.exports = Task
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose')
+
+
+// One entry for every change made to a Task
+const taskHistorySchema = new mongoose.Schema({
+    task: {                                     // RELATIONSHIP TO TASK
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'Task'
+    },
+    user: {                                     // The User that made the change (empty for changes made by the server)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    version: {                                  // 1 for the creation of the Task, then 2, 3, ...
+        type: Number,
+        required: true
+    },
+    action: {
+        type: String,
+        required: true,
+        enum: ['create', 'update', 'complete', 'delete', 'restore', 'revert']
+    },
+    changes: [{                                 // The properties that changed with their old and new values
+        _id: false,
+        field: String,
+        oldValue: mongoose.Schema.Types.Mixed,
+        newValue: mongoose.Schema.Types.Mixed
+    }],
+    snapshot: {                                 // The values of every tracked property after the change, used to revert
+        type: mongoose.Schema.Types.Mixed
+    },
+    revertedTo: {                               // For 'revert' entries, the version the Task was reverted to
+        type: Number
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }       // History entries never change
+})
+
+taskHistorySchema.index({ task: 1, version: -1 }, { unique: true })
+
+/**
+ * Description:
+ *      Adds an entry to the history of a Task with the next version number.
+ *      The version is taken from the Task's historyVersion counter with $inc, so it is unique even when
+ *      the Task is changed by two requests at the same time.
+ * 
+ * Parameters:
+ *      @param entry: { task, user, action, changes, snapshot, revertedTo }
+ *      @param session: Optional, the MongoDB session of the transaction the change was made in
+ * 
+ * Returns:
+ *      The saved TaskHistory Document
+ */
+taskHistorySchema.statics.record = async (entry, session) => {
+    const Task = mongoose.model('Task')                         // Not required at the top, the Task model requires this one
+    const nextVersion = () => Task.findOneAndUpdate(
+        { _id: entry.task, historyVersion: { $exists: true } },
+        { $inc: { historyVersion: 1 } },
+        { new: true, session, timestamps: false, fields: { historyVersion: 1 } }
+    )
+
+    let counter = await nextVersion()
+
+    if (!counter) {                                             // The Task's history was started before the counter existed
+        const last = await TaskHistory.findOne({ task: entry.task }).sort({ version: -1 }).session(session || null)
+
+        await Task.updateOne(
+            { _id: entry.task, historyVersion: { $exists: false } },    // Only the first request sets it
+            { $set: { historyVersion: last ? last.version : 0 } },
+            { session, timestamps: false }
+        )
+
+        counter = await nextVersion()
+    }
+
+    return new TaskHistory({ ...entry, version: counter.historyVersion }).save({ session })
+}
+
+const TaskHistory = mongoose.model('TaskHistory', taskHistorySchema)
+
+
+module.exports = TaskHistory
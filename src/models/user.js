@@ -4,7 +4,19 @@ const mongoose = require('mongoose')
 const validator = require('validator')
 const bcrypt = require('bcryptjs')
 const jwt = require('jsonwebtoken')
+const crypto = require('crypto')
+const { generateSecret, verifyCode } = require('../utils/totp')
 const Task = require('../models/task')
+const Tag = require('../models/tag')
+const Project = require('../models/project')
+const Comment = require('../models/comment')
+const Notification = require('../models/notification')
+const Webhook = require('../models/webhook')
+const WebhookDelivery = require('../models/webhookDelivery')
+const ApiKey = require('../models/apiKey')
+const Workspace = require('../models/workspace')
+
+const dummyPasswordHash = bcrypt.hashSync('not-a-real-password', 8)   // Compared against when a login's email isn't found
 
 const userSchema = new mongoose.Schema({
     name: {
@@ -44,19 +56,83 @@ const userSchema = new mongoose.Schema({
             }
         }
     },
-    tokens: [{
-        token: {
+    role: {                             // Admins can use the /admin routes (changed by another admin, or in the database for the first one)
+        type: String,
+        enum: ['user', 'admin'],
+        default: 'user'
+    },
+    disabled: {                         // Disabled Users can't log in or use their sessions and API keys
+        type: Boolean,
+        default: false
+    },
+    disabledReason: {
+        type: String,
+        trim: true
+    },
+    tokens: [{                          // One entry per session (device the User logged in on)
+        token: {                            // The current access token of the session
             type: String,
             required: true
-        }
+        },
+        refreshGeneration: {                // Increases every time the refresh token is used, older refresh tokens are rejected
+            type: Number,
+            default: 0
+        },
+        userAgent: String,                  // The device/browser the User logged in with
+        ip: String,
+        createdAt: {
+            type: Date,
+            default: Date.now
+        },
+        lastUsedAt: Date,
+        expiresAt: Date                     // When the refresh token expires, the session is removed after that
     }],
     avatar: {                           // Property that saves the user image binary data
         type: Buffer
     },
+    dailyDigest: {                      // Email the User a digest of their Tasks due today and overdue every day
+        type: Boolean,
+        default: false
+    },
+    digestHour: {                       // The hour (UTC) the daily digest is sent at
+        type: Number,
+        default: 8,
+        min: 0,
+        max: 23
+    },
+    lastDigestAt: {                     // When the last daily digest was sent, set by jobs/reminders.js
+        type: Date
+    },
+    emailVerified: {                    // Set once the User opens the link in the verification email
+        type: Boolean,
+        default: false
+    },
+    emailVerification: {               // Only the hash of the emailed token is saved
+        tokenHash: String,
+        expiresAt: Date
+    },
+    passwordReset: {
+        tokenHash: String,
+        expiresAt: Date
+    },
+    twoFactor: {                        // Two-factor authentication with an authenticator app (TOTP)
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: String,                     // Shared with the authenticator app (base32)
+        pendingSecret: String,              // The secret being set up, until it is confirmed with a first code
+        lastUsedStep: Number,               // The time step of the last accepted code, so a code can't be used twice
+        recoveryCodes: [String]             // Hashes of the unused recovery codes
+    },
 }, {
-    timestamps: true                    // Enable timestamps on User objects
+    timestamps: true,                   // Enable timestamps on User objects
+    skipVersioning: { tokens: true }    // Logging in and out doesn't change the profile's version
 })  
 
+// The fields of the profile, changing one of them increases the User's version (see the pre save hook)
+const profileFields = ['name', 'email', 'age', 'password', 'dailyDigest', 'digestHour']
+
 // This is a virtual property
 // Not actual data saved in the DB, it is a relationship between 2 entities (i.e. User and Task)
 // It is just a way for Mongoose to figure out how these 2 entities are related
@@ -67,6 +143,14 @@ userSchema.virtual('tasks', {
 })
 
 
+// Virtual property for the Projects owned by the User
+userSchema.virtual('projects', {
+    ref: 'Project',
+    localField: '_id',
+    foreignField: 'owner'
+})
+
+
 //The difference between 'schema.methods' and 'schema.statics'
 // is that 'methods' is available to the instance of the mongoose model
 // while, statics is available from the actual mongoose model 
@@ -74,24 +158,234 @@ userSchema.virtual('tasks', {
 // kind of like a static method
 
 // Has to be a regular function because we need the 'this' binding
+/**
+ * Description:
+ *      Signs the tokens of a session.
+ *      The access token is short lived (ACCESS_TOKEN_EXPIRY, default 15 minutes) and is sent with every request,
+ *      the refresh token lives longer (REFRESH_TOKEN_EXPIRY, default 30 days) and is only used to get a new access token.
+ * 
+ * Parameters:
+ *      @param userId: The ObjectId of the User
+ *      @param sessionId: The _id of the session (entry in the tokens array)
+ *      @param generation: The refresh generation of the session the refresh token is for
+ * 
+ * Returns:
+ *      { token, refreshToken, expiresAt } where expiresAt is when the refresh token expires
+ */
+const signSessionTokens = (userId, sessionId, generation) => {
+    const token = jwt.sign({ _id: userId.toString(), sid: sessionId.toString() }, process.env.JWT_SECRET, {
+        expiresIn: process.env.ACCESS_TOKEN_EXPIRY || '15m'
+    })
+    const refreshToken = jwt.sign({ _id: userId.toString(), sid: sessionId.toString(), gen: generation, type: 'refresh' }, process.env.JWT_SECRET, {
+        expiresIn: process.env.REFRESH_TOKEN_EXPIRY || '30d'
+    })
+
+    return { token, refreshToken, expiresAt: new Date(jwt.decode(refreshToken).exp * 1000) }
+}
+
 /**
  * Description:
  *      Uses a regular function to be able to use the 'this' binding.
- *      Creates a new token 
+ *      Starts a new session for the User (and removes the sessions that expired)
+ * 
+ * Parameters:
+ *      @param device: { userAgent, ip } of the request that logged in
  * 
  * Returns:
- *     The token that was created 
+ *     { token, refreshToken } of the new session
  */
-userSchema.methods.generateAuthToken = async function () {
+userSchema.methods.generateAuthToken = async function (device = { }) {
     const user = this                                                       // Reference to user instance
-    const token = jwt.sign({_id: user._id.toString()}, process.env.JWT_SECRET)     // Generate token
+    const sessionId = new mongoose.Types.ObjectId()
+    const { token, refreshToken, expiresAt } = signSessionTokens(user._id, sessionId, 0)
+
+    user.tokens = user.tokens
+        .filter((session) => !session.expiresAt || session.expiresAt > Date.now())    // Drop the expired sessions
+        .concat({
+            _id: sessionId,
+            token,
+            userAgent: device.userAgent,
+            ip: device.ip,
+            lastUsedAt: new Date(),
+            expiresAt
+        })
+    await user.save({ timestamps: false })                                  // Save user instance (the sessions aren't part of the profile)
+
+    return { token, refreshToken }
+}
+
+// How long the tokens sent by email can be used for
+const oneTimeTokenLifetimes = {
+    emailVerification: 24 * 60 * 60 * 1000,        // 1 day
+    passwordReset: 60 * 60 * 1000                   // 1 hour
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+/**
+ * Description:
+ *      Creates a single-use token that is sent by email. Only its hash is kept on the User (the User still needs to be saved).
+ * 
+ * Parameters:
+ *      @param kind: 'emailVerification' or 'passwordReset'
+ * 
+ * Returns:
+ *      The token to put in the email
+ */
+userSchema.methods.createOneTimeToken = function (kind) {
+    const user = this
+    const token = crypto.randomBytes(32).toString('hex')
 
-    user.tokens = user.tokens.concat({ token: token})                       // Add the token to the tokens property
-    await user.save()                                                       // Save user instance
+    user[kind] = {
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + oneTimeTokenLifetimes[kind])
+    }
 
     return token
 }
 
+/**
+ * Description:
+ *      Finds the User a token sent by email belongs to, if it hasn't expired or been used
+ * 
+ * Parameters:
+ *      @param kind: 'emailVerification' or 'passwordReset'
+ *      @param token: The token from the email
+ * 
+ * Returns:
+ *      The User Document, or null if the token isn't valid
+ */
+userSchema.statics.findByOneTimeToken = async (kind, token) => {
+    if (typeof token !== 'string' || !token) {
+        return null
+    }
+
+    return User.findOne({
+        [`${kind}.tokenHash`]: hashToken(token),
+        [`${kind}.expiresAt`]: { $gt: new Date() }
+    })
+}
+
+/**
+ * Description:
+ *      Starts setting up two-factor authentication. The secret only replaces the current one once
+ *      it is confirmed with confirmTwoFactor() (the User still needs to be saved).
+ * 
+ * Returns:
+ *      The new secret (base32) for the authenticator app
+ */
+userSchema.methods.setupTwoFactor = function () {
+    const user = this
+
+    user.twoFactor.pendingSecret = generateSecret()
+
+    return user.twoFactor.pendingSecret
+}
+
+/**
+ * Description:
+ *      Turns on two-factor authentication if the code matches the secret being set up,
+ *      and creates new recovery codes (the User still needs to be saved).
+ * 
+ * Parameters:
+ *      @param code: The first code from the authenticator app
+ * 
+ * Returns:
+ *      The recovery codes (only their hashes are kept), or null if the code is wrong
+ */
+userSchema.methods.confirmTwoFactor = function (code) {
+    const user = this
+    const step = user.twoFactor.pendingSecret && verifyCode(user.twoFactor.pendingSecret, code)
+
+    if (step === null || step === undefined) {
+        return null
+    }
+
+    const recoveryCodes = Array.from({ length: 10 }, () => {
+        const code = crypto.randomBytes(5).toString('hex')
+        return `${code.slice(0, 5)}-${code.slice(5)}`                   // Example: 3f2a1-9bc04
+    })
+
+    user.twoFactor = {
+        enabled: true,
+        secret: user.twoFactor.pendingSecret,
+        lastUsedStep: step,
+        recoveryCodes: recoveryCodes.map((code) => hashToken(code))
+    }
+
+    return recoveryCodes
+}
+
+/**
+ * Description:
+ *      Checks the second factor of a login, either a code from the authenticator app or one of the recovery codes.
+ *      Used codes are remembered (recovery codes are removed), so the User still needs to be saved.
+ * 
+ * Parameters:
+ *      @param factor: { code } or { recoveryCode }
+ * 
+ * Returns:
+ *      true if the code is valid
+ */
+userSchema.methods.verifyTwoFactor = function ({ code, recoveryCode } = { }) {
+    const user = this
+
+    if (!user.twoFactor.enabled) {
+        return false
+    }
+
+    if (recoveryCode) {
+        const hash = hashToken(String(recoveryCode).trim().toLowerCase())
+        const index = user.twoFactor.recoveryCodes.indexOf(hash)
+
+        if (index === -1) {
+            return false
+        }
+
+        user.twoFactor.recoveryCodes.splice(index, 1)                   // Each recovery code works once
+        return true
+    }
+
+    const lastUsedStep = user.twoFactor.lastUsedStep === undefined ? -1 : user.twoFactor.lastUsedStep
+    const step = verifyCode(user.twoFactor.secret, code, lastUsedStep)
+
+    if (step === null) {
+        return false
+    }
+
+    user.twoFactor.lastUsedStep = step
+    return true
+}
+
+/**
+ * Description:
+ *      Creates the short lived token that proves the password was right, it is traded for a session
+ *      together with a two-factor code at POST /users/login/2fa
+ * 
+ * Returns:
+ *      The token (valid for 5 minutes)
+ */
+userSchema.methods.generateTwoFactorToken = function () {
+    return jwt.sign({ _id: this._id.toString(), type: '2fa' }, process.env.JWT_SECRET, { expiresIn: '5m' })
+}
+
+/**
+ * Description:
+ *      Finds the User a token from generateTwoFactorToken() belongs to
+ * 
+ * Returns:
+ *      The User Document, or null if the token is invalid or expired
+ */
+userSchema.statics.findByTwoFactorToken = async (token) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET)
+
+        return decoded.type === '2fa' ? await User.findById(decoded._id) : null
+    } catch (e) {
+        return null
+    }
+}
+
 /**
  * Description:
  *      Anytime our server sends the User Document back to the user,
@@ -108,10 +402,66 @@ userSchema.methods.toJSON = function () {
     delete publicUser.password                  // Remove the password property from the copy
     delete publicUser.tokens                    // Remove the tokens array from the copy
     delete publicUser.avatar                    // Remove the avatar binary data as it will slow down request times and the user                                                    really doesn't need that binary data, they can just request it from the server
+    delete publicUser.emailVerification         // Remove the hashes of the emailed tokens
+    delete publicUser.passwordReset
+
+    publicUser.twoFactorEnabled = !!user.twoFactor.enabled     // Only show whether two-factor authentication is on, not the secret
+    delete publicUser.twoFactor
+
+    publicUser.version = publicUser.__v         // Sent back in updates to detect conflicting changes
+    delete publicUser.__v
 
     return publicUser                           // Return the modified copy
 }
 
+/**
+ * Description:
+ *      Trades a refresh token for a new access token and refresh token (the refresh token rotates).
+ *      Using a refresh token that was already used means it was copied, so the whole session is revoked.
+ * 
+ * Parameters:
+ *      @param refreshToken: The refresh token from the login (or the last refresh)
+ *      @param device: { userAgent, ip } of the request
+ * 
+ * Errors:
+ *      Throws an error if the refresh token is invalid, expired, already used or its session was revoked
+ * 
+ * Returns:
+ *      { token, refreshToken } for the session
+ */
+userSchema.statics.refreshSession = async (refreshToken, device = { }) => {
+    const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET)       // Throws if it is invalid or expired
+
+    if (decoded.type !== 'refresh') {
+        throw new Error('This is not a refresh token')
+    }
+
+    const tokens = signSessionTokens(decoded._id, decoded.sid, decoded.gen + 1)
+
+    // Only succeeds if the session still exists and the refresh token is the latest one, so two requests can't both use it
+    const result = await User.updateOne({
+        _id: decoded._id,
+        tokens: { $elemMatch: { _id: decoded.sid, refreshGeneration: decoded.gen } }
+    }, {
+        $set: {
+            'tokens.$.token': tokens.token,
+            'tokens.$.refreshGeneration': decoded.gen + 1,
+            'tokens.$.userAgent': device.userAgent,
+            'tokens.$.ip': device.ip,
+            'tokens.$.lastUsedAt': new Date(),
+            'tokens.$.expiresAt': tokens.expiresAt
+        }
+    }, { timestamps: false })
+
+    if (result.nModified !== 1) {
+        // Either the session was revoked or the refresh token was used before (reuse), in both cases the session is removed
+        await User.updateOne({ _id: decoded._id }, { $pull: { tokens: { _id: decoded.sid } } }, { timestamps: false })
+        throw new Error('This refresh token is no longer valid, please log in again')
+    }
+
+    return { token: tokens.token, refreshToken: tokens.refreshToken }
+}
+
 /**
  * Description: 
  *      Logs a user in
@@ -120,23 +470,17 @@ userSchema.methods.toJSON = function () {
  *      email: The email in the body of the user request (example: req.body.email)
  *      pass: The password in the body of the user request (example: req.body.password)
  * 
- * Errors:
- *      Throws an error if the email or password is incorrect
- * 
  * Returns:
- *      The user object if the email and password matched our database
+ *      The user object if the email and password matched our database, or null if either is wrong (without saying which)
  */
 userSchema.statics.findByCredentials = async (email, pass) => {
     const user = await User.findOne({ email : email })                  // Find the User Document by email
+    const hash = user ? user.password : dummyPasswordHash               // Still compare when the email isn't found, so the response time doesn't give it away
 
-    if (!user) {
-        throw new Error('Unable to login (email not found)')                // Throw error: email not found
-    }
-
-    const isMatch = await bcrypt.compare(pass, user.password)           // Check if the password is correct
+    const isMatch = await bcrypt.compare(String(pass || ''), hash)      // Check if the password is correct
 
-    if (!isMatch) {
-        throw new Error('Unable to login (password is incorrect)')          // Throw error: password is wrong
+    if (!user || !isMatch) {
+        return null                                                     // The same for a wrong email or password
     }
 
     return user                                                         //Otherwise, success, return
@@ -151,16 +495,45 @@ userSchema.pre('save', async function (next) {
         user.password = await bcrypt.hash(user.password, 8)
     }
 
+    if (!user.isNew && profileFields.some((field) => user.isModified(field))) {
+        user.increment()                        // Increase the version, the save fails if the profile was changed elsewhere in the meantime
+    }
+
     next()
 })
 
-// Delete tasks owned by User when the User Document is deleted
+// Delete tasks (and tags and projects) owned by User when the User Document is deleted
 // This is triggered when the user requests to delete their profile
     // From the userRouter.js at router.delete('users/me')
 userSchema.pre('remove', async function (next) {
     const user = this
 
-    await Task.deleteMany({ owner: user._id })      // Delete all Tasks where their 'owner' property matches the User's object id
+    // Leave every Workspace first, so the Workspace Tasks the User created are handed over instead of deleted
+    await Workspace.removeUser(user._id)
+
+    const taskIds = await Task.distinct('_id', { owner: user._id }).setOptions({ withTrashed: true })     // All Tasks where their 'owner' property matches the User's object id
+    await Task.deleteTasks(taskIds)                 // Delete the Tasks along with their Comments and Attachments
+    await Tag.deleteMany({ owner: user._id })       // Delete all the User's Tags
+    await Project.deleteMany({ owner: user._id })   // Delete all the User's Projects
+
+    // Stop sharing other Users' Tasks and Projects with the User
+    await Task.updateMany({ 'collaborators.user': user._id }, { $pull: { collaborators: { user: user._id } } })
+    await Task.updateMany({ assignee: user._id }, { $unset: { assignee: '' } })
+    await Project.updateMany({ 'collaborators.user': user._id }, { $pull: { collaborators: { user: user._id } } })
+
+    // Delete the Comments the User wrote on other Users' Tasks and recount them
+    const commentedTaskIds = await Comment.distinct('task', { author: user._id })
+    await Comment.deleteMany({ author: user._id })
+    await Promise.all(commentedTaskIds.map((taskId) => Comment.updateCount(taskId)))
+
+    await Notification.deleteMany({ user: user._id })
+
+    const webhookIds = await Webhook.distinct('_id', { owner: user._id })
+    await WebhookDelivery.deleteMany({ webhook: { $in: webhookIds } })
+    await Webhook.deleteMany({ owner: user._id })
+
+    await ApiKey.deleteMany({ owner: user._id })
+
     next()
 })
 
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose')
+const validator = require('validator')
+const crypto = require('crypto')
+const { checkPublicUrl } = require('../utils/network')
+
+// The events a Webhook can subscribe to
+const WEBHOOK_EVENTS = ['task.created', 'task.updated', 'task.completed', 'task.deleted', 'task.restored', 'user.updated']
+
+// Webhooks can only be sent to the public internet, unless WEBHOOK_ALLOW_PRIVATE_URLS is 'true' in the config (for tests and local development)
+const privateUrlsAllowed = () => process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true'
+
+const webhookSchema = new mongoose.Schema({
+    url: {                                      // Where the events are POSTed to
+        type: String,
+        required: true,
+        trim: true,
+        validate(value) {
+            if (!validator.isURL(value, { protocols: ['http', 'https'], require_protocol: true, require_tld: !privateUrlsAllowed() })) {
+                throw new Error('URL must be a valid http or https URL')
+            }
+
+            if (!privateUrlsAllowed()) {
+                checkPublicUrl(value)                   // Names are checked again when each event is sent (jobs/webhooks.js)
+            }
+        }
+    },
+    events: {
+        type: [{ type: String, enum: WEBHOOK_EVENTS }],
+        validate: {
+            validator: (value) => value.length > 0,
+            message: 'Subscribe to at least one event'
+        }
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 200
+    },
+    active: {                                   // Inactive Webhooks don't receive any events
+        type: Boolean,
+        default: true
+    },
+    secret: {                                   // Used to sign the payloads (HMAC-SHA256) so the receiver can check they came from us
+        type: String,
+        required: true,
+        default: () => crypto.randomBytes(32).toString('hex')
+    },
+    owner: {                                    // RELATIONSHIP TO USER
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'User'
+    }
+}, {
+    timestamps: true                            // Enable timestamps on Webhook objects
+})
+
+/**
+ * Description:
+ *      Hides the secret before the Webhook is sent back to the user.
+ *      It is only shown when the Webhook is created (set webhook.$locals.showSecret).
+ *
+ * Returns:
+ *      A modified copy of the Webhook Document
+ */
+webhookSchema.methods.toJSON = function () {
+    const webhook = this
+    const publicWebhook = webhook.toObject()
+
+    if (!webhook.$locals.showSecret) {
+        delete publicWebhook.secret
+    }
+
+    return publicWebhook
+}
+
+const Webhook = mongoose.model('Webhook', webhookSchema)
+
+Webhook.WEBHOOK_EVENTS = WEBHOOK_EVENTS
+Webhook.privateUrlsAllowed = privateUrlsAllowed
+
+
+module.exports = Webhook
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose')
+
+// How long deliveries are kept in the log
+const retentionDays = 30
+
+// One event sent (or being sent) to a Webhook, with every attempt made to deliver it
+const webhookDeliverySchema = new mongoose.Schema({
+    event: {                                    // 'ping' for test events, otherwise one of Webhook.WEBHOOK_EVENTS
+        type: String,
+        required: true
+    },
+    payload: {                                  // The JSON body POSTed to the Webhook
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'succeeded', 'failed'],
+        default: 'pending'
+    },
+    attempts: [{                                // One entry per attempt, with the response code of the receiver (if it answered)
+        _id: false,
+        at: Date,
+        responseStatus: Number,
+        error: String,
+        duration: Number                            // Milliseconds
+    }],
+    nextAttemptAt: {                            // When the delivery is (re)tried, unset once it succeeds or fails for good
+        type: Date,
+        index: true
+    },
+    webhook: {                                  // RELATIONSHIP TO WEBHOOK
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'Webhook'
+    }
+}, {
+    timestamps: true                            // Enable timestamps on WebhookDelivery objects
+})
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 })
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: retentionDays * 24 * 60 * 60 })   // MongoDB removes old deliveries
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema)
+
+
+module.exports = WebhookDelivery
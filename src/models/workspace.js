@@ -0,0 +1,177 @@
+const mongoose = require('mongoose')
+const Task = require('./task')
+const Invitation = require('./invitation')
+
+// The roles of the members of a Workspace, from least to most access
+    // member: Can see, create and update the Workspace's Tasks, and delete the ones they created
+    // admin: Can also delete any Task, invite people and remove members
+    // owner: Can also change the admins, rename and delete the Workspace (there is always exactly one)
+const WORKSPACE_ROLES = ['member', 'admin', 'owner']
+
+// A team that shares its Tasks. Workspace Tasks have the Workspace's _id in their 'workspace' property
+const workspaceSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    members: [{
+        user: {                                 // RELATIONSHIP TO USER
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+            ref: 'User'
+        },
+        role: {
+            type: String,
+            required: true,
+            enum: WORKSPACE_ROLES
+        },
+        joinedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, {
+    timestamps: true                            // Enable timestamps on Workspace objects
+})
+
+workspaceSchema.index({ 'members.user': 1 })
+
+/**
+ * Description:
+ *      Finds the role a User has in the Workspace
+ * 
+ * Returns:
+ *      'owner', 'admin', 'member' or undefined if the User isn't a member
+ */
+workspaceSchema.methods.getMemberRole = function (userId) {
+    const workspace = this
+    const member = workspace.members.find((member) => member.user.equals(userId))
+
+    return member ? member.role : undefined
+}
+
+/**
+ * Description:
+ *      Finds a Workspace and the role the User has in it
+ * 
+ * Parameters:
+ *      @param workspaceId: The _id of the Workspace
+ *      @param userId: The ObjectId of the User
+ * 
+ * Returns:
+ *      { workspace, role }, both are undefined if the Workspace doesn't exist or the User isn't a member
+ */
+workspaceSchema.statics.findWithRole = async (workspaceId, userId) => {
+    const workspace = await Workspace.findById(workspaceId)
+    const role = workspace ? workspace.getMemberRole(userId) : undefined
+
+    if (!role) {
+        return { }
+    }
+
+    return { workspace, role }
+}
+
+/**
+ * Description:
+ *      Checks if a role in a Workspace is at least the required role
+ */
+const hasWorkspaceRole = (role, requiredRole) => {
+    return WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(requiredRole) && WORKSPACE_ROLES.includes(role)
+}
+
+/**
+ * Description:
+ *      The role the User has on the Workspace's Tasks (see Task.getRole()): admins and the owner can do everything
+ *      the Task's owner can, members can edit
+ */
+workspaceSchema.methods.getTaskRole = function (userId) {
+    const workspace = this
+    const role = workspace.getMemberRole(userId)
+
+    if (!role) {
+        return undefined
+    }
+
+    return role === 'member' ? 'editor' : 'owner'
+}
+
+/**
+ * Description:
+ *      The owner of the Workspace
+ */
+workspaceSchema.methods.getOwnerId = function () {
+    const workspace = this
+
+    return workspace.members.find((member) => member.role === 'owner').user
+}
+
+/**
+ * Description:
+ *      Removes a member from the Workspace (they left or were removed). The Tasks stay in the Workspace:
+ *      the ones the member created are handed over to the Workspace's owner and the ones assigned to them are unassigned.
+ *      If the member was the owner, the longest standing admin (or member) becomes the owner.
+ *      The Workspace still needs to be saved.
+ * 
+ * Returns:
+ *      false if the member was the last one, the Workspace should be deleted instead
+ */
+workspaceSchema.methods.removeMember = async function (userId) {
+    const workspace = this
+    const member = workspace.members.find((member) => member.user.equals(userId))
+    const others = workspace.members.filter((other) => other !== member)
+
+    if (others.length === 0) {
+        return false
+    }
+
+    if (member.role === 'owner') {
+        const successor = others.find((other) => other.role === 'admin') || others[0]      // Members are kept in the order they joined
+        successor.role = 'owner'
+    }
+
+    workspace.members.pull(member)
+
+    await Task.updateMany({ workspace: workspace._id, owner: userId }, { owner: workspace.getOwnerId() })
+    await Task.updateMany({ workspace: workspace._id, assignee: userId }, { $unset: { assignee: '' } })
+
+    return true
+}
+
+/**
+ * Description:
+ *      Takes a User out of every Workspace they are in when their account is deleted (User model middleware).
+ *      Workspaces the User was the only member of are deleted.
+ */
+workspaceSchema.statics.removeUser = async (userId) => {
+    const workspaces = await Workspace.find({ 'members.user': userId })
+
+    for (const workspace of workspaces) {
+        if (await workspace.removeMember(userId)) {
+            await workspace.save()
+        } else {
+            await workspace.remove()
+        }
+    }
+}
+
+// Delete the Workspace's Tasks and invitations when the Workspace Document is deleted
+workspaceSchema.pre('remove', async function (next) {
+    const workspace = this
+
+    const taskIds = await Task.distinct('_id', { workspace: workspace._id }).setOptions({ withTrashed: true })
+    await Task.deleteTasks(taskIds)
+    await Invitation.deleteMany({ workspace: workspace._id })
+
+    next()
+})
+
+const Workspace = mongoose.model('Workspace', workspaceSchema)
+
+Workspace.ROLES = WORKSPACE_ROLES
+Workspace.hasRole = hasWorkspaceRole
+
+
+module.exports = Workspace
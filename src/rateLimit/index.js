@@ -0,0 +1,28 @@
+/**
+ * 
+ * This file picks where the rate limit counters are kept
+ * 
+ * RATE_LIMIT_STORE in the config can be:
+ *      memory (default): Counters are kept in the server's memory, each server counts on its own
+ *      mongo: Counters are kept in MongoDB so they are shared by every server (use this when running more than one)
+ * 
+ * Every store has the same methods:
+ *      increment(key, windowMs): Counts a hit and returns { count, resetAt }, a new window starts when the last one is over
+ *      get(key): Returns { count, resetAt } for the current window, or null if there isn't one
+ *      reset(key): Forgets the counter
+ * 
+ */
+
+const stores = {
+    memory: () => require('./memoryStore'),
+    mongo: () => require('./mongoStore')
+}
+
+const name = process.env.RATE_LIMIT_STORE || 'memory'
+
+if (!stores[name]) {
+    throw new Error(`Unknown RATE_LIMIT_STORE '${name}', must be one of: ` + Object.keys(stores).join(', '))
+}
+
+
+module.exports = stores[name]()
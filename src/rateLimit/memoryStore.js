@@ -0,0 +1,66 @@
+const counters = new Map()                      // key -> { count, resetAt }
+const sweepInterval = 60 * 1000                 // Forget the finished windows every minute so the Map doesn't keep growing
+
+/**
+ * Description:
+ *      Counts a hit for the key, starting a new window if there isn't one
+ * 
+ * Parameters:
+ *      @param key: What is counted (example: login-ip:127.0.0.1)
+ *      @param windowMs: How long a new window lasts
+ * 
+ * Returns:
+ *      { count, resetAt } where resetAt is the Date the window ends
+ */
+const increment = async (key, windowMs) => {
+    const counter = await get(key)
+
+    if (counter) {
+        counter.count++
+        return { ...counter }
+    }
+
+    const created = { count: 1, resetAt: new Date(Date.now() + windowMs) }
+    counters.set(key, created)
+
+    return { ...created }
+}
+
+/**
+ * Description:
+ *      Returns the counter of the key's current window, or null if there isn't one
+ */
+const get = async (key) => {
+    const counter = counters.get(key)
+
+    if (!counter || counter.resetAt <= Date.now()) {
+        return null
+    }
+
+    return counter
+}
+
+/**
+ * Description:
+ *      Forgets the key's counter
+ */
+const reset = async (key) => {
+    counters.delete(key)
+}
+
+setInterval(() => {
+    const now = Date.now()
+
+    counters.forEach((counter, key) => {
+        if (counter.resetAt <= now) {
+            counters.delete(key)
+        }
+    })
+}, sweepInterval).unref()                       // Doesn't keep the process (or the tests) running
+
+
+module.exports = {
+    increment,
+    get,
+    reset
+}
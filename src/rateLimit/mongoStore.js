@@ -0,0 +1,66 @@
+const RateLimitCounter = require('../models/rateLimitCounter')
+
+/**
+ * Description:
+ *      Counts a hit for the key, starting a new window if there isn't one.
+ *      Both steps are atomic so servers counting the same key at the same time don't lose hits.
+ * 
+ * Parameters:
+ *      @param key: What is counted (example: login-ip:127.0.0.1)
+ *      @param windowMs: How long a new window lasts
+ * 
+ * Returns:
+ *      { count, resetAt } where resetAt is the Date the window ends
+ */
+const increment = async (key, windowMs) => {
+    const counter = await RateLimitCounter.findOneAndUpdate(
+        { key, resetAt: { $gt: new Date() } },
+        { $inc: { count: 1 } },
+        { new: true }
+    )
+
+    if (counter) {
+        return { count: counter.count, resetAt: counter.resetAt }
+    }
+
+    try {
+        const created = await RateLimitCounter.findOneAndUpdate(
+            { key, resetAt: { $lte: new Date() } },                         // Replaces a finished window that MongoDB hasn't removed yet
+            { count: 1, resetAt: new Date(Date.now() + windowMs) },
+            { new: true, upsert: true }
+        )
+
+        return { count: created.count, resetAt: created.resetAt }
+    } catch (e) {
+        if (e.code === 11000) {                                             // Another server started the window first, count in it instead
+            return increment(key, windowMs)
+        }
+
+        throw e
+    }
+}
+
+/**
+ * Description:
+ *      Returns the counter of the key's current window, or null if there isn't one
+ */
+const get = async (key) => {
+    const counter = await RateLimitCounter.findOne({ key, resetAt: { $gt: new Date() } })
+
+    return counter && { count: counter.count, resetAt: counter.resetAt }
+}
+
+/**
+ * Description:
+ *      Forgets the key's counter
+ */
+const reset = async (key) => {
+    await RateLimitCounter.deleteOne({ key })
+}
+
+
+module.exports = {
+    increment,
+    get,
+    reset
+}
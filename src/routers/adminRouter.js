@@ -0,0 +1,325 @@
+const log = console.log
+
+const express = require('express')
+const router = new express.Router()
+const auth = require('../middleware/auth')
+const { adminOnly } = require('../middleware/scope')
+const User = require('../models/user')
+const Task = require('../models/task')
+const AuditLog = require('../models/auditLog')
+const { escapeRegExp } = require('../utils/search')
+const { validate, idParams, pagination } = require('../middleware/validate')
+const { badRequest, notFound } = require('../utils/errors')
+
+/**
+ * Description:
+ *      Lists the Users, newest first
+ * 
+ * Parameters:
+ *      search: A URL query that matches the start of the name or email (case insensitive)
+ *      role: A URL query that only returns the Users with the role (user or admin)
+ *      disabled: A URL query, 'true' only returns the disabled Users and 'false' the others
+ *      limit: A URL query that determines how many items are shown in each page (defaults to 50)
+ *      skip: A URL query that determines which page to show
+ * 
+ * Example:
+ *      localhost:3000/admin/users?search=jo&disabled=false&limit=20&skip=20
+ */
+router.get('/admin/users', auth, adminOnly, validate({
+    query: {
+        ...pagination,
+        search: { type: 'string' },
+        role: { type: 'string', enum: ['user', 'admin'] },
+        disabled: { type: 'boolean' }
+    }
+}), async (req, res, next) => {
+    const match = {}
+
+    if (req.query.search) {
+        const startsWith = new RegExp('^' + escapeRegExp(req.query.search), 'i')
+        match.$or = [{ name: startsWith }, { email: startsWith }]
+    }
+
+    if (req.query.role) {
+        match.role = req.query.role
+    }
+
+    if (req.query.disabled) {
+        match.disabled = req.query.disabled === 'true'
+    }
+
+    try {
+        const users = await User.find(match)
+            .sort({ createdAt: -1 })
+            .limit(parseInt(req.query.limit) || 50)
+            .skip(parseInt(req.query.skip) || 0)
+
+        res.send(users)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Fetches a User along with how many Tasks they have
+ * 
+ * Returns:
+ *      { user, tasks: { total, completed, open, overdue, assigned, trashed } }
+ *          assigned: Other Users' Tasks assigned to the User
+ *          trashed: The User's Tasks in the trash (not counted in the others)
+ * 
+ * Example:
+ *      localhost:3000/admin/users/5cf0a1...
+ */
+router.get('/admin/users/:id', auth, adminOnly, validate({ params: idParams }), async (req, res, next) => {
+    try {
+        const user = await User.findById(req.params.id)
+
+        if (!user) {
+            return next(notFound('User not found'))
+        }
+
+        const owner = user._id
+        const [total, completed, overdue, assigned, trashed] = await Promise.all([
+            Task.countDocuments({ owner }),
+            Task.countDocuments({ owner, completed: true }),
+            Task.countDocuments({ owner, completed: false, dueDate: { $lt: new Date() } }),
+            Task.countDocuments({ assignee: owner, owner: { $ne: owner } }),
+            Task.countDocuments({ owner, deletedAt: { $ne: null } })
+        ])
+
+        res.send({ user, tasks: { total, completed, open: total - completed, overdue, assigned, trashed } })
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Changes a User's role. Admins can't change their own role, so there is always an admin left.
+ * 
+ * EXAMPLE:
+ *      localhost:3000/admin/users/5cf0a1.../role
+ *      body:   {
+ *                  role: "admin"           <---- user or admin
+ *              }
+ */
+router.post('/admin/users/:id/role', auth, adminOnly, validate({
+    params: idParams,
+    body: { role: { type: 'string', enum: ['user', 'admin'], required: true } }
+}), async (req, res, next) => {
+    if (req.params.id === req.user._id.toString()) {
+        return next(badRequest('You can\'t change your own role'))
+    }
+
+    try {
+        const user = await User.findById(req.params.id)
+
+        if (!user) {
+            return next(notFound('User not found'))
+        }
+
+        const previousRole = user.role
+        user.role = req.body.role
+        await user.save()
+
+        await AuditLog.record(req, 'user.role', user, { role: user.role, previousRole })
+
+        res.send(user)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Disables a User's account. They are logged out everywhere, their API keys stop working and they can't log in
+ *      until an admin enables the account again.
+ * 
+ * EXAMPLE:
+ *      localhost:3000/admin/users/5cf0a1.../disable
+ *      body:   {
+ *                  reason: "Sending spam"          <---- optional
+ *              }
+ */
+router.post('/admin/users/:id/disable', auth, adminOnly, validate({ params: idParams, body: { reason: { type: 'string' } } }), async (req, res, next) => {
+    if (req.params.id === req.user._id.toString()) {
+        return next(badRequest('You can\'t disable your own account'))
+    }
+
+    try {
+        const user = await User.findById(req.params.id)
+
+        if (!user) {
+            return next(notFound('User not found'))
+        }
+
+        user.disabled = true
+        user.disabledReason = req.body.reason
+        user.tokens = []                                                // Log out every session
+        await user.save()
+
+        await AuditLog.record(req, 'user.disable', user, { reason: req.body.reason })
+
+        res.send(user)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Enables a disabled User's account, they can log in again
+ * 
+ * EXAMPLE:
+ *      localhost:3000/admin/users/5cf0a1.../enable
+ */
+router.post('/admin/users/:id/enable', auth, adminOnly, validate({ params: idParams }), async (req, res, next) => {
+    try {
+        const user = await User.findById(req.params.id)
+
+        if (!user) {
+            return next(notFound('User not found'))
+        }
+
+        user.disabled = false
+        user.disabledReason = undefined
+        await user.save()
+
+        await AuditLog.record(req, 'user.enable', user)
+
+        res.send(user)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Logs a User out of every session (their API keys keep working)
+ * 
+ * EXAMPLE:
+ *      localhost:3000/admin/users/5cf0a1.../logout
+ */
+router.post('/admin/users/:id/logout', auth, adminOnly, validate({ params: idParams }), async (req, res, next) => {
+    try {
+        const user = await User.findById(req.params.id)
+
+        if (!user) {
+            return next(notFound('User not found'))
+        }
+
+        const sessions = user.tokens.length
+        user.tokens = []
+        await user.save()
+
+        await AuditLog.record(req, 'user.logout', user, { sessions })
+
+        res.send(user)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Removes a User's avatar (for example when it is inappropriate)
+ * 
+ * EXAMPLE:
+ *      localhost:3000/admin/users/5cf0a1.../avatar
+ */
+router.delete('/admin/users/:id/avatar', auth, adminOnly, validate({ params: idParams }), async (req, res, next) => {
+    try {
+        const user = await User.findById(req.params.id)
+
+        if (!user) {
+            return next(notFound('User not found'))
+        }
+
+        user.avatar = undefined
+        await user.save()
+
+        await AuditLog.record(req, 'user.avatar.reset', user)
+
+        res.send(user)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Deletes a User along with everything they own (like DELETE /users/me)
+ * 
+ * EXAMPLE:
+ *      localhost:3000/admin/users/5cf0a1...
+ */
+router.delete('/admin/users/:id', auth, adminOnly, validate({ params: idParams }), async (req, res, next) => {
+    if (req.params.id === req.user._id.toString()) {
+        return next(badRequest('Use DELETE /users/me to delete your own account'))
+    }
+
+    try {
+        const user = await User.findById(req.params.id)
+
+        if (!user) {
+            return next(notFound('User not found'))
+        }
+
+        await user.remove()                                             // The User model middleware deletes their Tasks, Tags, ...
+
+        await AuditLog.record(req, 'user.delete', user, { name: user.name })
+
+        res.send(user)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Fetches the audit log (the actions the admins took), newest first
+ * 
+ * Parameters:
+ *      action: A URL query that only returns one action (example: user.disable)
+ *      admin: A URL query that only returns the actions of one admin (their _id)
+ *      targetUser: A URL query that only returns the actions taken on one User (their _id)
+ *      limit: A URL query that determines how many items are shown in each page (defaults to 50)
+ *      skip: A URL query that determines which page to show
+ * 
+ * Example:
+ *      localhost:3000/admin/audit-log?targetUser=5cf0a1...
+ */
+router.get('/admin/audit-log', auth, adminOnly, validate({
+    query: {
+        ...pagination,
+        action: { type: 'string' },
+        admin: { type: 'objectId' },
+        targetUser: { type: 'objectId' }
+    }
+}), async (req, res, next) => {
+    const filters = ['action', 'admin', 'targetUser']
+    const match = {}
+
+    filters.forEach((field) => {
+        if (req.query[field]) {
+            match[field] = req.query[field]
+        }
+    })
+
+    try {
+        const entries = await AuditLog.find(match)
+            .sort({ createdAt: -1 })
+            .limit(parseInt(req.query.limit) || 50)
+            .skip(parseInt(req.query.skip) || 0)
+            .populate('admin', 'name email')
+
+        res.send(entries)
+    } catch (e) {
+        next(e)
+    }
+})
+
+
+module.exports = router
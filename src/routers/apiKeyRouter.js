@@ -0,0 +1,91 @@
+const log = console.log
+
+const express = require('express')
+const router = new express.Router()
+const auth = require('../middleware/auth')
+const { sessionOnly } = require('../middleware/scope')
+const ApiKey = require('../models/apiKey')
+const { validate, idParams } = require('../middleware/validate')
+const { notFound } = require('../utils/errors')
+
+// The body of POST /users/me/api-keys
+const apiKeyBody = {
+    name: { type: 'string', required: true, minLength: 1 },
+    scopes: { type: 'array', required: true, minLength: 1, items: { type: 'string', enum: ApiKey.SCOPES } },
+    expiresAt: { type: 'date', nullable: true }
+}
+
+/**
+ * Description:
+ *      Fetches the User's API keys (without the keys themselves, only their hint)
+ * 
+ * Example:
+ *      localhost:3000/users/me/api-keys
+ */
+router.get('/users/me/api-keys', auth, sessionOnly, async (req, res, next) => {
+    try {
+        const apiKeys = await ApiKey.find({ owner: req.user._id }).sort({ createdAt: 1 })
+
+        res.send(apiKeys)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Creates a personal API key. The key is sent with requests like a login token (Authorization: Bearer tm_...)
+ *      but can only be used on the routes its scopes allow. The key is only shown in this response.
+ * 
+ * EXAMPLE:
+ *      body:   {
+ *                  name: "Backup script",
+ *                  scopes: ["tasks:read", "projects:read"],    <---- see ApiKey.SCOPES
+ *                  expiresAt: "2020-01-01"                     <---- optional
+ *              }
+ * 
+ * Returns:
+ *      { apiKey, key }
+ */
+router.post('/users/me/api-keys', auth, sessionOnly, validate({ body: apiKeyBody }), async (req, res, next) => {
+    const apiKey = new ApiKey({
+        name: req.body.name,
+        scopes: req.body.scopes,
+        expiresAt: req.body.expiresAt,
+        owner: req.user._id                 // The ObjectId of the owner
+    })
+
+    const key = apiKey.generateKey()
+
+    try {
+        await apiKey.save()
+
+        res.status(201).send({ apiKey, key })
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Revokes an API key, it stops working right away
+ * 
+ * EXAMPLE:
+ *      localhost:3000/users/me/api-keys/<_id>
+ */
+router.delete('/users/me/api-keys/:id', auth, sessionOnly, validate({ params: idParams }), async (req, res, next) => {
+    try {
+        const apiKey = await ApiKey.findOneAndDelete({ _id: req.params.id, owner: req.user._id })
+
+        if (!apiKey) {
+            return next(notFound('API key not found'))
+        }
+
+        res.send(apiKey)
+    } catch (e) {
+        next(e)
+    }
+})
+
+
+module.exports = router
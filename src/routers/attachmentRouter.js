@@ -0,0 +1,311 @@
+const log = console.log
+
+const express = require('express')
+const router = new express.Router()
+const auth = require('../middleware/auth')
+const { requireScope } = require('../middleware/scope')
+const { taskQuota } = require('../middleware/rateLimit')
+const multer = require('multer')                            // Used for file transfers on the server
+const sharp = require('sharp')                              // Used to create the image thumbnails
+const Task = require('../models/task')
+const Attachment = require('../models/attachment')
+const storage = require('../storage')                       // Where the files are saved (disk or GridFS)
+const { hasRole } = require('../models/collaborator')
+const { validate, idParams } = require('../middleware/validate')
+const { badRequest, forbidden, notFound } = require('../utils/errors')
+
+// Upload limits, can be changed in the config
+const maxFileSize = parseInt(process.env.ATTACHMENT_MAX_SIZE) || 10000000          // 10MB per file
+const maxFiles = parseInt(process.env.ATTACHMENT_MAX_FILES) || 5                    // Files per request
+const allowedTypes = (process.env.ATTACHMENT_TYPES || 'jpg,jpeg,png,gif,webp,pdf,txt,csv,doc,docx,xls,xlsx,zip')
+    .split(',')
+    .map((type) => type.trim().toLowerCase())
+
+// The content type of each extension. The type the client sends isn't trusted, other extensions are sent as binary data
+const contentTypes = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    pdf: 'application/pdf',
+    txt: 'text/plain',
+    csv: 'text/csv',
+    doc: 'application/msword',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xls: 'application/vnd.ms-excel',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    zip: 'application/zip'
+}
+
+// The image types sharp can create a thumbnail for, they are also the only types that can be shown inline
+const thumbnailTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp']
+
+/**
+ * Description:
+ *      Works out the content type of a file from its extension
+ * 
+ * Parameters:
+ *      @param filename: The original name of the file (example: notes.txt)
+ */
+const contentTypeOf = (filename) => {
+    const extension = filename.split('.').pop().toLowerCase()
+
+    return contentTypes[extension] || 'application/octet-stream'
+}
+
+// Multer options object
+const upload = multer({
+    limits: {
+        fileSize: maxFileSize,
+        files: maxFiles
+    },
+    fileFilter(req, file, callback) {
+        const extension = file.originalname.split('.').pop().toLowerCase()
+
+        if (!allowedTypes.includes(extension)) {
+            return callback(badRequest('Files must be one of: ' + allowedTypes.join(', ')))
+        }
+
+        callback(undefined, true)
+    }
+})
+
+// The URL parameters of the routes for one Attachment (/tasks/:id/attachments/:attachmentId)
+const attachmentParams = { ...idParams, attachmentId: { type: 'objectId', required: true } }
+
+/**
+ * Description:
+ *      Finds an Attachment of a Task the User can access
+ * 
+ * Returns:
+ *      { task, role, attachment }, attachment is undefined if the Task or Attachment doesn't exist
+ */
+const findAttachment = async (req) => {
+    const { task, role } = await Task.findWithRole(req.params.id, req.user._id)
+
+    if (!task) {
+        return { }
+    }
+
+    const attachment = await Attachment.findOne({ _id: req.params.attachmentId, task: task._id })
+
+    return { task, role, attachment }
+}
+
+/**
+ * Description:
+ *      Middleware that checks the User is the owner or an editor of the Task before the files are received,
+ *      so the server doesn't read the upload of a User that can't add to the Task. The Task is added to the request.
+ */
+const editableTask = async (req, res, next) => {
+    try {
+        const { task, role } = await Task.findWithRole(req.params.id, req.user._id)
+
+        if (!task) {
+            return next(notFound('Task not found'))
+        }
+
+        if (!hasRole(role, 'editor')) {
+            return next(forbidden('You need to be an editor of this task to do that'))
+        }
+
+        req.task = task
+        next()
+    } catch (e) {
+        next(e)
+    }
+}
+
+/**
+ * Description:
+ *      Deletes the files of an Attachment that couldn't be saved, so they aren't left in the storage without a Document
+ */
+const removeStoredFiles = async (attachment) => {
+    for (const key of [attachment.storageKey, attachment.thumbnailKey].filter((key) => key)) {
+        try {
+            await storage.remove(key)
+        } catch (e) {
+            log(`Unable to remove the stored file ${key}: ${e.message}`)
+        }
+    }
+}
+
+/**
+ * Description:
+ *      Uploads files to a Task using form data (the User has to be the owner or an editor of the Task).
+ *      A thumbnail is created for images.
+ * 
+ * Parameters:
+ *      upload.array('attachments'): multer middleware; 'attachments' is the name of the files that we should be receiving
+ */
+router.post('/tasks/:id/attachments', auth, requireScope('tasks:write'), taskQuota, validate({ params: idParams }), editableTask, upload.array('attachments', maxFiles), async (req, res, next) => {
+    if (!req.files || req.files.length === 0) {                         // Multer's errors (wrong type, too big) are sent back by the error handler
+        return next(badRequest('Please upload at least one file'))
+    }
+
+    try {
+        const task = req.task
+        const attachments = []
+
+        for (const file of req.files) {
+            const contentType = contentTypeOf(file.originalname)
+
+            const attachment = new Attachment({
+                filename: file.originalname,
+                contentType,
+                size: file.size,
+                task: task._id,
+                uploadedBy: req.user._id
+            })
+
+            attachment.storageKey = await storage.save(file.buffer, { filename: file.originalname, contentType })
+
+            if (thumbnailTypes.includes(contentType)) {
+                try {
+                    const thumbnail = await sharp(file.buffer)      // Same pipeline as the avatars, but keeps the aspect ratio
+                        .resize({ width: 200, height: 200, fit: 'inside' })
+                        .png()
+                        .toBuffer()
+
+                    attachment.thumbnailKey = await storage.save(thumbnail, { filename: 'thumbnail.png', contentType: 'image/png' })
+                } catch (e) {
+                    log('Unable to create a thumbnail for ' + file.originalname)    // The file is still saved without one
+                }
+            }
+
+            try {
+                await attachment.save()
+            } catch (e) {
+                await removeStoredFiles(attachment)
+                throw e
+            }
+
+            attachments.push(attachment)
+        }
+
+        res.status(201).send(attachments)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Lists the Attachments of a Task (without the file data)
+ * 
+ * Example:
+ *      localhost:3000/tasks/1ljk12h41842k/attachments
+ */
+router.get('/tasks/:id/attachments', auth, requireScope('tasks:read'), taskQuota, validate({ params: idParams }), async (req, res, next) => {
+    try {
+        const { task } = await Task.findWithRole(req.params.id, req.user._id)
+
+        if (!task) {
+            return next(notFound('Task not found'))
+        }
+
+        const attachments = await Attachment.find({ task: task._id }).sort({ createdAt: 1 })
+
+        res.send(attachments)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Downloads an Attachment
+ * 
+ * Parameters:
+ *      inline: A URL query, when 'true' the browser is told to show the file instead of downloading it (only for images,
+ *              other files are always downloaded so they can't run as a page on the API's domain)
+ * 
+ * Example:
+ *      localhost:3000/tasks/1ljk12h41842k/attachments/5cf0a1...
+ */
+router.get('/tasks/:id/attachments/:attachmentId', auth, requireScope('tasks:read'), taskQuota, validate({
+    params: attachmentParams,
+    query: { inline: { type: 'boolean' } }
+}), async (req, res, next) => {
+    try {
+        const { attachment } = await findAttachment(req)
+
+        if (!attachment) {
+            return next(notFound('Attachment not found'))
+        }
+
+        const contentType = contentTypeOf(attachment.filename)         // Older Attachments saved the type the client sent
+
+        if (req.query.inline === 'true' && thumbnailTypes.includes(contentType)) {
+            res.set('Content-Disposition', 'inline')
+        } else {
+            res.attachment(attachment.filename)                         // Sets the Content-Disposition header with the filename
+        }
+
+        res.set('Content-Type', contentType)
+        res.set('Content-Length', attachment.size)
+        res.set('X-Content-Type-Options', 'nosniff')                   // Browsers must not guess another type from the content
+
+        storage.createReadStream(attachment.storageKey)
+            .on('error', () => res.status(404).end())
+            .pipe(res)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Returns the thumbnail of an image Attachment as a png
+ * 
+ * Example:
+ *      localhost:3000/tasks/1ljk12h41842k/attachments/5cf0a1.../thumbnail
+ */
+router.get('/tasks/:id/attachments/:attachmentId/thumbnail', auth, requireScope('tasks:read'), taskQuota, validate({ params: attachmentParams }), async (req, res, next) => {
+    try {
+        const { attachment } = await findAttachment(req)
+
+        if (!attachment || !attachment.thumbnailKey) {
+            return next(notFound('Attachment not found'))
+        }
+
+        res.set('Content-Type', 'image/png')
+        res.set('X-Content-Type-Options', 'nosniff')
+
+        storage.createReadStream(attachment.thumbnailKey)
+            .on('error', () => res.status(404).end())
+            .pipe(res)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Deletes an Attachment and its file. Editors of the Task and the User that uploaded it can delete it.
+ * 
+ * Example:
+ *      localhost:3000/tasks/1ljk12h41842k/attachments/5cf0a1...
+ */
+router.delete('/tasks/:id/attachments/:attachmentId', auth, requireScope('tasks:write'), taskQuota, validate({ params: attachmentParams }), async (req, res, next) => {
+    try {
+        const { role, attachment } = await findAttachment(req)
+
+        if (!attachment) {
+            return next(notFound('Attachment not found'))
+        }
+
+        if (!hasRole(role, 'editor') && !attachment.uploadedBy.equals(req.user._id)) {
+            return next(forbidden('You need to be an editor of this task to do that'))
+        }
+
+        await attachment.remove()                                       // Also deletes the file from the storage
+
+        res.send(attachment)
+    } catch (e) {
+        next(e)
+    }
+})
+
+module.exports = router
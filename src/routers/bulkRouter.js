@@ -0,0 +1,313 @@
+const log = console.log
+
+const express = require('express')
+const router = new express.Router()
+const auth = require('../middleware/auth')
+const { requireScope } = require('../middleware/scope')
+const { taskQuota } = require('../middleware/rateLimit')
+const Task = require('../models/task')
+const { hasRole } = require('../models/collaborator')
+const { validate, checkFields } = require('../middleware/validate')
+const { buildTaskQuery } = require('../utils/taskQuery')
+const { taskFields, newTaskBody } = require('../utils/taskFields')
+const { ApiError, badRequest, validationFailed } = require('../utils/errors')
+
+// The most operations a single bulk request can contain (or Tasks a filter can match)
+const maxOperations = 500
+
+const bulkBody = {
+    operations: { type: 'array', items: { type: 'object' }, minLength: 1, maxLength: maxOperations },
+    filter: { type: 'object', values: { type: 'string' } },            // URL queries are strings (example: completed: 'false')
+    update: { type: 'object' },
+    transactional: { type: 'boolean' }
+}
+
+/**
+ * Description:
+ *      Checks the data of an operation with the same rules as the single Task endpoints
+ * 
+ * Returns:
+ *      The message of the first problem, or undefined if the data is valid
+ */
+const checkTaskData = (data, schema) => {
+    const details = checkFields(data, schema, 'body')
+
+    return details.length > 0 ? validationFailed(details).message : undefined
+}
+
+/**
+ * Description:
+ *      Checks a single bulk operation and gets it ready to run, without changing anything in the DB yet.
+ *      The same ownership and allowed update checks as the single Task endpoints are used.
+ * 
+ * Parameters:
+ *      @param operation: { op, id, data } where op is create, update, complete or delete
+ *      @param user: The User Document making the request
+ * 
+ * Returns:
+ *      { status, error } if the operation can't be run
+ *          or
+ *      { status, task, apply(session), after() } where apply() writes the Task and after() does the follow up work
+ *      (next occurrences, Comments, Attachments, subtasks) once every write is done
+ */
+const prepareOperation = async (operation, user) => {
+    const op = operation && operation.op
+    const data = (operation && operation.data) || { }
+
+    if (typeof data !== 'object' || Array.isArray(data)) {
+        return { status: 400, error: 'data must be an object' }
+    }
+
+    if (op === 'create') {
+        const problem = checkTaskData(data, newTaskBody)                // Same as POST /tasks
+
+        if (problem) {
+            return { status: 400, error: problem }
+        }
+
+        const fields = { }                                              // Only the properties a client can set
+        Object.keys(taskFields).filter((field) => data[field] !== undefined).forEach((field) => {
+            fields[field] = data[field]
+        })
+
+        const task = new Task({
+            ...fields,
+            subtaskCount: 0,
+            completedSubtaskCount: 0,
+            commentCount: 0,
+            collaborators: [],
+            workspace: undefined,
+            owner: user._id
+        })
+
+        task.$locals.userId = user._id                                  // For the Task's history
+        await task.validate()
+
+        return {
+            status: 201,
+            task,
+            apply: (session) => task.save({ session }),
+            after: async () => { }
+        }
+    }
+
+    if (!['update', 'complete', 'delete'].includes(op)) {
+        return { status: 400, error: 'op must be one of: create, update, complete, delete' }
+    }
+
+    const { task, role } = await Task.findWithRole(operation.id, user._id)
+
+    if (!task) {
+        return { status: 404, error: 'Task not found' }
+    }
+
+    if (op === 'delete') {
+        if (role !== 'owner') {
+            return { status: 403, error: 'Only the owner can delete this task' }
+        }
+
+        return {
+            status: 200,
+            task,
+            apply: (session) => {                                       // Same as DELETE /tasks/:id, moves it to the trash
+                task.deletedAt = new Date()
+                task.$locals.userId = user._id
+                return task.save({ session })
+            },
+            after: () => task.trashSubtasks()
+        }
+    }
+
+    const updates = op === 'complete' ? { completed: true } : data
+    const isValidOperation = Object.keys(updates).every((key) => Task.UPDATABLE_FIELDS.includes(key))
+
+    if (!isValidOperation) {
+        return { status: 400, error: 'You are trying to update a Task property that is not allowed or doesn\'t exist' }
+    }
+
+    const problem = checkTaskData(updates, taskFields)                  // Same as PATCH /tasks/:id
+
+    if (problem) {
+        return { status: 400, error: problem }
+    }
+
+    if (!hasRole(role, 'editor')) {
+        return { status: 403, error: 'You need to be an editor of this task to do that' }
+    }
+
+    const wasCompleted = task.completed
+
+    Object.keys(updates).forEach((update) => {
+        task[update] = updates[update]
+    })
+
+    task.$locals.userId = user._id                                      // For the Task's history
+
+    await task.validate()
+
+    return {
+        status: 200,
+        task,
+        apply: (session) => task.save({ session }),
+        after: async () => {
+            if (!wasCompleted && task.completed) {                      // Same as PATCH /tasks/:id
+                await task.createNextOccurrence()
+            }
+        }
+    }
+}
+
+/**
+ * Description:
+ *      Runs many Task operations in one request, either from a list of operations or for every Task matching a filter.
+ *      Each operation gets its own result with a status code, in the same order as the request.
+ * 
+ * Parameters (in the body):
+ *      operations: An array of { op, id, data }
+ *          create: data is the new Task (same as POST /tasks)
+ *          update: data contains the properties to update (same as PATCH /tasks/:id)
+ *          complete: Marks the Task as completed
+ *          delete: Moves the Task to the trash (its subtasks are moved up to its parent)
+ *          or
+ *      filter: The same URL queries as GET /tasks (example: { tags: 'work', completed: 'false' })
+ *      update: The properties to update on every one of the User's Tasks matching the filter
+ * 
+ *      transactional: When true, either every operation succeeds or nothing is changed.
+ *                     Every operation is checked first, then the Tasks (with their history, tags and the progress of
+ *                     their parents) are written in a MongoDB transaction (this needs MongoDB to run as a replica set).
+ *                     Webhooks and GET /events are only sent the changes once the transaction is committed.
+ *                     The follow up work (next occurrences of recurring Tasks, the subtasks of deleted Tasks) runs after the commit,
+ *                     if it fails the operation still succeeded and its result has a 'warning'.
+ * 
+ * EXAMPLE:
+ *      localhost:3000/tasks/bulk
+ *      body:   {
+ *                  operations: [
+ *                      { op: "create", data: { description: "New task" } },
+ *                      { op: "complete", id: "5cf0a1..." },
+ *                      { op: "delete", id: "5cf0a2..." }
+ *                  ],
+ *                  transactional: true
+ *              }
+ *          or
+ *      body:   {
+ *                  filter: { tags: "work", overdue: "true" },
+ *                  update: { completed: true }
+ *              }
+ * 
+ * Returns:
+ *      { applied, results: [{ index, op, id, status, task or error, warning }] }
+ *      A transactional request with an invalid operation is a 400 error (see utils/errors.js) with the same applied and results next to it
+ */
+router.post('/tasks/bulk', auth, requireScope('tasks:write'), taskQuota, validate({ body: bulkBody }), async (req, res, next) => {
+    let operations = req.body.operations
+    const transactional = req.body.transactional === true
+
+    if (req.body.filter) {                                              // Turn the filter into an update operation per Task
+        if (operations) {
+            return next(badRequest('Send either operations or a filter, not both'))
+        }
+
+        if (!req.body.update) {
+            return next(badRequest('A filter needs an update object'))
+        }
+
+        try {
+            const { match } = buildTaskQuery(req.body.filter)
+            const taskIds = await Task.distinct('_id', { ...match, owner: req.user._id })
+
+            operations = taskIds.map((id) => ({ op: 'update', id, data: req.body.update }))
+        } catch (e) {
+            return next(e)
+        }
+    }
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+        return next(badRequest('Please provide a list of operations or a filter'))
+    }
+
+    if (operations.length > maxOperations) {
+        return next(badRequest(`A bulk request can't contain more than ${maxOperations} operations`))
+    }
+
+    // Check every operation before running any of them
+    const prepared = []
+    for (const operation of operations) {
+        try {
+            prepared.push(await prepareOperation(operation, req.user))
+        } catch (e) {
+            prepared.push({ status: 400, error: e.message })           // Validation errors and invalid ids
+        }
+    }
+
+    const results = prepared.map((item, index) => ({
+        index,
+        op: operations[index] && operations[index].op,
+        id: item.task ? item.task._id : operations[index] && operations[index].id,
+        status: item.status,
+        error: item.error
+    }))
+
+    const hasErrors = prepared.some((item) => item.error)
+
+    if (transactional && hasErrors) {                                   // All or nothing, so nothing is run
+        return next(new ApiError(400, 'One or more operations are invalid, no changes were made', { extra: { applied: false, results } }))
+    }
+
+    try {
+        if (transactional) {
+            const session = await Task.startSession()
+            session.startTransaction()
+
+            try {
+                for (const item of prepared) {
+                    await item.apply(session)
+                }
+
+                await session.commitTransaction()
+            } catch (e) {
+                await session.abortTransaction()
+                throw e
+            } finally {
+                session.endSession()
+            }
+
+            for (const item of prepared) {                              // Only now that the changes are committed
+                await item.task.sendPendingEvents()
+            }
+        }
+
+        for (let index = 0; index < prepared.length; index++) {
+            const item = prepared[index]
+
+            if (item.error) {
+                continue
+            }
+
+            if (!transactional) {                                       // Without a transaction each operation is written on its own
+                try {
+                    await item.apply()
+                } catch (e) {
+                    results[index].status = 400
+                    results[index].error = e.message
+                    continue
+                }
+            }
+
+            results[index].task = item.task
+
+            try {
+                await item.after()
+            } catch (e) {                                               // The change itself was saved, so the operation still succeeded
+                log(`Unable to finish bulk operation ${index}: ${e.message}`)
+                results[index].warning = 'The change was saved, but its follow up work (next occurrence or subtasks) failed'
+            }
+        }
+
+        res.send({ applied: true, results })
+    } catch (e) {
+        next(new ApiError(500, 'The transaction failed, no changes were made', { extra: { applied: false } }))
+    }
+})
+
+module.exports = router
@@ -0,0 +1,135 @@
+const log = console.log
+
+const express = require('express')
+const router = new express.Router()
+const auth = require('../middleware/auth')
+const { requireScope } = require('../middleware/scope')
+const { taskQuota } = require('../middleware/rateLimit')
+const Task = require('../models/task')
+const Comment = require('../models/comment')
+const { validate, idParams, pagination } = require('../middleware/validate')
+const { notFound } = require('../utils/errors')
+
+// The URL parameters of the routes for one Comment (/tasks/:id/comments/:commentId)
+const commentParams = { ...idParams, commentId: { type: 'objectId', required: true } }
+
+// The body of POST /tasks/:id/comments and PATCH /tasks/:id/comments/:commentId (only the text can be changed)
+const commentBody = { text: { type: 'string', required: true, minLength: 1 } }
+
+/**
+ * Description:
+ *      Fetches the Comments of a Task, oldest first. Anyone with access to the Task can read its Comments.
+ * 
+ * Parameters:
+ *      limit: A URL query that determines how many items are shown in each page
+ *      skip: A URL query that determines which page to show
+ * 
+ * Example:
+ *      localhost:3000/tasks/1ljk12h41842k/comments?limit=20&skip=0
+ */
+router.get('/tasks/:id/comments', auth, requireScope('tasks:read'), taskQuota, validate({ params: idParams, query: pagination }), async (req, res, next) => {
+    try {
+        const { task } = await Task.findWithRole(req.params.id, req.user._id)
+
+        if (!task) {
+            return next(notFound('Task not found'))
+        }
+
+        const comments = await Comment.find({ task: task._id })
+            .sort({ createdAt: 1 })
+            .limit(parseInt(req.query.limit) || 0)          // 0 means no limit
+            .skip(parseInt(req.query.skip) || 0)
+            .populate('author', 'name')                     // Include the author's name for the UI
+
+        res.send(comments)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Adds a Comment to a Task. Anyone with access to the Task can comment on it.
+ * 
+ * EXAMPLE:
+ *      localhost:3000/tasks/1ljk12h41842k/comments
+ *      body:   {
+ *                  text: "I'll pick this up tomorrow"
+ *              }
+ */
+router.post('/tasks/:id/comments', auth, requireScope('tasks:write'), taskQuota, validate({ params: idParams, body: commentBody }), async (req, res, next) => {
+    try {
+        const { task } = await Task.findWithRole(req.params.id, req.user._id)
+
+        if (!task) {
+            return next(notFound('Task not found'))
+        }
+
+        const comment = new Comment({
+            text: req.body.text,
+            task: task._id,
+            author: req.user._id
+        })
+
+        await comment.save()
+        await Comment.updateCount(task._id)
+
+        res.status(201).send(comment)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Changes the text of one of the User's own Comments and marks it as edited
+ * 
+ * EXAMPLE:
+ *      localhost:3000/tasks/1ljk12h41842k/comments/5cf0a1...
+ *      body:   {
+ *                  text: "I'll pick this up on Monday"
+ *              }
+ */
+router.patch('/tasks/:id/comments/:commentId', auth, requireScope('tasks:write'), taskQuota, validate({ params: commentParams, body: commentBody }), async (req, res, next) => {
+    try {
+        const comment = await Comment.findOne({ _id: req.params.commentId, task: req.params.id, author: req.user._id })
+
+        if (!comment) {
+            return next(notFound('Comment not found'))
+        }
+
+        comment.text = req.body.text
+        comment.edited = true
+
+        await comment.save()
+
+        res.send(comment)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Deletes one of the User's own Comments
+ * 
+ * EXAMPLE:
+ *      localhost:3000/tasks/1ljk12h41842k/comments/5cf0a1...
+ */
+router.delete('/tasks/:id/comments/:commentId', auth, requireScope('tasks:write'), taskQuota, validate({ params: commentParams }), async (req, res, next) => {
+    try {
+        const comment = await Comment.findOneAndDelete({ _id: req.params.commentId, task: req.params.id, author: req.user._id })
+
+        if (!comment) {
+            return next(notFound('Comment not found'))
+        }
+
+        await Comment.updateCount(comment.task)
+
+        res.send(comment)
+    } catch (e) {
+        next(e)
+    }
+})
+
+module.exports = router
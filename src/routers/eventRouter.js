@@ -0,0 +1,243 @@
+const log = console.log
+
+const express = require('express')
+const mongoose = require('mongoose')
+const jwt = require('jsonwebtoken')
+const router = new express.Router()
+const auth = require('../middleware/auth')
+const { requireScope, sessionOnly } = require('../middleware/scope')
+const User = require('../models/user')
+const Task = require('../models/task')
+const ApiKey = require('../models/apiKey')
+const Event = require('../models/event')
+const { unauthorized, forbidden } = require('../utils/errors')
+
+const heartbeatInterval = 25 * 1000             // Keeps proxies from closing an idle stream, the User's access is checked again each time
+const maxReplay = 1000                          // The most missed events replayed after a reconnect, clients resync past that
+const streamTokenLifetime = 60                  // Seconds a stream token can be used to open GET /events
+
+/**
+ * Description:
+ *      Lets clients that can't set the Authorization header (like the browser's EventSource) open the stream
+ *      with a stream token from POST /events/token in the 'token' URL query. The stream token only works here
+ *      and only for a minute, so the login token never ends up in URLs (and the logs of servers and proxies).
+ *      Requests with the Authorization header go through the usual auth middleware.
+ */
+const streamAuth = async (req, res, next) => {
+    if (req.header('Authorization') || !req.query.token) {
+        return auth(req, res, next)
+    }
+
+    try {
+        const decoded = jwt.verify(String(req.query.token), process.env.JWT_SECRET)
+
+        if (decoded.type !== 'events') {                                // Login and refresh tokens aren't accepted in the URL
+            throw new Error()
+        }
+
+        const user = await User.findOne({ _id: decoded._id, 'tokens._id': decoded.sid })     // The session wasn't logged out since
+
+        if (!user) {
+            throw new Error()
+        }
+
+        if (user.disabled) {
+            return next(forbidden('This account has been disabled'))
+        }
+
+        req.user = user
+        req.session = user.tokens.id(decoded.sid)                      // So the stream is closed when this session is logged out
+        next()
+    } catch (e) {
+        next(unauthorized('The stream token is invalid or has expired, please get a new one from POST /events/token'))
+    }
+}
+
+/**
+ * Description:
+ *      Checks that the User of an open stream can still use it: the session (or API key) it was opened with still exists
+ *      and the account isn't disabled
+ */
+const canStillStream = async (req) => {
+    const filter = req.session ? { _id: req.user._id, 'tokens._id': req.session._id } : { _id: req.user._id }
+    const user = await User.findOne(filter)
+
+    if (!user || user.disabled) {
+        return false
+    }
+
+    if (req.apiKey) {
+        const apiKey = await ApiKey.findById(req.apiKey._id)
+        return !!apiKey && (!apiKey.expiresAt || apiKey.expiresAt > Date.now())
+    }
+
+    return true
+}
+
+/**
+ * Description:
+ *      Checks that the User still has a role on the Task of an event (they could have been removed as a collaborator since)
+ */
+const canSeeEvent = async (event, userId) => {
+    const taskId = event.data && event.data.task && event.data.task._id
+
+    if (!taskId) {
+        return true
+    }
+
+    const task = await Task.findById(taskId).setOptions({ withTrashed: true })       // task.deleted events are for Tasks in the trash
+
+    return !!task && !!await task.getRole(userId)
+}
+
+/**
+ * Description:
+ *      Writes an event to a Server-Sent Events stream
+ */
+const writeEvent = (res, event) => {
+    res.write(`id: ${event._id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`)
+}
+
+/**
+ * Description:
+ *      Creates a stream token for opening GET /events with the 'token' URL query (for clients like the browser's EventSource)
+ *
+ * Returns:
+ *      { token, expiresIn } where expiresIn is in seconds, the token has to be used to open the stream before then
+ *
+ * EXAMPLE:
+ *      localhost:3000/events/token
+ */
+router.post('/events/token', auth, sessionOnly, (req, res) => {
+    const token = jwt.sign({ _id: req.user._id.toString(), sid: req.session._id.toString(), type: 'events' }, process.env.JWT_SECRET, {
+        expiresIn: streamTokenLifetime
+    })
+
+    res.send({ token, expiresIn: streamTokenLifetime })
+})
+
+/**
+ * Description:
+ *      Streams the changes to the User's Tasks (and the Tasks shared with them) as Server-Sent Events:
+ *      task.created, task.updated, task.completed, task.deleted and task.restored, each with { task } as its data.
+ *
+ *      Clients that reconnect with the Last-Event-ID header (EventSource does this by itself) get the events they missed first.
+ *      If the missed events are no longer available, a 'resync' event is sent and the client should fetch its Tasks again.
+ *
+ *      The session (or API key) and the User's role on the Task are checked again before each live event is sent, and the
+ *      session at each heartbeat. The stream is closed once the session is logged out or revoked, or the account is disabled.
+ *
+ * Parameters:
+ *      Auth token: In the Authorization header
+ *      token: A URL query with a stream token from POST /events/token, for clients that can't set the Authorization header.
+ *             It expires after a minute, so get a new one before reconnecting.
+ *      lastEventId: A URL query that can be used instead of the Last-Event-ID header
+ *
+ * Example:
+ *      localhost:3000/events
+ *          or
+ *      localhost:3000/events?token=<stream token>&lastEventId=5cf0a1...
+ */
+router.get('/events', streamAuth, requireScope('tasks:read'), async (req, res) => {
+    const userId = req.user._id.toString()
+    const lastEventId = req.header('Last-Event-ID') || req.query.lastEventId
+    let lastSentId = null                                               // Events that are replayed and pushed at the same time are only sent once
+    let queue = []                                                      // Live events that arrive while the missed ones are replayed
+    let checks = Promise.resolve()                                      // The access checks of live events, in the order the events arrived
+    let closed = false
+
+    const send = (event) => {
+        if (lastSentId && event._id.toString() <= lastSentId) {         // ObjectIds (as hex) sort in the order they were created
+            return
+        }
+
+        writeEvent(res, event)
+        lastSentId = event._id.toString()
+    }
+
+    const close = () => {
+        if (closed) {
+            return
+        }
+
+        closed = true
+        Event.emitter.removeListener('event', onEvent)
+        clearInterval(heartbeat)
+        res.end()
+    }
+
+    const checkAndSend = (event) => {
+        checks = checks.then(async () => {
+            if (closed) {
+                return
+            }
+
+            if (!await canStillStream(req)) {
+                return close()
+            }
+
+            if (await canSeeEvent(event, req.user._id)) {
+                send(event)
+            }
+        }).catch((e) => log(`Unable to check access to event ${event._id}: ${e.message}`))
+    }
+
+    const onEvent = (event) => {
+        if (event.user.toString() !== userId) {
+            return
+        }
+
+        queue ? queue.push(event) : checkAndSend(event)
+    }
+
+    const onHeartbeat = async () => {
+        try {
+            if (!await canStillStream(req)) {
+                return close()
+            }
+        } catch (e) {
+            log(`Unable to check access to the event stream: ${e.message}`)
+        }
+
+        if (!closed) {
+            res.write(': heartbeat\n\n')
+        }
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'                                       // Stop nginx from buffering the stream
+    })
+    res.flushHeaders()
+    res.write('retry: 5000\n\n')                                        // Clients reconnect after 5 seconds
+
+    Event.emitter.on('event', onEvent)
+    const heartbeat = setInterval(onHeartbeat, heartbeatInterval)
+
+    req.on('close', close)
+
+    try {
+        if (lastEventId) {
+            const valid = mongoose.Types.ObjectId.isValid(lastEventId)
+            const known = valid && await Event.countDocuments({ _id: lastEventId, user: userId })
+            const missed = known ? await Event.find({ user: userId, _id: { $gt: lastEventId } }).sort({ _id: 1 }).limit(maxReplay + 1) : []
+
+            if (!known || missed.length > maxReplay) {
+                res.write('event: resync\ndata: {}\n\n')
+            } else {
+                lastSentId = lastEventId
+                missed.forEach(send)
+            }
+        }
+    } catch (e) {
+        res.write('event: resync\ndata: {}\n\n')
+    }
+
+    queue.forEach(checkAndSend)
+    queue = null
+})
+
+
+module.exports = router
@@ -0,0 +1,232 @@
+const log = console.log
+
+const express = require('express')
+const router = new express.Router()
+const auth = require('../middleware/auth')
+const { requireScope } = require('../middleware/scope')
+const { taskQuota } = require('../middleware/rateLimit')
+const multer = require('multer')                            // Used for file transfers on the server
+const Task = require('../models/task')
+const { buildTaskQuery } = require('../utils/taskQuery')
+const { toCsvLine, unescapeFormula, parseCsv } = require('../utils/csv')
+const { calendarStart, calendarEnd, toVTodo } = require('../utils/ical')
+const { validate, pagination } = require('../middleware/validate')
+const { badRequest } = require('../utils/errors')
+
+// The columns of the CSV file, used for both export and import (tags are separated by semicolons)
+const csvColumns = ['description', 'completed', 'priority', 'dueDate', 'startDate', 'tags']
+
+// The Task properties that can be imported, anything else in the file is ignored
+const importFields = ['description', 'completed', 'priority', 'dueDate', 'startDate', 'tags', 'checklist', 'recurrence']
+
+// Multer options object
+const upload = multer({
+    limits: {
+        fileSize: 5000000       // File can't be bigger than 5MB
+    },
+    fileFilter(req, file, callback) {
+        if (!file.originalname.match(/\.(csv|json)$/i)) {
+            return callback(badRequest('File must be a csv or json.'))
+        }
+
+        callback(undefined, true)
+    }
+})
+
+/**
+ * Description:
+ *      Streams the User's Tasks as a file download. Accepts the same URL queries as GET /tasks to pick which Tasks.
+ * 
+ * Parameters:
+ *      format: A URL query, csv, json (default) or ics
+ *          ics: Only Tasks with a due date are exported, as VTODO entries for calendar apps
+ * 
+ * Example:
+ *      localhost:3000/tasks/export?format=csv
+ *          or
+ *      localhost:3000/tasks/export?format=ics&completed=false
+ */
+router.get('/tasks/export', auth, requireScope('tasks:read'), taskQuota, validate({
+    query: { ...pagination, format: { type: 'string', enum: ['csv', 'json', 'ics'] } }
+}), async (req, res, next) => {
+    const format = req.query.format || 'json'
+    let query
+
+    try {
+        query = buildTaskQuery(req.query)
+    } catch (e) {
+        return next(e)
+    }
+
+    const match = { ...query.match, owner: req.user._id }
+
+    if (format === 'ics') {
+        match.dueDate = { ...match.dueDate, $exists: true, $ne: null }
+    }
+
+    try {
+        const cursor = Task.find(match).sort(query.sort).cursor()      // Read the Tasks one at a time instead of all at once
+
+        res.attachment('tasks.' + format)                               // Sets the Content-Disposition and Content-Type headers
+        if (format === 'ics') {
+            res.set('Content-Type', 'text/calendar; charset=utf-8')
+        }
+
+        let count = 0
+
+        if (format === 'csv') {
+            res.write(toCsvLine(csvColumns))
+        } else if (format === 'json') {
+            res.write('[')
+        } else {
+            res.write(calendarStart)
+        }
+
+        for await (const task of cursor) {
+            if (format === 'csv') {
+                res.write(toCsvLine(csvColumns.map((column) => {
+                    return column === 'tags' ? task.tags.join(';') : task[column]
+                })))
+            } else if (format === 'json') {
+                res.write((count > 0 ? ',' : '') + JSON.stringify(task))
+            } else {
+                res.write(toVTodo(task))
+            }
+
+            count++
+        }
+
+        if (format === 'json') {
+            res.write(']')
+        } else if (format === 'ics') {
+            res.write(calendarEnd)
+        }
+
+        res.end()
+    } catch (e) {
+        log('Export failed: ' + e.message)
+
+        if (!res.headersSent) {
+            return next(e)
+        }
+        res.end()                                                       // Part of the file was already sent, so just stop
+    }
+})
+
+/**
+ * Description:
+ *      Turns the rows of a CSV file into Task objects using the header row
+ * 
+ * Returns:
+ *      An array of { row, data } where row is the line number in the file
+ */
+const readCsvTasks = (text) => {
+    const [header, ...rows] = parseCsv(text)
+    const columns = (header || []).map((column) => column.trim())
+
+    return rows.map((values, index) => {
+        const data = { }
+
+        columns.forEach((column, i) => {
+            const value = unescapeFormula((values[i] || '').trim())
+
+            if (value === '') {
+                return
+            }
+
+            if (column === 'tags') {
+                data.tags = value.split(';').map((tag) => tag.trim()).filter((tag) => tag)
+            } else if (column === 'completed') {
+                data.completed = ['true', 'yes', '1'].includes(value.toLowerCase())
+            } else {
+                data[column] = value
+            }
+        })
+
+        return { row: index + 2, data }                                 // Line 1 is the header
+    })
+}
+
+/**
+ * Description:
+ *      Imports Tasks from a csv or json file (json must be an array of Tasks). Every row is validated against the
+ *      Task model and the rows with errors are reported. Valid rows are imported even if other rows have errors.
+ * 
+ * Parameters:
+ *      upload.single('file'): multer middleware; 'file' is the name of the file that we should be receiving
+ *      dryRun: A URL query, when 'true' the rows are only validated and nothing is saved
+ * 
+ * Example:
+ *      localhost:3000/tasks/import?dryRun=true
+ * 
+ * Returns:
+ *      { dryRun, total, imported, errors: [{ row, errors: { field: message } }] }
+ */
+router.post('/tasks/import', auth, requireScope('tasks:write'), taskQuota, validate({ query: { dryRun: { type: 'boolean' } } }), upload.single('file'), async (req, res, next) => {
+    if (!req.file) {                                                    // Multer's errors (wrong type, too big) are sent back by the error handler
+        return next(badRequest('Please upload a csv or json file'))
+    }
+
+    const dryRun = req.query.dryRun === 'true'
+    let items
+
+    try {
+        const text = req.file.buffer.toString('utf8')
+
+        if (req.file.originalname.match(/\.json$/i)) {
+            const json = JSON.parse(text)
+
+            if (!Array.isArray(json)) {
+                throw new Error('The json file must contain an array of tasks')
+            }
+
+            items = json.map((data, index) => ({ row: index + 1, data: data || { } }))
+        } else {
+            items = readCsvTasks(text)
+        }
+    } catch (e) {
+        return next(badRequest('Unable to read the file: ' + e.message))
+    }
+
+    try {
+        const errors = []
+        let imported = 0
+
+        for (const item of items) {
+            const data = { }
+
+            importFields.forEach((field) => {
+                if (item.data[field] !== undefined) {
+                    data[field] = item.data[field]
+                }
+            })
+
+            const task = new Task({ ...data, owner: req.user._id })
+            task.$locals.userId = req.user._id
+
+            try {
+                await task.validate()
+
+                if (!dryRun) {
+                    await task.save()
+                }
+
+                imported++
+            } catch (e) {
+                const fieldErrors = { }
+
+                Object.keys(e.errors || { }).forEach((field) => {
+                    fieldErrors[field] = e.errors[field].message
+                })
+
+                errors.push({ row: item.row, errors: e.errors ? fieldErrors : { task: e.message } })
+            }
+        }
+
+        res.status(dryRun ? 200 : 201).send({ dryRun, total: items.length, imported, errors })
+    } catch (e) {
+        next(e)
+    }
+})
+
+module.exports = router
@@ -0,0 +1,89 @@
+const log = console.log
+
+const express = require('express')
+const router = new express.Router()
+const auth = require('../middleware/auth')
+const { requireScope } = require('../middleware/scope')
+const Notification = require('../models/notification')
+const { validate, idParams, pagination } = require('../middleware/validate')
+const { notFound } = require('../utils/errors')
+
+/**
+ * Description:
+ *      Fetches the User's Notifications (task reminders), newest first
+ *
+ * Parameters:
+ *      unread: A URL query, when 'true' only the Notifications that haven't been read are returned
+ *      limit: A URL query that determines how many items are shown in each page
+ *      skip: A URL query that determines which page to show
+ *
+ * Example:
+ *      localhost:3000/notifications
+ *          or
+ *      localhost:3000/notifications?unread=true&limit=20&skip=0
+ */
+router.get('/notifications', auth, requireScope('notifications:read'), validate({ query: { ...pagination, unread: { type: 'boolean' } } }), async (req, res, next) => {
+    const match = { user: req.user._id }
+
+    if (req.query.unread === 'true') {
+        match.read = false
+    }
+
+    try {
+        const notifications = await Notification.find(match)
+            .sort({ createdAt: -1 })
+            .limit(parseInt(req.query.limit) || 0)          // 0 means no limit
+            .skip(parseInt(req.query.skip) || 0)
+
+        res.send(notifications)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Marks every one of the User's Notifications as read
+ *
+ * Returns:
+ *      { updated } the number of Notifications that were marked as read
+ *
+ * EXAMPLE:
+ *      localhost:3000/notifications/read
+ */
+router.post('/notifications/read', auth, requireScope('notifications:write'), async (req, res, next) => {
+    try {
+        const result = await Notification.updateMany({ user: req.user._id, read: false }, { read: true })
+
+        res.send({ updated: result.nModified })
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Marks one of the User's Notifications as read
+ *
+ * EXAMPLE:
+ *      localhost:3000/notifications/5cf0a1.../read
+ */
+router.post('/notifications/:id/read', auth, requireScope('notifications:write'), validate({ params: idParams }), async (req, res, next) => {
+    try {
+        const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id })
+
+        if (!notification) {
+            return next(notFound('Notification not found'))
+        }
+
+        notification.read = true
+        await notification.save()
+
+        res.send(notification)
+    } catch (e) {
+        next(e)
+    }
+})
+
+
+module.exports = router
@@ -0,0 +1,340 @@
+const log = console.log
+
+const express = require('express')
+const router = new express.Router()
+const auth = require('../middleware/auth')
+const { requireScope } = require('../middleware/scope')
+const Project = require('../models/project')
+const Task = require('../models/task')
+const User = require('../models/user')
+const { buildTaskQuery } = require('../utils/taskQuery')
+const { validate, idParams, pagination } = require('../middleware/validate')
+const { badRequest, forbidden, notFound } = require('../utils/errors')
+
+// The rules for the properties of a Project in the body (see middleware/validate.js)
+const projectFields = {
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    color: { type: 'string' },
+    archived: { type: 'boolean' }
+}
+
+const newProjectBody = { ...projectFields, name: { ...projectFields.name, required: true } }     // POST /projects
+
+// The body of POST /projects/:id/share
+const shareBody = {
+    email: { type: 'email', required: true },
+    role: { type: 'string', enum: ['viewer', 'editor'], required: true }
+}
+
+/**
+ * Description:
+ *      Counts the total and completed Tasks of each Project
+ * 
+ * Parameters:
+ *      @param projects: An array of Project Documents
+ * 
+ * Returns:
+ *      The Projects as JSON objects with a 'taskCount' and 'completedCount' property added
+ */
+const withTaskCounts = async (projects) => {
+    const counts = await Task.aggregate([
+        { $match: { project: { $in: projects.map((project) => project._id) } } },
+        { $group: {
+            _id: '$project',
+            taskCount: { $sum: 1 },
+            completedCount: { $sum: { $cond: ['$completed', 1, 0] } }
+        } }
+    ])
+
+    return projects.map((project) => {
+        const count = counts.find((count) => count._id.equals(project._id)) || { taskCount: 0, completedCount: 0 }
+
+        return {
+            ...project.toJSON(),
+            taskCount: count.taskCount,
+            completedCount: count.completedCount
+        }
+    })
+}
+
+/**
+ * Description:
+ *      Fetches all the Projects owned by the User with their Task counts
+ * 
+ * Parameters:
+ *      archived: A URL query, 'true' to only show archived Projects, 'all' to show every Project
+ *                  (archived Projects are hidden by default)
+ * 
+ * Example:
+ *      localhost:3000/projects
+ *          or
+ *      localhost:3000/projects?archived=true
+ */
+router.get('/projects', auth, requireScope('projects:read'), validate({ query: { archived: { type: 'string', enum: ['true', 'false', 'all'] } } }), async (req, res, next) => {
+    const match = { owner: req.user._id }
+
+    if (req.query.archived !== 'all') {
+        match.archived = req.query.archived === 'true'
+    }
+
+    try {
+        const projects = await Project.find(match).sort({ name: 1 })
+
+        res.send(await withTaskCounts(projects))
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Fetches the Projects other Users have shared with the User, with their Task counts
+ * 
+ * Example:
+ *      localhost:3000/projects/shared
+ */
+router.get('/projects/shared', auth, requireScope('projects:read'), async (req, res, next) => {
+    try {
+        const projects = await Project.find({ 'collaborators.user': req.user._id, archived: false }).sort({ name: 1 })
+
+        res.send(await withTaskCounts(projects))
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Endpoint for creating a new Project
+ * 
+ * EXAMPLE:
+ *      body:   {
+ *                  name: "Home renovation",
+ *                  description: "Everything for the new kitchen",
+ *                  color: "#00ff00"
+ *              }
+ */
+router.post('/projects', auth, requireScope('projects:write'), validate({ body: newProjectBody }), async (req, res, next) => {
+    const project = new Project({
+        ...req.body,                        // Copy the req.body object into this object
+        collaborators: [],                  // Projects are shared through POST /projects/:id/share
+        owner: req.user._id                 // The ObjectId of the owner
+    })
+
+    try {
+        await project.save()
+        res.status(201).send(project)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Fetches a Project owned by (or shared with) the User with its Task counts
+ * 
+ * Example: localhost:3000/projects/1ljk12h41842k
+ */
+router.get('/projects/:id', auth, requireScope('projects:read'), validate({ params: idParams }), async (req, res, next) => {
+    try {
+        const project = await Project.findOne({ _id: req.params.id, $or: [{ owner: req.user._id }, { 'collaborators.user': req.user._id }] })
+
+        if (!project) {
+            return next(notFound('Project not found'))
+        }
+
+        const [response] = await withTaskCounts([project])
+        res.send(response)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Fetches the Tasks in a Project. Accepts the same URL queries as GET /tasks
+ *      (completed, dueBefore, dueAfter, overdue, priority, tags, tagMode, sortBy, limit, skip)
+ * 
+ * Example:
+ *      localhost:3000/projects/1ljk12h41842k/tasks?completed=false&sortBy=dueDate_asc
+ */
+router.get('/projects/:id/tasks', auth, requireScope('projects:read'), validate({ params: idParams, query: pagination }), async (req, res, next) => {
+    try {
+        const query = buildTaskQuery(req.query)                         // The filter and sort objects built from the URL queries
+        const project = await Project.findOne({ _id: req.params.id, $or: [{ owner: req.user._id }, { 'collaborators.user': req.user._id }] })
+
+        if (!project) {
+            return next(notFound('Project not found'))
+        }
+
+        const tasks = await Task.find({ ...query.match, owner: project.owner, project: project._id })
+            .sort(query.sort)
+            .limit(parseInt(req.query.limit) || 0)          // 0 means no limit
+            .skip(parseInt(req.query.skip) || 0)
+
+        res.send(tasks)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Updates the Project. Setting 'archived' to true archives the Project, false restores it.
+ * 
+ * EXAMPLE:
+ *      localhost:3000/projects/j1hk2jeh1jk2hk
+ *      body:   {
+ *                  archived: true
+ *              }
+ */
+router.patch('/projects/:id', auth, requireScope('projects:write'), validate({ params: idParams, body: projectFields }), async (req, res, next) => {
+    const updates = Object.keys(req.body)                               // Only the properties in projectFields (checked by validate())
+
+    try {
+        const project = await Project.findOne({ _id: req.params.id, owner: req.user._id })
+
+        if (!project) {
+            return next(notFound('Project not found'))
+        }
+
+        updates.forEach((update) => {
+            project[update] = req.body[update]
+        })
+
+        await project.save()
+
+        res.send(project)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Deletes a Project. By default its Tasks are moved to the inbox (by the Project model middleware).
+ * 
+ * Parameters:
+ *      tasks: A URL query, 'inbox' (default) to keep the Tasks without a Project, or 'delete' to move them to the trash
+ * 
+ * EXAMPLE:
+ *      localhost:3000/projects/<_id>
+ *          or
+ *      localhost:3000/projects/<_id>?tasks=delete
+ */
+router.delete('/projects/:id', auth, requireScope('projects:write'), validate({
+    params: idParams,
+    query: { tasks: { type: 'string', enum: ['inbox', 'delete'] } }
+}), async (req, res, next) => {
+    const mode = req.query.tasks || 'inbox'
+
+    try {
+        const project = await Project.findOne({ _id: req.params.id, owner: req.user._id })
+
+        if (!project) {
+            return next(notFound('Project not found'))
+        }
+
+        if (mode === 'delete') {
+            // Move the Tasks to the trash, they go to the inbox if they are restored
+            await Task.updateMany({ owner: req.user._id, project: project._id, deletedAt: null }, { deletedAt: new Date() })
+        }
+
+        await project.remove()                                          // Remaining Tasks are moved to the inbox
+
+        res.send(project)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Shares the Project with another User by their email (only the owner can share a Project).
+ *      The User gets the role on every Task in the Project. Sharing again with the same User changes their role.
+ * 
+ * EXAMPLE:
+ *      localhost:3000/projects/<_id>/share
+ *      body:   {
+ *                  email: "friend@gmail.com",
+ *                  role: "viewer"                      <---- viewer or editor
+ *              }
+ */
+router.post('/projects/:id/share', auth, requireScope('projects:write'), validate({ params: idParams, body: shareBody }), async (req, res, next) => {
+    try {
+        const project = await Project.findOne({ _id: req.params.id, owner: req.user._id })
+
+        if (!project) {
+            return next(notFound('Project not found'))
+        }
+
+        const user = await User.findOne({ email: req.body.email.toLowerCase().trim() })
+
+        if (!user) {
+            return next(notFound('No user with that email'))
+        }
+
+        if (user._id.equals(project.owner)) {
+            return next(badRequest('You can\'t share a project with yourself'))
+        }
+
+        const collaborator = project.collaborators.find((collaborator) => collaborator.user.equals(user._id))
+
+        if (collaborator) {                                             // Already shared, change the role
+            collaborator.role = req.body.role
+        } else {
+            project.collaborators.push({ user: user._id, role: req.body.role })
+        }
+
+        await project.save()
+
+        res.send(project)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Stops sharing the Project with a User. The owner can remove anyone, collaborators can only remove themselves.
+ *      Tasks in the Project that were assigned to the User (and not shared with them directly) are unassigned.
+ * 
+ * EXAMPLE:
+ *      localhost:3000/projects/<_id>/share/<user _id>
+ */
+router.delete('/projects/:id/share/:userId', auth, requireScope('projects:write'), validate({
+    params: { ...idParams, userId: { type: 'objectId', required: true } }
+}), async (req, res, next) => {
+    try {
+        const project = await Project.findOne({ _id: req.params.id, $or: [{ owner: req.user._id }, { 'collaborators.user': req.user._id }] })
+
+        if (!project) {
+            return next(notFound('Project not found'))
+        }
+
+        if (!project.owner.equals(req.user._id) && !req.user._id.equals(req.params.userId)) {
+            return next(forbidden('Only the owner can remove other collaborators'))
+        }
+
+        const collaborators = project.collaborators.filter((collaborator) => !collaborator.user.equals(req.params.userId))
+
+        if (collaborators.length === project.collaborators.length) {
+            return next(notFound('The project is not shared with that user'))
+        }
+
+        project.collaborators = collaborators
+        await project.save()
+
+        await Task.updateMany(
+            { project: project._id, assignee: req.params.userId, 'collaborators.user': { $ne: req.params.userId } },
+            { $unset: { assignee: '' } }
+        )
+
+        res.send(project)
+    } catch (e) {
+        next(e)
+    }
+})
+
+module.exports = router
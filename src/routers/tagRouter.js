@@ -0,0 +1,196 @@
+const log = console.log
+
+const express = require('express')
+const router = new express.Router()
+const auth = require('../middleware/auth')
+const { requireScope } = require('../middleware/scope')
+const { taskQuota } = require('../middleware/rateLimit')
+const Tag = require('../models/tag')
+const Task = require('../models/task')
+const { validate, idParams } = require('../middleware/validate')
+const { badRequest, notFound, conflict } = require('../utils/errors')
+
+// The rules for the properties of a Tag in the body (see middleware/validate.js)
+const tagFields = {
+    name: { type: 'string', minLength: 1 },
+    color: { type: 'string' }
+}
+
+const newTagBody = { ...tagFields, name: { ...tagFields.name, required: true } }     // POST /tags
+
+// The message for the duplicate key error of the unique index on the owner and name
+const duplicateTagMessage = 'You already have a tag with that name'
+
+/**
+ * Description:
+ *      Fetches all the Tags owned by the User along with how many of the User's Tasks use each tag
+ * 
+ * Parameters:
+ *      sortBy: A URL query, either name_asc/name_desc (default name_asc) or count_asc/count_desc
+ * 
+ * Example:
+ *      localhost:3000/tags
+ *          or
+ *      localhost:3000/tags?sortBy=count_desc       <---- most used tags first (useful for a tag cloud)
+ */
+router.get('/tags', auth, requireScope('tasks:read'), taskQuota, validate({ query: { sortBy: { type: 'string' } } }), async (req, res, next) => {
+    const sortBy = req.query.sortBy || 'name_asc'
+    const parts = sortBy.split('_')
+
+    if (!['name', 'count'].includes(parts[0])) {
+        return next(badRequest('Tags can only be sorted by name or count'))
+    }
+
+    try {
+        const tags = await Tag.find({ owner: req.user._id })
+
+        // Count how many Tasks use each tag name
+        const counts = await Task.aggregate([
+            { $match: { owner: req.user._id } },
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 } } }
+        ])
+
+        const countByName = { }
+        counts.forEach((count) => {
+            countByName[count._id] = count.count
+        })
+
+        const response = tags.map((tag) => {
+            return { ...tag.toJSON(), count: countByName[tag.name] || 0 }
+        })
+
+        const direction = parts[1] === 'desc' ? -1 : 1
+        response.sort((a, b) => {
+            if (a[parts[0]] < b[parts[0]]) return -direction
+            if (a[parts[0]] > b[parts[0]]) return direction
+            return 0
+        })
+
+        res.send(response)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Endpoint for creating a new Tag for the User
+ * 
+ * EXAMPLE:
+ *      body:   {
+ *                  name: "work",
+ *                  color: "#ff0000"
+ *              }
+ */
+router.post('/tags', auth, requireScope('tasks:write'), taskQuota, validate({ body: newTagBody }), async (req, res, next) => {
+    const tag = new Tag({
+        name: req.body.name,
+        color: req.body.color,
+        owner: req.user._id                 // The ObjectId of the owner
+    })
+
+    try {
+        await tag.save()
+        res.status(201).send(tag)
+    } catch (e) {
+        if (e.code === 11000) {                                         // Duplicate key error from the unique index
+            return next(conflict(duplicateTagMessage))
+        }
+
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Fetches a Tag owned by the User
+ * 
+ * Example: localhost:3000/tags/1ljk12h41842k
+ */
+router.get('/tags/:id', auth, requireScope('tasks:read'), taskQuota, validate({ params: idParams }), async (req, res, next) => {
+    try {
+        const tag = await Tag.findOne({ _id: req.params.id, owner: req.user._id })
+
+        if (!tag) {
+            return next(notFound('Tag not found'))
+        }
+
+        res.send(tag)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Updates a Tag. If the Tag is renamed, every one of the User's Tasks with the old name gets the new name.
+ * 
+ * EXAMPLE:
+ *      localhost:3000/tags/j1hk2jeh1jk2hk
+ *      body:   {
+ *                  name: "office"
+ *              }
+ */
+router.patch('/tags/:id', auth, requireScope('tasks:write'), taskQuota, validate({ params: idParams, body: tagFields }), async (req, res, next) => {
+    const updates = Object.keys(req.body)                               // Only name and color (checked by validate())
+
+    try {
+        const tag = await Tag.findOne({ _id: req.params.id, owner: req.user._id })
+
+        if (!tag) {
+            return next(notFound('Tag not found'))
+        }
+
+        const oldName = tag.name
+
+        updates.forEach((update) => {
+            tag[update] = req.body[update]
+        })
+
+        await tag.save()
+
+        if (tag.name !== oldName) {                                     // Rename the tag on every Task that has it
+            await Task.updateMany(
+                { owner: req.user._id, tags: oldName },
+                { $set: { 'tags.$': tag.name } }
+            )
+        }
+
+        res.send(tag)
+    } catch (e) {
+        if (e.code === 11000) {
+            return next(conflict(duplicateTagMessage))
+        }
+
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Deletes a Tag and removes it from every one of the User's Tasks
+ * 
+ * EXAMPLE:
+ *      localhost:3000/tags/<_id>
+ */
+router.delete('/tags/:id', auth, requireScope('tasks:write'), taskQuota, validate({ params: idParams }), async (req, res, next) => {
+    try {
+        const tag = await Tag.findOneAndDelete({ _id: req.params.id, owner: req.user._id })
+
+        if (!tag) {
+            return next(notFound('Tag not found'))
+        }
+
+        await Task.updateMany(
+            { owner: req.user._id, tags: tag.name },
+            { $pull: { tags: tag.name } }
+        )
+
+        res.send(tag)
+    } catch (e) {
+        next(e)
+    }
+})
+
+module.exports = router
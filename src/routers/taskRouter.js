@@ -3,7 +3,32 @@ const log = console.log
 const express = require('express')
 const router = new express.Router()
 const auth = require('../middleware/auth')
+const { requireScope } = require('../middleware/scope')
+const { taskQuota } = require('../middleware/rateLimit')
 const Task = require('../models/task')
+const User = require('../models/user')
+const Project = require('../models/project')
+const { hasRole } = require('../models/collaborator')
+const Comment = require('../models/comment')
+const TaskHistory = require('../models/taskHistory')
+const { buildTaskQuery } = require('../utils/taskQuery')
+const { newTaskBody, taskUpdateBody } = require('../utils/taskFields')
+const { parseSearchQuery, highlight } = require('../utils/search')
+const { sendWithEtag, checkPreconditions, conflictError } = require('../utils/concurrency')
+const { validate, idParams, pagination } = require('../middleware/validate')
+const { badRequest, forbidden, notFound } = require('../utils/errors')
+
+// The properties that are copied to every occurrence of a recurring Task when it is updated with scope=series
+const seriesFields = ['description', 'priority', 'tags', 'project', 'checklist', 'recurrence']
+
+// The most Tasks (and Comments) GET /tasks/search looks at before ranking them
+const maxSearchResults = 500
+
+// The body of POST /tasks/:id/share
+const shareBody = {
+    email: { type: 'email', required: true },
+    role: { type: 'string', enum: ['viewer', 'editor'], required: true }
+}
 
 /**
  * Description: 
@@ -12,6 +37,13 @@ const Task = require('../models/task')
  * Parameters:
  *      Auth token: Used to determine which user's Tasks are requested
  *      completed: A URL query that determines if the user wants either completed, incomplete, or all tasks in the response
+ *      dueBefore: A URL query that only returns Tasks due before the date
+ *      dueAfter: A URL query that only returns Tasks due after the date
+ *      overdue: A URL query that only returns incomplete Tasks whose due date has passed
+ *      priority: A URL query that only returns Tasks with the priority (or comma separated priorities)
+ *      tags: A URL query that only returns Tasks with the tags (comma separated)
+ *      tagMode: A URL query, 'any' (default) or 'all', that determines if Tasks need one or all of the tags
+ *      project: A URL query that only returns Tasks in the Project (or 'inbox' for Tasks without a Project)
  *      limit: A URL query that determines how many items are shown in each page
  *      skip: A URL query that determines which page to show
  * 
@@ -27,158 +59,897 @@ const Task = require('../models/task')
  *      localhost:3000/tasks?sortBy=createdAt_asc       <---- sorts by the created at property in ascending pattern
  *          or
  *      localhost:3000/tasks?sortBy=createdAt_desc      <---- sorts by the created at property in descending pattern
+ *          or
+ *      localhost:3000/tasks?dueAfter=2019-06-01&dueBefore=2019-07-01&sortBy=dueDate_asc
+ *          or
+ *      localhost:3000/tasks?overdue=true&priority=high,urgent&sortBy=priority_desc
+ *          or
+ *      localhost:3000/tasks?tags=work,urgent&tagMode=all
  */
-router.get('/tasks', auth, async (req, res) => {
-    const match = { }                                   // Object used for filtering in queries
-    const sort = { }                                    // Object used for sorting in queries
-
-    if (req.query.completed) {                          // If the user provided the completed url query
-        match.completed = req.query.completed === 'true'    // If string they typed is equal to 'true' then match.completed = true
-                                                            // Otherwise, match.completed = false
-    }
-
-
-    if (req.query.sortBy) {
-        const parts = req.query.sortBy.split('_')       // Split up the sort string by the "_" which will give us "createdAt" and ("asc" or "desc")
-        sort[parts[0]] = parts[1] === 'desc' ? -1 : 1   // Use Ternary operator to determine asc or descending pattern 
-    }
+router.get('/tasks', auth, requireScope('tasks:read'), taskQuota, validate({ query: pagination }), async (req, res, next) => {
     try {
+        const query = buildTaskQuery(req.query)         // The filter and sort objects built from the URL queries
+
         const user = req.user                           // Get the User Document from the request (through the middleware)
         await user.populate({
             path: 'tasks',                              // Name of the collection in MongoDB
-            match: match,                               // The object used to filter MongoDB results from the query
+            match: query.match,                         // The object used to filter MongoDB results from the query
             options: {
                 limit: parseInt(req.query.limit),       // How many items to return in the response
                 skip: parseInt(req.query.skip),         // Which page to show
-                sort: sort                              // Sort by createdAt property of Task in ascending or descending
+                sort: query.sort                        // Sort by the property in ascending or descending
             }
         }).execPopulate()     // Fetch the tasks related to the User
 
         res.send(user.tasks)                            // Respond with the Tasks
     } catch (e) {
-        res.status(500).send()
+        next(e)
     }
 })
 
 /**
  * Description:
- *      Searches the DB for a Task by the Task's _id and if it is owned by the User (based on the request's auth token)
+ *      Full-text search over the User's Tasks (description, tags, checklist items and comments).
+ *      Results are ranked by relevance unless sortBy is given, and each result has a 'score' and 'highlights'
+ *      (short snippets with the matches wrapped in <mark></mark>).
+ *      Accepts the same URL queries as GET /tasks (completed, priority, tags, sortBy, limit, skip, ...)
+ * 
+ * Parameters:
+ *      q: The search query
+ *          "weekly report"     <---- matches the exact phrase
+ *          -draft              <---- excludes Tasks with the word
+ * 
+ * Example:
+ *      localhost:3000/tasks/search?q=report -draft
+ *          or
+ *      localhost:3000/tasks/search?q="weekly report"&completed=false&limit=10&skip=0
+ */
+router.get('/tasks/search', auth, requireScope('tasks:read'), taskQuota, validate({ query: { q: { type: 'string', required: true }, ...pagination } }), async (req, res, next) => {
+    const q = req.query.q.trim()
+    const search = parseSearchQuery(q)
+
+    if (search.words.length === 0 && search.phrases.length === 0) {        // MongoDB needs at least one term to look for
+        return next(badRequest('Please provide a word or phrase to search for (q)'))
+    }
+
+    try {
+        const query = buildTaskQuery(req.query)
+        const match = { ...query.match, owner: req.user._id }
+        const scores = { }                                              // Relevance of each Task by its id
+        const matchingComments = { }                                    // Best matching Comment of each Task by its id
+
+        const tasks = await Task.find({ ...match, $text: { $search: q } }, { score: { $meta: 'textScore' } })
+            .sort({ score: { $meta: 'textScore' } })                   // Keep the most relevant ones when there are too many
+            .limit(maxSearchResults)
+
+        tasks.forEach((task) => {
+            scores[task._id] = task.get('score')
+        })
+
+        // Tasks can also be found through their Comments, the Comments are joined with the Tasks that match the filter
+        // Aggregations don't cast their values (or hide the trash), so the filter is cast with the Task schema first
+        const taskMatch = Task.find().cast(Task, { deletedAt: null, ...match })
+        const comments = await Comment.aggregate([
+            { $match: { $text: { $search: q } } },
+            { $addFields: { score: { $meta: 'textScore' } } },
+            { $lookup: {
+                from: Task.collection.name,
+                let: { taskId: '$task' },
+                pipeline: [
+                    { $match: { ...taskMatch, $expr: { $eq: ['$_id', '$$taskId'] } } },
+                    { $project: { _id: 1 } }
+                ],
+                as: 'matchingTask'
+            } },
+            { $match: { matchingTask: { $ne: [] } } },
+            { $sort: { score: -1 } },
+            { $limit: maxSearchResults }
+        ])
+
+        comments.forEach((comment) => {
+            scores[comment.task] = (scores[comment.task] || 0) + comment.score
+            matchingComments[comment.task] = matchingComments[comment.task] || comment
+        })
+
+        // Add the Tasks that only matched through a Comment, unless the Task itself has one of the excluded words
+        const missingIds = Object.keys(matchingComments).filter((id) => !tasks.some((task) => task._id.equals(id)))
+        const negatedWords = search.negated.map((word) => word.replace(/\W/g, '')).filter((word) => word.length > 0)     // '-!!' has no word to exclude
+        const excluded = new RegExp('\\b(' + negatedWords.join('|') + ')', 'i')
+
+        const commentTasks = (await Task.find({ _id: { $in: missingIds } })).filter((task) => {
+            const text = [task.description, ...task.tags, ...task.checklist.map((item) => item.text)].join(' ')
+            return negatedWords.length === 0 || !excluded.test(text)
+        })
+
+        const results = tasks.concat(commentTasks)
+
+        const sortField = Object.keys(query.sort)[0]
+        results.sort((a, b) => {
+            if (!sortField) {                                           // Most relevant first
+                return scores[b._id] - scores[a._id]
+            }
+
+            if (a[sortField] < b[sortField]) return -query.sort[sortField]
+            if (a[sortField] > b[sortField]) return query.sort[sortField]
+            return 0
+        })
+
+        const skip = parseInt(req.query.skip) || 0
+        const limit = parseInt(req.query.limit) || results.length
+
+        res.send(results.slice(skip, skip + limit).map((task) => {
+            const comment = matchingComments[task._id]
+            const highlights = [
+                { field: 'description', snippet: highlight(task.description, search) },
+                { field: 'tags', snippet: highlight(task.tags.join(', '), search) },
+                ...task.checklist.map((item) => ({ field: 'checklist', snippet: highlight(item.text, search) })),
+                { field: 'comment', snippet: comment && highlight(comment.text, search) }
+            ]
+
+            return {
+                ...task.toJSON(),
+                score: scores[task._id],
+                highlights: highlights.filter((item) => item.snippet)
+            }
+        }))
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Returns the User's incomplete Tasks grouped by when they are due:
+ *          overdue: The due date has already passed
+ *          today: Due before the end of today
+ *          thisWeek: Due within the next 7 days (after today)
+ *          later: Due after that
+ *          noDueDate: Tasks without a due date
+ *      Each group is sorted by due date, then by priority (most urgent first)
+ * 
+ * Example:
+ *      localhost:3000/tasks/agenda
+ */
+router.get('/tasks/agenda', auth, requireScope('tasks:read'), taskQuota, async (req, res, next) => {
+    const now = new Date()
+    const startOfTomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1)     // Midnight tonight
+    const endOfWeek = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 8)           // Midnight 7 days after tonight
+
+    try {
+        const tasks = await Task.find({ owner: req.user._id, completed: false })
+            .sort({ dueDate: 1, priorityRank: -1 })
+
+        const agenda = {
+            overdue: [],
+            today: [],
+            thisWeek: [],
+            later: [],
+            noDueDate: []
+        }
+
+        tasks.forEach((task) => {                                       // Put each Task in its group
+            if (!task.dueDate) {
+                agenda.noDueDate.push(task)
+            } else if (task.dueDate < now) {
+                agenda.overdue.push(task)
+            } else if (task.dueDate < startOfTomorrow) {
+                agenda.today.push(task)
+            } else if (task.dueDate < endOfWeek) {
+                agenda.thisWeek.push(task)
+            } else {
+                agenda.later.push(task)
+            }
+        })
+
+        res.send(agenda)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Fetches the Tasks other Users have shared with the User, either directly or through a shared Project.
+ *      Accepts the same URL queries as GET /tasks.
+ * 
+ * Parameters:
+ *      assigned: A URL query, when 'true' only the shared Tasks assigned to the User are returned
+ * 
+ * Example:
+ *      localhost:3000/tasks/shared
+ *          or
+ *      localhost:3000/tasks/shared?assigned=true&completed=false
+ */
+router.get('/tasks/shared', auth, requireScope('tasks:read'), taskQuota, validate({ query: { assigned: { type: 'boolean' }, ...pagination } }), async (req, res, next) => {
+    try {
+        const query = buildTaskQuery(req.query)
+        const sharedProjects = await Project.find({ 'collaborators.user': req.user._id }, '_id')
+
+        const match = {
+            ...query.match,
+            owner: { $ne: req.user._id },
+            $or: [
+                { 'collaborators.user': req.user._id },                 // Shared directly
+                { project: { $in: sharedProjects.map((project) => project._id) } }     // Shared through a Project
+            ]
+        }
+
+        if (req.query.assigned === 'true') {
+            match.assignee = req.user._id
+        }
+
+        const tasks = await Task.find(match)
+            .sort(query.sort)
+            .limit(parseInt(req.query.limit) || 0)          // 0 means no limit
+            .skip(parseInt(req.query.skip) || 0)
+
+        res.send(tasks)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Fetches the User's Tasks that are in the trash, most recently deleted first.
+ *      Subtasks that were deleted along with their parent are not listed, they are restored with it.
+ * 
+ * Parameters:
+ *      limit: A URL query that determines how many items are shown in each page
+ *      skip: A URL query that determines which page to show
+ * 
+ * Example:
+ *      localhost:3000/tasks/trash
+ */
+router.get('/tasks/trash', auth, requireScope('tasks:read'), taskQuota, validate({ query: pagination }), async (req, res, next) => {
+    try {
+        const tasks = await Task.find({ owner: req.user._id, deletedAt: { $ne: null }, trashedWith: null })
+            .sort({ deletedAt: -1 })
+            .limit(parseInt(req.query.limit) || 0)          // 0 means no limit
+            .skip(parseInt(req.query.skip) || 0)
+
+        res.send(tasks)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Permanently deletes every Task in the User's trash
+ * 
+ * Example:
+ *      localhost:3000/tasks/trash
+ */
+router.delete('/tasks/trash', auth, requireScope('tasks:write'), taskQuota, async (req, res, next) => {
+    try {
+        const count = await Task.purgeTrash({ owner: req.user._id })
+
+        res.send({ purged: count })
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Permanently deletes a Task in the trash (with its Comments, Attachments and the subtasks trashed with it)
+ * 
+ * Example:
+ *      localhost:3000/tasks/trash/1ljk12h41842k
+ */
+router.delete('/tasks/trash/:id', auth, requireScope('tasks:write'), taskQuota, validate({ params: idParams }), async (req, res, next) => {
+    try {
+        const count = await Task.purgeTrash({ _id: req.params.id, owner: req.user._id })
+
+        if (count === 0) {
+            return next(notFound('Task not found'))
+        }
+
+        res.send({ purged: count })
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Takes a Task out of the trash (along with the subtasks that were deleted with it)
+ * 
+ * Example:
+ *      localhost:3000/tasks/1ljk12h41842k/restore
+ */
+router.post('/tasks/:id/restore', auth, requireScope('tasks:write'), taskQuota, validate({ params: idParams }), async (req, res, next) => {
+    try {
+        const task = await Task.findOne({ _id: req.params.id, owner: req.user._id, deletedAt: { $ne: null } })
+
+        if (!task) {
+            return next(notFound('Task not found'))
+        }
+
+        res.send(await task.restore(req.user._id))
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Searches the DB for a Task by the Task's _id if the User owns it or it was shared with them
  * 
  * Parameters:
  *      id: Passed in through the URL, the _id we want to search for
- *      owner: The object id of the User Document that owns the Task Document
  * 
  * Example: localhost:3000/tasks/1ljk12h41842k
  */
-router.get('/tasks/:id', auth, async (req, res) => {
+router.get('/tasks/:id', auth, requireScope('tasks:read'), taskQuota, validate({ params: idParams }), async (req, res, next) => {
     const _id = req.params.id
 
     try {
-        const task = await Task.findOne({ _id: _id, owner: req.user._id })  // Find the Task Document based on the task's _id & the User Document's _id (owner property of the Task)
+        const { task } = await Task.findWithRole(_id, req.user._id)        // Find the Task Document if the User has any role on it
 
         if (!task) {                                                        // If the search for the Task does not find any matches
-            res.status(404).send()                                              // Send response with 404
+            return next(notFound('Task not found'))                             // Send response with 404
+        }
+
+        sendWithEtag(res, task)                                             // Send response with Task (or 304 if the If-None-Match ETag still matches)
+    } catch (e) {
+        next(e)
+    }
+})
+
+
+/**
+ * Description:
+ *      Fetches the change history of a Task (newest first). Every entry has the User that made the change,
+ *      the action (create, update, complete, delete, restore or revert) and the old and new values of the properties that changed.
+ *
+ * Parameters:
+ *      limit: A URL query that determines how many entries are shown in each page
+ *      skip: A URL query that determines which page to show
+ *
+ * Example:
+ *      localhost:3000/tasks/1ljk12h41842k/history
+ */
+router.get('/tasks/:id/history', auth, requireScope('tasks:read'), taskQuota, validate({ params: idParams, query: pagination }), async (req, res, next) => {
+    try {
+        const { task } = await Task.findWithRole(req.params.id, req.user._id)
+
+        if (!task) {
+            return next(notFound('Task not found'))
+        }
+
+        const history = await TaskHistory.find({ task: task._id })
+            .sort({ version: -1 })
+            .limit(parseInt(req.query.limit) || 0)
+            .skip(parseInt(req.query.skip) || 0)
+            .populate('user', 'name')
+
+        res.send(history)
+    } catch (e) {
+        next(e)
+    }
+})
+
+
+/**
+ * Description:
+ *      Reverts a Task to the values it had at an earlier version of its history.
+ *      The revert is added to the history as a new version, so it can be undone too.
+ *
+ * Parameters:
+ *      version: The version (from GET /tasks/:id/history) to revert the Task to
+ *
+ * EXAMPLE:
+ *      localhost:3000/tasks/1ljk12h41842k/revert
+ *      body:   {
+ *                  version: 3
+ *              }
+ */
+router.post('/tasks/:id/revert', auth, requireScope('tasks:write'), taskQuota, validate({ params: idParams, body: { version: { type: 'integer', min: 0, required: true } } }), async (req, res, next) => {
+    try {
+        const { task, role } = await Task.findWithRole(req.params.id, req.user._id)
+
+        if (!task) {
+            return next(notFound('Task not found'))
+        }
+
+        if (!hasRole(role, 'editor')) {
+            return next(forbidden('You need to be an editor of this task to do that'))
+        }
+
+        const entry = await TaskHistory.findOne({ task: task._id, version: req.body.version })
+
+        if (!entry || !entry.snapshot) {
+            return next(notFound('That version does not exist'))
+        }
+
+        Task.UPDATABLE_FIELDS.forEach((field) => {                      // Properties that weren't set at that version are removed
+            task[field] = entry.snapshot[field]
+        })
+
+        task.$locals.userId = req.user._id
+        task.$locals.historyAction = 'revert'
+        task.$locals.revertedTo = entry.version
+
+        await task.save()
+
+        sendWithEtag(res, task)
+    } catch (e) {
+        next(e)
+    }
+})
+
+
+/**
+ * Description:
+ *      Fetches the subtasks of a Task. Accepts the same URL queries as GET /tasks.
+ * 
+ * Parameters:
+ *      id: The _id of the parent Task
+ *      recursive: A URL query, when 'true' the subtasks of the subtasks (at any depth) are returned too
+ * 
+ * Example:
+ *      localhost:3000/tasks/1ljk12h41842k/subtasks
+ *          or
+ *      localhost:3000/tasks/1ljk12h41842k/subtasks?recursive=true&completed=false
+ */
+router.get('/tasks/:id/subtasks', auth, requireScope('tasks:read'), taskQuota, validate({ params: idParams, query: { recursive: { type: 'boolean' }, ...pagination } }), async (req, res, next) => {
+    try {
+        const query = buildTaskQuery(req.query)
+        const { task } = await Task.findWithRole(req.params.id, req.user._id)
+
+        if (!task) {
+            return next(notFound('Task not found'))
+        }
+
+        const parentFilter = req.query.recursive === 'true'
+            ? { _id: { $in: await Task.findDescendantIds(task._id) } }
+            : { parent: task._id }
+
+        const subtasks = await Task.find({ ...query.match, ...parentFilter, owner: task.owner })
+            .sort(query.sort)
+            .limit(parseInt(req.query.limit) || 0)          // 0 means no limit
+            .skip(parseInt(req.query.skip) || 0)
+
+        res.send(subtasks)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Creates a subtask under a Task. The subtask is put in the same Project as its parent
+ *      unless a project is given in the body. Editors of the parent can create subtasks, 
+ *      the subtask is owned by the owner of the parent.
+ * 
+ * EXAMPLE:
+ *      localhost:3000/tasks/1ljk12h41842k/subtasks
+ *      body:   {
+ *                  description: "Write the introduction"
+ *              }
+ */
+router.post('/tasks/:id/subtasks', auth, requireScope('tasks:write'), taskQuota, validate({ params: idParams, body: newTaskBody }), async (req, res, next) => {
+    try {
+        const { task: parent, role } = await Task.findWithRole(req.params.id, req.user._id)
+
+        if (!parent) {
+            return next(notFound('Task not found'))
         }
 
-        res.send(task)                                                      // Send response with Task 
-    } catch {
-        res.status(404).send()
+        if (!hasRole(role, 'editor')) {
+            return next(forbidden('You need to be an editor of this task to do that'))
+        }
+
+        const subtask = new Task({
+            project: parent.project,
+            ...req.body,
+            parent: parent._id,
+            subtaskCount: 0,
+            completedSubtaskCount: 0,
+            commentCount: 0,
+            collaborators: parent.collaborators.map((collaborator) => collaborator.toObject()),
+            workspace: parent.workspace,                                // Subtasks stay in the parent's Workspace
+            owner: parent.owner
+        })
+
+        subtask.$locals.userId = req.user._id                           // For the Task's history
+        await subtask.save()                                            // Also updates the parent's progress
+
+        res.status(201).send(subtask)
+    } catch (e) {
+        next(e)
     }
 })
 
 
   /**
-  * Description: 
-  *         Updates the Task Document using the request's body
+ * Description: 
+  *         Updates the Task Document using the request's body (the User has to be the owner or an editor of the Task)
   * 
   * Parameters:
-  *         :id - the _id of the User Document we want to update
+  *         :id - the _id of the Task Document we want to update
   *         body - contains the an object with key-value pairs of the properties we want to update
+  *         completeSubtasks - A URL query, when 'true' and the Task is being completed, all of its subtasks
+  *                            (at any depth) and checklist items are completed too
+  *         scope - A URL query for recurring Tasks, 'this' (default) only updates this occurrence,
+  *                 'series' also updates the description, priority, tags, project, checklist and recurrence
+  *                 of every incomplete occurrence in the series
+  * 
+  *     Completing a recurring Task creates its next occurrence with the next due date
+  * 
+  *     To avoid overwriting someone else's changes, send the ETag of the Task in the If-Match header (412 if it changed)
+  *     or its version in the body (409 if it changed). Both respond with the current Task in 'current'.
   * 
   * EXAMPLE:
   *     localhost:3000/tasks/j1hk2jeh1jk2hk
+  *         or
+  *     localhost:3000/tasks/j1hk2jeh1jk2hk?completeSubtasks=true
+  *         or
+  *     localhost:3000/tasks/j1hk2jeh1jk2hk?scope=series
   *     body:   { 
   *                 description : "new name",
-  *                 completed: true
+  *                 completed: true,
+  *                 dueDate: "2019-06-01T17:00:00.000Z",
+  *                 priority: "high",
+  *                 tags: ["work", "reports"],
+  *                 parent: "5cf0a1...",                                <---- makes the Task a subtask (null to make it top level)
+  *                 checklist: [{ text: "Draft", done: true }],         <---- replaces the whole checklist
+  *                 recurrence: { frequency: "weekly", weekdays: [1, 3] },  <---- null to stop repeating
+  *                 assignee: "5cf0a3...",                              <---- the owner or a collaborator
+  *                 version: 4                                          <---- optional, the version the changes are based on
   *             }
   */
- router.patch('/tasks/:id', auth, async (req, res) => {
-     const updates = Object.keys(req.body)                      // An array of all the keys in the request's body
-     const allowedUpdates = ['description', 'completed']        // An array of the keys in the Task Document we want to allow to be updated
-     
-     // Goes through every element in 'updates' and does the conditional, returns false if at least 1 is false
-     const isValidOperation = updates.every((key) => {          // If we find a property that isn't allowed to be updated is in
-         return allowedUpdates.includes(key)                    // the request, then we return false and the request isn't completed
-     })
-
-
-     if (!isValidOperation) {
-         return res.status(400).send({error : 'You are trying to update a Task property that is not allowed or doesn\'t exist'})
-     }
+ router.patch('/tasks/:id', auth, requireScope('tasks:write'), taskQuota, validate({
+     params: idParams,
+     query: {
+         completeSubtasks: { type: 'boolean' },
+         scope: { type: 'string', enum: ['this', 'series'] }
+     },
+     body: taskUpdateBody                                        // Only the properties in Task.UPDATABLE_FIELDS (and version) are allowed
+ }), async (req, res, next) => {
+     const updates = Object.keys(req.body).filter((key) => key !== 'version')     // An array of all the keys in the request's body
+     const scope = req.query.scope || 'this'
 
      try {
-        const task = await Task.findOne({ _id: req.params.id, owner: req.user._id })   // Get the task based on the Task id and Task owner property (User _id)
+        const { task, role } = await Task.findWithRole(req.params.id, req.user._id)    // Get the task and the User's role on it
         
         if (!task) {                                                        // If the search for the Task did not find a match
-            log('Task not found')
+            return next(notFound('Task not found'))                             // Respond to user with error
+        }
+
+        if (!hasRole(role, 'editor')) {                                     // Viewers can't update the Task
+            return next(forbidden('You need to be an editor of this task to do that'))
+        }
 
-            return res.status(404).send({error : 'User not found'})         // Respond to user with error
+        const failure = checkPreconditions(req, task)                   // Someone else changed the Task since the client fetched it
+
+        if (failure) {
+            return next(failure)
         }
 
+        const wasCompleted = task.completed
+
         // Go through each element in the array
         updates.forEach((update) => {                                   // For each element
             task[update] = req.body[update]                                 // Access the property that matches the key and set it equal to the key's value
         })
 
-        await task.save()                                               // Save the task
+        if (task.completed && req.query.completeSubtasks === 'true') {  // Complete the checklist and every subtask below the Task
+            task.checklist.forEach((item) => {
+                item.done = true
+            })
+
+            const descendantIds = await Task.findDescendantIds(task._id)
+            const subtasks = await Task.find({ _id: { $in: descendantIds } })
+
+            for (const subtask of subtasks) {                           // Saved one by one so each gets its history, events and progress
+                const subtaskWasCompleted = subtask.completed
+
+                subtask.completed = true
+                subtask.checklist.forEach((item) => {
+                    item.done = true
+                })
+
+                if (!subtask.isModified()) {
+                    continue
+                }
+
+                subtask.$locals.userId = req.user._id
+                await subtask.save()
+
+                if (!subtaskWasCompleted) {                             // Same as completing the subtask on its own
+                    await subtask.createNextOccurrence()
+                }
+            }
+
+            task.completedSubtaskCount = task.subtaskCount                              // Every direct subtask is now completed
+        }
+
+        task.$locals.userId = req.user._id                              // Record who made the change in the Task's history
+
+        try {
+            await task.save()                                           // Save the task
+        } catch (e) {
+            if (e.name !== 'VersionError') {
+                throw e
+            }
+
+            // The Task was saved by another request since it was fetched above
+            const current = await Task.findById(task._id)
+            return next(conflictError(current, 'The task was changed by someone else, please try again'))
+        }
+
+        if (scope === 'series' && task.seriesId) {                      // Copy the series-wide changes to the other open occurrences
+            const seriesUpdates = updates.filter((update) => seriesFields.includes(update))
+            const occurrences = await Task.find({ seriesId: task.seriesId, completed: false, _id: { $ne: task._id }, owner: task.owner })
+
+            for (const occurrence of occurrences) {
+                seriesUpdates.forEach((update) => {
+                    occurrence[update] = req.body[update]
+                })
 
-        res.send(task)                                                  // Otherwise, send a response to the request
+                occurrence.$locals.userId = req.user._id
+
+                await occurrence.save()
+            }
+        }
+
+        if (!wasCompleted && task.completed) {                          // Just completed, so create the next occurrence if it repeats
+            await task.createNextOccurrence()
+        }
+
+        sendWithEtag(res, task)                                         // Otherwise, send a response to the request
      } catch (e) {
-         res.status(400).send(e)
+         next(e)
      }
  })
 
 
+/**
+ * Description:
+ *      Skips the current occurrence of a recurring Task. The occurrence is closed (marked as completed and skipped)
+ *      and the next occurrence is created.
+ * 
+ * Returns:
+ *      { skipped, next } where next is null if the series is finished
+ * 
+ * EXAMPLE:
+ *      localhost:3000/tasks/j1hk2jeh1jk2hk/skip
+ */
+router.post('/tasks/:id/skip', auth, requireScope('tasks:write'), taskQuota, validate({ params: idParams }), async (req, res, next) => {
+    try {
+        const { task, role } = await Task.findWithRole(req.params.id, req.user._id)
+
+        if (!task) {
+            return next(notFound('Task not found'))
+        }
+
+        if (!hasRole(role, 'editor')) {
+            return next(forbidden('You need to be an editor of this task to do that'))
+        }
+
+        if (!task.seriesId) {
+            return next(badRequest('Only recurring tasks can be skipped'))
+        }
+
+        if (task.completed) {
+            return next(badRequest('This occurrence is already completed'))
+        }
+
+        task.completed = true
+        task.skipped = true
+        task.$locals.userId = req.user._id
+        await task.save()
+
+        const nextOccurrence = await task.createNextOccurrence()
+
+        res.send({ skipped: task, next: nextOccurrence || null })
+    } catch (e) {
+        next(e)
+    }
+})
+
+
 /**
  * Description: Endpoint for creating a new Task and saving it to the DB
  * 
  * Parameters:
  *      A JSON object that contains essential properties to create a new Task
+ * 
+ * EXAMPLE:
+ *      body:   {
+ *                  description: "Submit report",
+ *                  dueDate: "2019-06-01T17:00:00.000Z",
+ *                  startDate: "2019-05-28",
+ *                  priority: "urgent",                 <---- low, medium (default), high or urgent
+ *                  tags: ["work"],                     <---- new tags are created automatically
+ *                  project: "5cf0a1...",               <---- optional, leave out to put the Task in the inbox
+ *                  parent: "5cf0a2...",                <---- optional, makes the Task a subtask
+ *                  checklist: [{ text: "Proofread" }],
+ *                  reminders: [                        <---- optional, emailed and listed in GET /notifications
+ *                      { minutesBefore: 60 },              <---- an hour before the due date
+ *                      { at: "2019-05-31T09:00:00.000Z" }  <---- or at an exact time
+ *                  ],
+ *                  recurrence: {                       <---- optional, makes the Task repeat
+ *                      frequency: "monthly",               <---- daily, weekly or monthly
+ *                      interval: 1,                        <---- every N days/weeks/months
+ *                      dayOfMonth: 1,                      <---- monthly only (weekly uses weekdays: [0-6])
+ *                      until: "2020-01-01",                <---- optional end date
+ *                      count: 12                           <---- optional number of occurrences
+ *                  }
+ *              }
  */
-router.post('/tasks', auth, async (req, res) => {
+router.post('/tasks', auth, requireScope('tasks:write'), taskQuota, validate({ body: newTaskBody }), async (req, res, next) => {
     const task = new Task({
         ...req.body,                        // Copy the req.body object into this object
+        subtaskCount: 0,                    // A new Task doesn't have subtasks yet
+        completedSubtaskCount: 0,
+        commentCount: 0,
+        collaborators: [],                  // Tasks are shared through POST /tasks/:id/share
+        workspace: undefined,               // Workspace Tasks are created with POST /workspaces/:id/tasks
         owner: req.user._id                 // The ObjectId of the owner
     })
 
+    task.$locals.userId = req.user._id      // For the Task's history
+
     try {
         await task.save()
-        res.status(201).send(task)
+        sendWithEtag(res, task, 201)
     } catch (e) {
-        res.status(400).send(e)
+        next(e)
     }
 })
 
 
 
 /**
- * Description: Deletes a Task Document with a matching _id
+ * Description: Moves a Task Document with a matching _id to the trash (only the owner can delete a Task)
+ *      It can be restored with POST /tasks/:id/restore until it is purged from the trash
+ * 
+ * Parameters:
+ *      subtasks: A URL query that determines what happens to the Task's subtasks
+ *          reparent (default): The subtasks are moved up to the deleted Task's parent
+ *          delete: The subtasks (at any depth) are moved to the trash too
  * 
  * EXAMPLE:
  *      localhost:3000/tasks/<_id>
+ *          or
+ *      localhost:3000/tasks/<_id>?subtasks=delete
  */
-router.delete('/tasks/:id', auth, async (req, res) => {
+router.delete('/tasks/:id', auth, requireScope('tasks:write'), taskQuota, validate({ params: idParams, query: { subtasks: { type: 'string', enum: ['reparent', 'delete'] } } }), async (req, res, next) => {
+    const mode = req.query.subtasks || 'reparent'
+
     try {
-        // const task = await Task.findByIdAndDelete(req.params.id)        // Get the Task Document that is to be deleted
-        const task = await Task.findOneAndDelete( {_id: req.params.id, owner: req.user._id } )
+        const { task, role } = await Task.findWithRole(req.params.id, req.user._id)   // Get the Task Document that is to be deleted
 
         if (!task) {                                                    // If there is no matching _id
-            return res.status(404).send()                                   // Respond with 404
+            return next(notFound('Task not found'))                         // Respond with 404
+        }
+
+        if (role !== 'owner') {                                         // Collaborators can't delete the Task
+            return next(forbidden('Only the owner can delete this task'))
         }
 
+        await task.moveToTrash(mode, req.user._id)
+
         res.send(task)                                                  // Success
     } catch (e) {
-        res.status(500).send()
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Lists the Users the Task is shared with (name, email and role)
+ * 
+ * EXAMPLE:
+ *      localhost:3000/tasks/<_id>/share
+ */
+router.get('/tasks/:id/share', auth, requireScope('tasks:read'), taskQuota, validate({ params: idParams }), async (req, res, next) => {
+    try {
+        const { task } = await Task.findWithRole(req.params.id, req.user._id)
+
+        if (!task) {
+            return next(notFound('Task not found'))
+        }
+
+        await task.populate('collaborators.user', 'name email').execPopulate()
+
+        res.send(task.collaborators)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Shares the Task with another User by their email (only the owner can share a Task).
+ *      Sharing again with the same User changes their role.
+ * 
+ * EXAMPLE:
+ *      localhost:3000/tasks/<_id>/share
+ *      body:   {
+ *                  email: "friend@gmail.com",
+ *                  role: "editor"                      <---- viewer or editor
+ *              }
+ */
+router.post('/tasks/:id/share', auth, requireScope('tasks:write'), taskQuota, validate({ params: idParams, body: shareBody }), async (req, res, next) => {
+    try {
+        const { task, role } = await Task.findWithRole(req.params.id, req.user._id)
+
+        if (!task) {
+            return next(notFound('Task not found'))
+        }
+
+        if (role !== 'owner') {
+            return next(forbidden('Only the owner can share this task'))
+        }
+
+        const user = await User.findOne({ email: req.body.email.toLowerCase().trim() })
+
+        if (!user) {
+            return next(notFound('No user with that email'))
+        }
+
+        if (user._id.equals(task.owner)) {
+            return next(badRequest('You can\'t share a task with yourself'))
+        }
+
+        const collaborator = task.collaborators.find((collaborator) => collaborator.user.equals(user._id))
+
+        if (collaborator) {                                             // Already shared, change the role
+            collaborator.role = req.body.role
+        } else {
+            task.collaborators.push({ user: user._id, role: req.body.role })
+        }
+
+        await task.save()
+
+        res.send(task)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Stops sharing the Task with a User. The owner can remove anyone, collaborators can only remove themselves.
+ *      If the User was assigned to the Task, the Task is unassigned.
+ * 
+ * EXAMPLE:
+ *      localhost:3000/tasks/<_id>/share/<user _id>
+ */
+router.delete('/tasks/:id/share/:userId', auth, requireScope('tasks:write'), taskQuota, validate({ params: { ...idParams, userId: { type: 'objectId', required: true } } }), async (req, res, next) => {
+    try {
+        const { task, role } = await Task.findWithRole(req.params.id, req.user._id)
+
+        if (!task) {
+            return next(notFound('Task not found'))
+        }
+
+        if (role !== 'owner' && !req.user._id.equals(req.params.userId)) {
+            return next(forbidden('Only the owner can remove other collaborators'))
+        }
+
+        const collaborators = task.collaborators.filter((collaborator) => !collaborator.user.equals(req.params.userId))
+
+        if (collaborators.length === task.collaborators.length) {
+            return next(notFound('The task is not shared with that user'))
+        }
+
+        task.collaborators = collaborators
+
+        if (task.assignee && task.assignee.equals(req.params.userId)) {
+            task.assignee = undefined
+        }
+
+        await task.save()
+
+        res.send(task)
+    } catch (e) {
+        next(e)
     }
 })
 
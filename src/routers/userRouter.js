@@ -5,10 +5,78 @@ const router = new express.Router()
 
 const User = require('../models/user')
 const auth = require('../middleware/auth')
+const { requireScope, sessionOnly } = require('../middleware/scope')
+const { rateLimit,
+        tooManyRequests,
+        lockedUntil,
+        recordLoginFailure,
+        clearLoginFailures } = require('../middleware/rateLimit')
+const bcrypt = require('bcryptjs')                          // Used to check the current password
 const multer = require('multer')                            // Used for file transfers on the server
 const sharp = require('sharp')                              // Used to modify images
+const { sendWithEtag, checkPreconditions, conflictError } = require('../utils/concurrency')
+const { validate, idParams } = require('../middleware/validate')
+const { ApiError, badRequest, unauthorized, forbidden, notFound } = require('../utils/errors')
+const { emitEvent } = require('../jobs/webhooks')
+const { otpauthUri } = require('../utils/totp')
 const { sendWelcomeEmail, 
-        sendCancelEmail } = require('../emails/account')   // Using desctructuring to get the email methods 
+        sendCancelEmail,
+        sendVerificationEmail,
+        sendPasswordResetEmail } = require('../emails/account')   // Using desctructuring to get the email methods 
+
+
+/**
+ * Description:
+ *      Gets the device information saved with a session from the request
+ */
+const deviceOf = (req) => ({
+    userAgent: req.get('User-Agent'),
+    ip: req.ip
+})
+
+/**
+ * Per IP limits on the routes that can be used to guess passwords, codes or tokens
+ */
+const minute = 60 * 1000
+const loginLimit = rateLimit({ name: 'login', max: 20, windowMs: 15 * minute })
+const twoFactorLimit = rateLimit({ name: 'login-2fa', max: 20, windowMs: 15 * minute })
+const verifyLimit = rateLimit({ name: 'verify', max: 20, windowMs: 60 * minute })
+const forgotLimit = rateLimit({ name: 'password-forgot', max: 5, windowMs: 60 * minute })
+const resetLimit = rateLimit({ name: 'password-reset', max: 10, windowMs: 60 * minute })
+const refreshLimit = rateLimit({ name: 'refresh', max: 60, windowMs: 15 * minute })
+
+const loginFailed = 'Unable to login'                               // The same for a wrong email or password, so it doesn't tell who has an account
+const lockedOut = 'Too many failed attempts, please try again later'
+const accountDisabled = 'This account has been disabled'
+
+// The rules for the properties of a User in the body (see middleware/validate.js)
+const userFields = {
+    name: { type: 'string', minLength: 1 },
+    email: { type: 'email' },
+    password: { type: 'string', minLength: 7 },
+    age: { type: 'integer', min: 0 },
+    dailyDigest: { type: 'boolean' },
+    digestHour: { type: 'integer', min: 0, max: 23 }
+}
+
+const signupBody = {                                                // POST /users
+    ...userFields,
+    name: { ...userFields.name, required: true },
+    email: { ...userFields.email, required: true },
+    password: { ...userFields.password, required: true }
+}
+
+const profileBody = {                                               // PATCH /users/me
+    ...userFields,
+    currentPassword: { type: 'string' },
+    version: { type: 'integer', min: 0 }
+}
+
+// The body of the routes that need a code from the authenticator app (or a recovery code)
+const codeFields = {
+    code: { type: 'string' },
+    recoveryCode: { type: 'string' }
+}
 
         
 /**
@@ -20,8 +88,8 @@ const { sendWelcomeEmail,
  *      URL: the endpoint
  *      auth: the auth middleware
  */
-router.get('/users/me', auth, async (req, res) => {
-    res.send(req.user)          // Send a response with the user object that was passed in from the auth middleware
+router.get('/users/me', auth, requireScope('profile:read'), async (req, res) => {
+    sendWithEtag(res, req.user)     // Send a response with the user object that was passed in from the auth middleware (or 304 if the If-None-Match ETag still matches)
 })
 
 /**
@@ -31,19 +99,19 @@ router.get('/users/me', auth, async (req, res) => {
  * Parameters:
  *      id: The user's ID from the mongoDB  
  */
-router.get('/users/:id/avatar', async (req, res) => {
+router.get('/users/:id/avatar', validate({ params: idParams }), async (req, res, next) => {
     try {
         const user = await User.findById(req.params.id)             // Fetch the User Document from the DB
         
         if (!user || !user.avatar) {                                // If the User or image is null
-            throw new Error('User or avatar doesn\'t exist')            // Respond with an error
+            return next(notFound('User or avatar doesn\'t exist'))     // Respond with an error
         }
 
         // Set header and respond with avatar's binary data
         res.set('Content-Type', 'image/png')                                             // Setting the response header
         res.send(user.avatar)                                                               // The good thing with express is that                                                                                       if we don't supply a header then it will                                                                                        automatically set the Content-Type to                                                                                        'application/json'
     } catch (e) {
-        res.status(404).send(e)
+        next(e)
     }
 })
 
@@ -59,34 +127,76 @@ router.get('/users/:id/avatar', async (req, res) => {
   * EXAMPLE:
   *     localhost:3000/users/j1hk2jeh1jk2hk
   *     body:   { 
-  *                 name : "new name"
+  *                 name : "new name",
+  *                 version: 2              <---- optional, 409 if the profile was changed since (or send the ETag in If-Match, 412)
   *             }
+  * 
+  *     Changing the password needs the current password and logs out every other session:
+  *     body:   {
+  *                 password: "new password",
+  *                 currentPassword: "old password"
+  *             }
+  * 
+  *     Changing the email sends a verification email to the new address
+  * 
+  *     The email and password can only be changed when logged in, not with an API key (even with profile:write),
+  *     so a leaked key can't be used to take over the account
   */
- router.patch('/users/me', auth, async (req, res) => {
-    const updates = Object.keys(req.body)                           // An array of all the key's from the body of the request
-    const allowedUpdates = ['name', 'email', 'password', 'age']     // All the properties we are allowing to be updated by the user
-    // Goes through every element, does the conditional, returns false if 1 or more is false
-    const isValidOperation = updates.every((key) => {
-        return allowedUpdates.includes(key)
-    })
-    
-    if (!isValidOperation) {
-        return res.status(400).send({error : 'You are trying to update a User property that is not allowed or doesn\'t exist'})
+ router.patch('/users/me', auth, requireScope('profile:write'), validate({ body: profileBody }), async (req, res, next) => {
+    const updates = Object.keys(req.body).filter((key) => !['version', 'currentPassword'].includes(key))     // An array of all the key's from the body of the request
+
+    if (req.apiKey && updates.some((update) => ['email', 'password'].includes(update))) {
+        return next(forbidden('API keys can\'t change the email or password, please log in'))
     }
-    
+
+    const failure = checkPreconditions(req, req.user)               // The profile was changed since the client fetched it
+
+    if (failure) {
+        return next(failure)
+    }
+
     try {
         const user = req.user                                       // Get the user
+        let verificationToken
+
+        if (updates.includes('password')) {
+            if (!req.body.currentPassword || !(await bcrypt.compare(req.body.currentPassword, user.password))) {
+                return next(badRequest('Your current password is incorrect'))
+            }
+
+            user.tokens = user.tokens.filter((session) => session.token === req.token)     // Log out every other session
+        }
         
         // Go through each element in the array
         updates.forEach((update) => {                               // For each key in the array
             user[update] = req.body[update]                             // access that property in the user model and set it equal to the value of that key
         })
 
-        await user.save()
+        if (user.isModified('email')) {                             // The new email has to be verified again
+            user.emailVerified = false
+            verificationToken = user.createOneTimeToken('emailVerification')
+        }
+
+        try {
+            await user.save()
+        } catch (e) {
+            if (e.name !== 'VersionError') {
+                throw e
+            }
+
+            // The User was saved by another request since it was fetched
+            return next(conflictError(await User.findById(user._id), 'Your profile was changed by another request, please try again'))
+        }
+
+        await emitEvent(user._id, 'user.updated', { user })
+
+        if (verificationToken) {
+            sendVerificationEmail(user.email, user.name, verificationToken).catch((e) => log('Unable to send the verification email: ' + e.message))
+        }
 
-        res.send(req.user)                                              // Otherwise, send the respond to the request
+        sendWithEtag(res, req.user)                                     // Otherwise, send the respond to the request
      } catch (e) {
-        res.status(400).send(e)
+        next(e)
      }
  })
 
@@ -96,18 +206,25 @@ router.get('/users/:id/avatar', async (req, res) => {
  * Parameters:
  *      A JSON object that contains essential properties to create a new User
  */
-router.post('/users', async (req, res) => {
+router.post('/users', validate({ body: signupBody }), async (req, res, next) => {
     const user = new User(req.body)     // Create User object
-    log(req.body)
+
+    user.role = 'user'                                                      // Only an admin can make another admin
+    user.disabled = false
+    user.disabledReason = undefined
+    user.emailVerified = false                                              // The email is verified through the link in the verification email
+    user.passwordReset = undefined
+    const verificationToken = user.createOneTimeToken('emailVerification')
     
     try {
         await user.save()                               // Save the User Document
         //sendWelcomeEmail(user.email, user.name)         // Send welcome email
-        const newToken = await user.generateAuthToken() // Generate new auth token
+        sendVerificationEmail(user.email, user.name, verificationToken).catch((e) => log('Unable to send the verification email: ' + e.message))
+        const { token: newToken, refreshToken } = await user.generateAuthToken(deviceOf(req))  // Generate new auth token
 
-        res.status(201).send( {user, newToken} )        // Respond with the User Document and the auth token
+        res.status(201).send( {user, newToken, refreshToken} )     // Respond with the User Document and the auth tokens
     } catch (e) {
-        res.status(400).send(e)
+        next(e)
     }
 })
 
@@ -119,16 +236,360 @@ router.post('/users', async (req, res) => {
  * Parameters (in the body):
  *      email: The user's email
  *      password: The user's password
+ * 
+ * Returns:
+ *      { user, newToken, refreshToken }
+ *          newToken: The access token, it expires after 15 minutes (ACCESS_TOKEN_EXPIRY)
+ *          refreshToken: Used to get a new access token with POST /users/token/refresh
+ *          or
+ *      { twoFactorRequired: true, twoFactorToken } if the User turned on two-factor authentication,
+ *      the login is finished with POST /users/login/2fa
+ *          or
+ *      429 with the Retry-After header after too many attempts from the IP, or too many failed logins to the account
 */
-router.post('/users/login', async (req, res) => {
+router.post('/users/login', loginLimit, validate({
+    body: {
+        email: { type: 'string', required: true },
+        password: { type: 'string', required: true }
+    }
+}), async (req, res, next) => {
+    const account = req.body.email.trim().toLowerCase()
+
     try {
-        const user = await User.findByCredentials(req.body.email, req.body.password)    // Find the User and check if details match
-        const newToken = await user.generateAuthToken()                                    // Generate a token for the user
+        const lockout = await lockedUntil(account)
+
+        if (lockout) {
+            return next(tooManyRequests(lockout, lockedOut))
+        }
+
+        const user = await User.findByCredentials(account, req.body.password)          // Find the User and check if details match
+
+        if (!user) {
+            await recordLoginFailure(account)
+            return next(badRequest(loginFailed))
+        }
+
+        await clearLoginFailures(account)
+
+        if (user.disabled) {
+            return next(forbidden(accountDisabled))
+        }
+
+        if (user.twoFactor.enabled) {                                                   // The password isn't enough, a code is needed too
+            return res.send({ twoFactorRequired: true, twoFactorToken: user.generateTwoFactorToken() })
+        }
+
+        const { token: newToken, refreshToken } = await user.generateAuthToken(deviceOf(req))    // Start a session for the user
 
         
-        res.send( { user, newToken} )
+        res.send( { user, newToken, refreshToken } )
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Second step of the login for Users with two-factor authentication
+ * 
+ * Parameters (in the body):
+ *      twoFactorToken: From POST /users/login
+ *      code: The code from the authenticator app
+ *          or
+ *      recoveryCode: One of the recovery codes (each one works once)
+ * 
+ * Returns:
+ *      { user, newToken, refreshToken } like POST /users/login
+ */
+router.post('/users/login/2fa', twoFactorLimit, validate({ body: { twoFactorToken: { type: 'string', required: true }, ...codeFields } }), async (req, res, next) => {
+    try {
+        const user = await User.findByTwoFactorToken(req.body.twoFactorToken)
+
+        if (!user) {
+            return next(unauthorized('Your login has expired, please log in again'))
+        }
+
+        if (user.disabled) {
+            return next(forbidden(accountDisabled))
+        }
+
+        const account = `2fa:${user._id}`                              // Codes are locked out apart from passwords
+        const lockout = await lockedUntil(account)
+
+        if (lockout) {
+            return next(tooManyRequests(lockout, lockedOut))
+        }
+
+        if (!user.verifyTwoFactor({ code: req.body.code, recoveryCode: req.body.recoveryCode })) {
+            await recordLoginFailure(account)
+            return next(badRequest('The code is incorrect'))
+        }
+
+        await clearLoginFailures(account)
+
+        const { token: newToken, refreshToken } = await user.generateAuthToken(deviceOf(req))    // Also saves the used code
+
+        res.send({ user, newToken, refreshToken })
+    } catch (e) {
+        if (e.name === 'VersionError') {                                // The same code was used by another request at the same time
+            return next(badRequest('The code is incorrect'))
+        }
+
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Starts setting up two-factor authentication. The secret (or the otpauth URI as a QR code) is added to an authenticator app,
+ *      then two-factor authentication is turned on with the first code at POST /users/me/2fa/confirm
+ * 
+ * Returns:
+ *      { secret, otpauthUri }
+ */
+router.post('/users/me/2fa/setup', auth, sessionOnly, async (req, res, next) => {
+    if (req.user.twoFactor.enabled) {
+        return next(badRequest('Two-factor authentication is already on'))
+    }
+
+    try {
+        const secret = req.user.setupTwoFactor()
+        await req.user.save()
+
+        res.send({ secret, otpauthUri: otpauthUri(secret, req.user.email) })
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Turns on two-factor authentication with the first code from the authenticator app
+ * 
+ * Parameters (in the body):
+ *      code: The code from the authenticator app
+ * 
+ * Returns:
+ *      { recoveryCodes } that can be used instead of a code if the authenticator app is lost. They are only shown once.
+ */
+router.post('/users/me/2fa/confirm', auth, sessionOnly, validate({ body: { code: { type: 'string', required: true } } }), async (req, res, next) => {
+    try {
+        const recoveryCodes = req.user.confirmTwoFactor(req.body.code)
+
+        if (!recoveryCodes) {
+            return next(badRequest('The code is incorrect, or two-factor authentication wasn\'t set up'))
+        }
+
+        await req.user.save()
+
+        res.send({ recoveryCodes })
     } catch (e) {
-        res.status(400).send(e)
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Turns off two-factor authentication. The User has to confirm their password and a code (or recovery code).
+ * 
+ * Parameters (in the body):
+ *      password: The User's password
+ *      code or recoveryCode: Like POST /users/login/2fa
+ */
+router.post('/users/me/2fa/disable', auth, sessionOnly, validate({ body: { password: { type: 'string', required: true }, ...codeFields } }), async (req, res, next) => {
+    const user = req.user
+
+    try {
+        if (!(await bcrypt.compare(req.body.password, user.password))) {
+            return next(badRequest('Your password is incorrect'))
+        }
+
+        if (!user.verifyTwoFactor({ code: req.body.code, recoveryCode: req.body.recoveryCode })) {
+            return next(badRequest('The code is incorrect'))
+        }
+
+        user.twoFactor = { enabled: false }
+        await user.save()
+
+        res.send(user)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Confirms the User's email address with the token from the verification email
+ * 
+ * Parameters (in the body):
+ *      token: The token from the link in the verification email
+ */
+router.post('/users/verify', verifyLimit, validate({ body: { token: { type: 'string', required: true } } }), async (req, res, next) => {
+    try {
+        const user = await User.findByOneTimeToken('emailVerification', req.body.token)
+
+        if (!user) {
+            return next(badRequest('This verification link is invalid or has expired'))
+        }
+
+        user.emailVerified = true
+        user.emailVerification = undefined                              // The token can only be used once
+        await user.save()
+
+        res.send(user)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Sends the verification email again (with a new link, the old one stops working)
+ */
+router.post('/users/verify/resend', auth, sessionOnly, async (req, res, next) => {
+    if (req.user.emailVerified) {
+        return next(badRequest('Your email is already verified'))
+    }
+
+    try {
+        const token = req.user.createOneTimeToken('emailVerification')
+        await req.user.save()
+
+        await sendVerificationEmail(req.user.email, req.user.name, token)
+
+        res.send({ message: 'The verification email was sent' })
+    } catch (e) {
+        log('Unable to send the verification email: ' + e.message)
+        next(new ApiError(500, 'Unable to send the verification email'))
+    }
+})
+
+/**
+ * Description:
+ *      Emails a password reset link to the User with the email. The response is the same whether or not
+ *      there is an account with the email, so it can't be used to find out who has an account.
+ * 
+ * Parameters (in the body):
+ *      email: The email of the account
+ */
+router.post('/users/password/forgot', forgotLimit, validate({ body: { email: { type: 'email', required: true } } }), async (req, res, next) => {
+    const response = { message: 'If there is an account with this email, a password reset link was sent to it' }
+
+    try {
+        const user = await User.findOne({ email: req.body.email.trim().toLowerCase() })
+
+        if (user) {
+            const token = user.createOneTimeToken('passwordReset')
+            await user.save()
+
+            sendPasswordResetEmail(user.email, user.name, token).catch((e) => log('Unable to send the password reset email: ' + e.message))
+        }
+
+        res.send(response)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Sets a new password with the token from the password reset email. The token can only be used once
+ *      and every session is logged out, so the User has to log in with the new password.
+ * 
+ * Parameters (in the body):
+ *      token: The token from the link in the password reset email
+ *      password: The new password
+ */
+router.post('/users/password/reset', resetLimit, validate({
+    body: {
+        token: { type: 'string', required: true },
+        password: { ...userFields.password, required: true }
+    }
+}), async (req, res, next) => {
+    try {
+        const user = await User.findByOneTimeToken('passwordReset', req.body.token)
+
+        if (!user) {
+            return next(badRequest('This password reset link is invalid or has expired'))
+        }
+
+        user.password = req.body.password
+        user.passwordReset = undefined                                  // The token can only be used once
+        user.tokens = []                                                // Log out every session
+        await user.save()                                               // Fails with a VersionError if the token was used at the same time
+
+        res.send({ message: 'Your password was changed, please log in again' })
+    } catch (e) {
+        if (e.name === 'VersionError') {
+            return next(badRequest('This password reset link is invalid or has expired'))
+        }
+
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Gives a new access token for a session. The refresh token can only be used once, the response has the next one.
+ *      If an old refresh token is used again the session is revoked, since someone else must have a copy of it.
+ * 
+ * Parameters (in the body):
+ *      refreshToken: The refresh token from the login (or the last refresh)
+ * 
+ * Returns:
+ *      { newToken, refreshToken }
+ */
+router.post('/users/token/refresh', refreshLimit, validate({ body: { refreshToken: { type: 'string', required: true } } }), async (req, res, next) => {
+    try {
+        const { token: newToken, refreshToken } = await User.refreshSession(req.body.refreshToken, deviceOf(req))
+
+        res.send({ newToken, refreshToken })
+    } catch (e) {
+        next(unauthorized('This refresh token is no longer valid, please log in again'))
+    }
+})
+
+/**
+ * Description:
+ *      Lists the User's sessions (the devices they are logged in on), most recently used first
+ * 
+ * Returns:
+ *      [{ _id, userAgent, ip, createdAt, lastUsedAt, expiresAt, current }] where current is the session making the request
+ */
+router.get('/users/me/sessions', auth, sessionOnly, async (req, res) => {
+    const sessions = req.user.tokens.map((session) => ({
+        _id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.session._id)
+    }))
+
+    sessions.sort((a, b) => (b.lastUsedAt || 0) - (a.lastUsedAt || 0))
+
+    res.send(sessions)
+})
+
+/**
+ * Description:
+ *      Revokes one of the User's sessions, its access and refresh tokens stop working
+ * 
+ * EXAMPLE:
+ *      localhost:3000/users/me/sessions/5cf0a1...
+ */
+router.delete('/users/me/sessions/:id', auth, sessionOnly, validate({ params: idParams }), async (req, res, next) => {
+    try {
+        const result = await User.updateOne({ _id: req.user._id }, { $pull: { tokens: { _id: req.params.id } } }, { timestamps: false })
+
+        if (result.nModified === 0) {
+            return next(notFound('Session not found'))
+        }
+
+        res.send()
+    } catch (e) {
+        next(e)
     }
 })
 
@@ -141,7 +602,7 @@ router.post('/users/login', async (req, res) => {
  *      token: The current session's token
  *      user: The User Document (aka the current user)
  */
-router.post('/users/logout', auth, async (req, res) => {
+router.post('/users/logout', auth, sessionOnly, async (req, res, next) => {
     try {
         // In this try block, we will modify the value of the tokens array in the User Document
         // We'll modify it by filtering the array and removing the token that they just used
@@ -150,11 +611,11 @@ router.post('/users/logout', auth, async (req, res) => {
             return token.token !== req.token
         })
         
-        await req.user.save()                                   // Save the User Document
+        await req.user.save({ timestamps: false })              // Save the User Document (logging out doesn't change the profile)
 
         res.send('You have been succesfully logged out')        // Send response to the user
     } catch (e) {
-        res.status(500).send(e)
+        next(e)
     }
 })
 
@@ -165,15 +626,15 @@ router.post('/users/logout', auth, async (req, res) => {
  * Parameters:
  *      user: The User Document (aka the user)
  */
-router.post('/users/logoutAll', auth, async (req, res) => {
+router.post('/users/logoutAll', auth, sessionOnly, async (req, res, next) => {
     try {
         req.user.tokens = []                                    // Remove all the tokens from the User Document (our db)
 
-        await req.user.save()                                   // Save the User Document in our DB
+        await req.user.save({ timestamps: false })              // Save the User Document in our DB
         
         res.send('Succesfully logged out of all sessions.')     // Send a response back to the request
     } catch(e) {
-        res.status(500).send(e)
+        next(e)
     }
 })
 
@@ -185,7 +646,7 @@ const upload = multer({     // Options object for upload
     },
     fileFilter(req, file, callback) {
         if (!file.originalname.match(/\.(jpg|jpeg|png)$/)) {                
-            return callback(new Error('File must be a jpg, jpeg, or png.'))
+            return callback(badRequest('File must be a jpg, jpeg, or png.'))
         }
         
         callback(undefined, true)
@@ -201,18 +662,30 @@ const upload = multer({     // Options object for upload
  *      upload.single('avatarUpload'): multer middleware; 'avatarUpload' is the name of the file that we should be               receiving
  */
 
-router.post('/users/me/avatar', auth, upload.single('avatarUpload'), async (req, res) => {
-    const buffer = await sharp(req.file.buffer)         // Store the modified output from sharp
-    .resize( {width: 250, height: 250} )                // resize the image (we wouldn't do this if we had a front-end, we would do                                                         the resizing on the app itself)
-    .png()                                              // Convert the image to a .png format
-    .toBuffer()                                         //  Convert it back to the binary data
+router.post('/users/me/avatar', auth, requireScope('profile:write'), upload.single('avatarUpload'), async (req, res, next) => {
+    if (!req.file) {                                    // Multer's errors (wrong type, too big) are sent back by the error handler
+        return next(badRequest('Please upload an image (avatarUpload)'))
+    }
 
-    req.user.avatar = buffer                            // Set the user's avatar property to the request's file binary data
-    await req.user.save()                               // Save the changes
+    let buffer
 
-    res.send('Avatar image uploaded')                   // Respond with success message
-}, (error, req, res, next) => {
-    res.status(400).send( {error: error.message} )      // Respond with failure and JSON containing the error's message
+    try {
+        buffer = await sharp(req.file.buffer)           // Store the modified output from sharp
+        .resize( {width: 250, height: 250} )            // resize the image (we wouldn't do this if we had a front-end, we would do                                                         the resizing on the app itself)
+        .png()                                          // Convert the image to a .png format
+        .toBuffer()                                     //  Convert it back to the binary data
+    } catch (e) {
+        return next(badRequest('The image could not be read'))
+    }
+
+    try {
+        req.user.avatar = buffer                        // Set the user's avatar property to the request's file binary data
+        await req.user.save()                           // Save the changes
+
+        res.send('Avatar image uploaded')               // Respond with success message
+    } catch (e) {
+        next(e)
+    }
 })
 
 
@@ -220,24 +693,28 @@ router.post('/users/me/avatar', auth, upload.single('avatarUpload'), async (req,
  * Description:
  *      Deletes/clears the data that was in the user's avatar property
  */
-router.delete('/users/me/avatar', auth, async (req, res) => {
-    req.user.avatar = undefined                     // Delete the binary data from the user's object
-    await req.user.save()                           // Save the changes
+router.delete('/users/me/avatar', auth, requireScope('profile:write'), async (req, res, next) => {
+    try {
+        req.user.avatar = undefined                     // Delete the binary data from the user's object
+        await req.user.save()                           // Save the changes
 
-    res.send('Successfully deleted your avatar')    // Send response to user
+        res.send('Successfully deleted your avatar')    // Send response to user
+    } catch (e) {
+        next(e)
+    }
 })
 
 /**
  * Description: 
  *      Deletes your User Document from the database (as well as all their Tasks using the User model middleware)
  */
-router.delete('/users/me', auth, async (req, res) => {
+router.delete('/users/me', auth, sessionOnly, async (req, res, next) => {
     try {
         await req.user.remove()                                         // Delete the User Document from the database
         //sendCancelEmail(req.user.email, req.user.name)
         res.send(req.user)                                                  // Success, send User Document back in the response
     } catch (e) {
-        res.status(500).send()
+        next(e)
     }
 })
 
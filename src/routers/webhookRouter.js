@@ -0,0 +1,223 @@
+const log = console.log
+
+const express = require('express')
+const router = new express.Router()
+const auth = require('../middleware/auth')
+const { requireScope } = require('../middleware/scope')
+const Webhook = require('../models/webhook')
+const WebhookDelivery = require('../models/webhookDelivery')
+const { sendTestEvent } = require('../jobs/webhooks')
+const { validate, idParams, pagination } = require('../middleware/validate')
+const { notFound } = require('../utils/errors')
+
+// The rules for the properties of a Webhook in the body (see middleware/validate.js)
+const webhookFields = {
+    url: { type: 'string', minLength: 1 },
+    events: { type: 'array', minLength: 1, items: { type: 'string', enum: Webhook.WEBHOOK_EVENTS } },
+    description: { type: 'string' },
+    active: { type: 'boolean' }
+}
+
+const newWebhookBody = {                                            // POST /webhooks (new Webhooks are always active)
+    url: { ...webhookFields.url, required: true },
+    events: { ...webhookFields.events, required: true },
+    description: webhookFields.description
+}
+
+/**
+ * Description:
+ *      Fetches all the Webhooks registered by the User
+ *
+ * Example:
+ *      localhost:3000/webhooks
+ */
+router.get('/webhooks', auth, requireScope('webhooks:read'), async (req, res, next) => {
+    try {
+        const webhooks = await Webhook.find({ owner: req.user._id }).sort({ createdAt: 1 })
+
+        res.send(webhooks)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Registers a Webhook that is sent the User's events. The response contains the secret used to sign the payloads,
+ *      it isn't shown again so it should be stored by the receiver.
+ *
+ *      Every event is POSTed as JSON: { id, event, createdAt, data } with the headers
+ *          X-Webhook-Event: The event (example: task.created)
+ *          X-Webhook-Delivery: The id of the delivery (same as the payload's id)
+ *          X-Webhook-Timestamp: When the payload was sent (seconds since the epoch)
+ *          X-Webhook-Signature: sha256=<HMAC-SHA256 of '<timestamp>.<raw body>' with the secret, in hex>
+ *      Any 2xx response is a success, otherwise the delivery is retried with exponential backoff.
+ *
+ * EXAMPLE:
+ *      body:   {
+ *                  url: "https://example.com/hooks/tasks",
+ *                  events: ["task.created", "task.completed"],     <---- task.created, task.updated, task.completed, task.deleted, task.restored, user.updated
+ *                  description: "Sync with the team board"
+ *              }
+ */
+router.post('/webhooks', auth, requireScope('webhooks:write'), validate({ body: newWebhookBody }), async (req, res, next) => {
+    const webhook = new Webhook({
+        url: req.body.url,
+        events: req.body.events,
+        description: req.body.description,
+        owner: req.user._id                 // The ObjectId of the owner
+    })
+
+    try {
+        await webhook.save()
+
+        webhook.$locals.showSecret = true
+        res.status(201).send(webhook)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Fetches a Webhook registered by the User
+ *
+ * Example: localhost:3000/webhooks/1ljk12h41842k
+ */
+router.get('/webhooks/:id', auth, requireScope('webhooks:read'), validate({ params: idParams }), async (req, res, next) => {
+    try {
+        const webhook = await Webhook.findOne({ _id: req.params.id, owner: req.user._id })
+
+        if (!webhook) {
+            return next(notFound('Webhook not found'))
+        }
+
+        res.send(webhook)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Updates a Webhook
+ *
+ * EXAMPLE:
+ *      localhost:3000/webhooks/j1hk2jeh1jk2hk
+ *      body:   {
+ *                  events: ["task.deleted"],
+ *                  active: false                   <---- stops sending events without deleting the Webhook
+ *              }
+ */
+router.patch('/webhooks/:id', auth, requireScope('webhooks:write'), validate({ params: idParams, body: webhookFields }), async (req, res, next) => {
+    const updates = Object.keys(req.body)                               // Only the properties in webhookFields (checked by validate())
+
+    try {
+        const webhook = await Webhook.findOne({ _id: req.params.id, owner: req.user._id })
+
+        if (!webhook) {
+            return next(notFound('Webhook not found'))
+        }
+
+        updates.forEach((update) => {
+            webhook[update] = req.body[update]
+        })
+
+        await webhook.save()
+
+        res.send(webhook)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Deletes a Webhook along with its delivery log
+ *
+ * EXAMPLE:
+ *      localhost:3000/webhooks/<_id>
+ */
+router.delete('/webhooks/:id', auth, requireScope('webhooks:write'), validate({ params: idParams }), async (req, res, next) => {
+    try {
+        const webhook = await Webhook.findOneAndDelete({ _id: req.params.id, owner: req.user._id })
+
+        if (!webhook) {
+            return next(notFound('Webhook not found'))
+        }
+
+        await WebhookDelivery.deleteMany({ webhook: webhook._id })
+
+        res.send(webhook)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Fetches the delivery log of a Webhook, newest first. Each delivery has its status (pending, succeeded or failed)
+ *      and every attempt with the response code of the receiver.
+ *
+ * Parameters:
+ *      status: A URL query that only returns the deliveries with the status
+ *      limit: A URL query that determines how many items are shown in each page
+ *      skip: A URL query that determines which page to show
+ *
+ * Example:
+ *      localhost:3000/webhooks/1ljk12h41842k/deliveries?status=failed
+ */
+router.get('/webhooks/:id/deliveries', auth, requireScope('webhooks:read'), validate({
+    params: idParams,
+    query: { ...pagination, status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] } }
+}), async (req, res, next) => {
+    try {
+        const webhook = await Webhook.findOne({ _id: req.params.id, owner: req.user._id })
+
+        if (!webhook) {
+            return next(notFound('Webhook not found'))
+        }
+
+        const match = { webhook: webhook._id }
+
+        if (req.query.status) {
+            match.status = req.query.status
+        }
+
+        const deliveries = await WebhookDelivery.find(match)
+            .sort({ createdAt: -1 })
+            .limit(parseInt(req.query.limit) || 0)          // 0 means no limit
+            .skip(parseInt(req.query.skip) || 0)
+
+        res.send(deliveries)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Sends a test event ('ping') to the Webhook right away and responds with the delivery,
+ *      so the receiver (and its signature check) can be tried out
+ *
+ * EXAMPLE:
+ *      localhost:3000/webhooks/1ljk12h41842k/test
+ */
+router.post('/webhooks/:id/test', auth, requireScope('webhooks:write'), validate({ params: idParams }), async (req, res, next) => {
+    try {
+        const webhook = await Webhook.findOne({ _id: req.params.id, owner: req.user._id })
+
+        if (!webhook) {
+            return next(notFound('Webhook not found'))
+        }
+
+        const delivery = await sendTestEvent(webhook)
+
+        res.send(delivery)
+    } catch (e) {
+        next(e)
+    }
+})
+
+
+module.exports = router
@@ -0,0 +1,535 @@
+const log = console.log
+
+const express = require('express')
+const router = new express.Router()
+const auth = require('../middleware/auth')
+const { requireScope } = require('../middleware/scope')
+const { taskQuota } = require('../middleware/rateLimit')
+const User = require('../models/user')
+const Task = require('../models/task')
+const Workspace = require('../models/workspace')
+const Invitation = require('../models/invitation')
+const { buildTaskQuery } = require('../utils/taskQuery')
+const { newTaskBody } = require('../utils/taskFields')
+const { sendWithEtag } = require('../utils/concurrency')
+const { sendWorkspaceInvitationEmail } = require('../emails/account')
+const { validate, idParams, pagination } = require('../middleware/validate')
+const { badRequest, forbidden, notFound } = require('../utils/errors')
+
+// The body of POST /workspaces and PATCH /workspaces/:id (only the name can be changed)
+const workspaceBody = { name: { type: 'string', required: true, minLength: 1 } }
+
+// The URL parameters of the routes for one member (/workspaces/:id/members/:userId)
+const memberParams = { ...idParams, userId: { type: 'objectId', required: true } }
+
+/**
+ * Description:
+ *      Creates a Workspace, the User who creates it is its owner
+ * 
+ * EXAMPLE:
+ *      body:   {
+ *                  name: "Marketing team"
+ *              }
+ */
+router.post('/workspaces', auth, requireScope('workspaces:write'), validate({ body: workspaceBody }), async (req, res, next) => {
+    const workspace = new Workspace({
+        name: req.body.name,
+        members: [{ user: req.user._id, role: 'owner' }]
+    })
+
+    try {
+        await workspace.save()
+
+        res.status(201).send(workspace)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Fetches the Workspaces the User is a member of
+ * 
+ * Example:
+ *      localhost:3000/workspaces
+ */
+router.get('/workspaces', auth, requireScope('workspaces:read'), async (req, res, next) => {
+    try {
+        const workspaces = await Workspace.find({ 'members.user': req.user._id }).sort({ name: 1 })
+
+        res.send(workspaces)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Fetches a Workspace with the name and email of its members
+ * 
+ * Example:
+ *      localhost:3000/workspaces/5cf0a1...
+ */
+router.get('/workspaces/:id', auth, requireScope('workspaces:read'), validate({ params: idParams }), async (req, res, next) => {
+    try {
+        const { workspace } = await Workspace.findWithRole(req.params.id, req.user._id)
+
+        if (!workspace) {
+            return next(notFound('Workspace not found'))
+        }
+
+        await workspace.populate('members.user', 'name email').execPopulate()
+
+        res.send(workspace)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Renames a Workspace (owner only)
+ * 
+ * EXAMPLE:
+ *      body:   {
+ *                  name: "Growth team"
+ *              }
+ */
+router.patch('/workspaces/:id', auth, requireScope('workspaces:write'), validate({ params: idParams, body: workspaceBody }), async (req, res, next) => {
+    try {
+        const { workspace, role } = await Workspace.findWithRole(req.params.id, req.user._id)
+
+        if (!workspace) {
+            return next(notFound('Workspace not found'))
+        }
+
+        if (role !== 'owner') {
+            return next(forbidden('Only the owner can rename this workspace'))
+        }
+
+        workspace.name = req.body.name
+        await workspace.save()
+
+        res.send(workspace)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Deletes a Workspace along with all of its Tasks and invitations (owner only)
+ * 
+ * EXAMPLE:
+ *      localhost:3000/workspaces/5cf0a1...
+ */
+router.delete('/workspaces/:id', auth, requireScope('workspaces:write'), validate({ params: idParams }), async (req, res, next) => {
+    try {
+        const { workspace, role } = await Workspace.findWithRole(req.params.id, req.user._id)
+
+        if (!workspace) {
+            return next(notFound('Workspace not found'))
+        }
+
+        if (role !== 'owner') {
+            return next(forbidden('Only the owner can delete this workspace'))
+        }
+
+        await workspace.remove()                                        // The Workspace model middleware deletes its Tasks
+
+        res.send(workspace)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Changes the role of a member (owner only). Making another member the owner hands the Workspace over to them,
+ *      the current owner becomes an admin.
+ * 
+ * EXAMPLE:
+ *      localhost:3000/workspaces/5cf0a1.../members/5cf0a2...
+ *      body:   {
+ *                  role: "admin"           <---- member, admin or owner
+ *              }
+ */
+router.patch('/workspaces/:id/members/:userId', auth, requireScope('workspaces:write'), validate({
+    params: memberParams,
+    body: { role: { type: 'string', enum: Workspace.ROLES, required: true } }
+}), async (req, res, next) => {
+    try {
+        const { workspace, role } = await Workspace.findWithRole(req.params.id, req.user._id)
+
+        if (!workspace) {
+            return next(notFound('Workspace not found'))
+        }
+
+        if (role !== 'owner') {
+            return next(forbidden('Only the owner can change the roles in this workspace'))
+        }
+
+        const member = workspace.members.find((member) => member.user.equals(req.params.userId))
+
+        if (!member) {
+            return next(notFound('Member not found'))
+        }
+
+        if (member.user.equals(req.user._id)) {
+            return next(badRequest('Make another member the owner to change your own role'))
+        }
+
+        if (req.body.role === 'owner') {
+            workspace.members.find((member) => member.user.equals(req.user._id)).role = 'admin'
+        }
+
+        member.role = req.body.role
+        await workspace.save()
+
+        res.send(workspace)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Removes a member from the Workspace (admins can remove members, only the owner can remove admins).
+ *      The Tasks they created are handed over to the owner and the Tasks assigned to them are unassigned.
+ * 
+ * EXAMPLE:
+ *      localhost:3000/workspaces/5cf0a1.../members/5cf0a2...
+ */
+router.delete('/workspaces/:id/members/:userId', auth, requireScope('workspaces:write'), validate({ params: memberParams }), async (req, res, next) => {
+    try {
+        const { workspace, role } = await Workspace.findWithRole(req.params.id, req.user._id)
+
+        if (!workspace) {
+            return next(notFound('Workspace not found'))
+        }
+
+        const memberRole = workspace.getMemberRole(req.params.userId)
+
+        if (!memberRole) {
+            return next(notFound('Member not found'))
+        }
+
+        if (req.params.userId === req.user._id.toString()) {
+            return next(badRequest('Use POST /workspaces/:id/leave to leave the workspace'))
+        }
+
+        if (memberRole === 'owner' || !Workspace.hasRole(role, 'admin') || (memberRole === 'admin' && role !== 'owner')) {
+            return next(forbidden('You aren\'t allowed to remove this member'))
+        }
+
+        await workspace.removeMember(req.params.userId)
+        await workspace.save()
+
+        res.send(workspace)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Leaves a Workspace. The owner has to make another member the owner first (or delete the Workspace).
+ * 
+ * EXAMPLE:
+ *      localhost:3000/workspaces/5cf0a1.../leave
+ */
+router.post('/workspaces/:id/leave', auth, requireScope('workspaces:write'), validate({ params: idParams }), async (req, res, next) => {
+    try {
+        const { workspace, role } = await Workspace.findWithRole(req.params.id, req.user._id)
+
+        if (!workspace) {
+            return next(notFound('Workspace not found'))
+        }
+
+        if (role === 'owner') {
+            return next(badRequest('Make another member the owner before leaving, or delete the workspace'))
+        }
+
+        await workspace.removeMember(req.user._id)
+        await workspace.save()
+
+        res.send({ message: `You left ${workspace.name}` })
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Invites someone to the Workspace by email (admins and the owner, only the owner can invite admins).
+ *      They accept with POST /invitations/:id/accept once they are logged in with the email.
+ * 
+ * EXAMPLE:
+ *      localhost:3000/workspaces/5cf0a1.../invitations
+ *      body:   {
+ *                  email: "colleague@example.com",
+ *                  role: "member"                  <---- member (default) or admin
+ *              }
+ */
+router.post('/workspaces/:id/invitations', auth, requireScope('workspaces:write'), validate({
+    params: idParams,
+    body: {
+        email: { type: 'email', required: true },
+        role: { type: 'string', enum: ['member', 'admin'] }
+    }
+}), async (req, res, next) => {
+    try {
+        const { workspace, role } = await Workspace.findWithRole(req.params.id, req.user._id)
+
+        if (!workspace) {
+            return next(notFound('Workspace not found'))
+        }
+
+        if (!Workspace.hasRole(role, 'admin') || (req.body.role === 'admin' && role !== 'owner')) {
+            return next(forbidden('You aren\'t allowed to send this invitation'))
+        }
+
+        const invitation = new Invitation({
+            email: req.body.email,
+            role: req.body.role,
+            invitedBy: req.user._id,
+            workspace: workspace._id
+        })
+        await invitation.validate()
+
+        const invitedUser = await User.findOne({ email: invitation.email })
+
+        if (invitedUser && workspace.getMemberRole(invitedUser._id)) {
+            return next(badRequest('This user is already a member of the workspace'))
+        }
+
+        if (await Invitation.countDocuments({ workspace: workspace._id, email: invitation.email, status: 'pending', expiresAt: { $gt: new Date() } })) {
+            return next(badRequest('This email was already invited'))
+        }
+
+        await invitation.save()
+        sendWorkspaceInvitationEmail(invitation.email, workspace.name, req.user.name, invitation._id).catch((e) => log('Unable to send the invitation email: ' + e.message))
+
+        res.status(201).send(invitation)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Fetches the Workspace's invitations that haven't been answered yet (admins and the owner)
+ * 
+ * Example:
+ *      localhost:3000/workspaces/5cf0a1.../invitations
+ */
+router.get('/workspaces/:id/invitations', auth, requireScope('workspaces:read'), validate({ params: idParams }), async (req, res, next) => {
+    try {
+        const { workspace, role } = await Workspace.findWithRole(req.params.id, req.user._id)
+
+        if (!workspace || !Workspace.hasRole(role, 'admin')) {
+            return next(notFound('Workspace not found'))
+        }
+
+        const invitations = await Invitation.find({ workspace: workspace._id, status: 'pending', expiresAt: { $gt: new Date() } })
+            .sort({ createdAt: -1 })
+
+        res.send(invitations)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Revokes an invitation that hasn't been answered yet (admins and the owner)
+ * 
+ * EXAMPLE:
+ *      localhost:3000/workspaces/5cf0a1.../invitations/5cf0a3...
+ */
+router.delete('/workspaces/:id/invitations/:invitationId', auth, requireScope('workspaces:write'), validate({
+    params: { ...idParams, invitationId: { type: 'objectId', required: true } }
+}), async (req, res, next) => {
+    try {
+        const { workspace, role } = await Workspace.findWithRole(req.params.id, req.user._id)
+
+        if (!workspace || !Workspace.hasRole(role, 'admin')) {
+            return next(notFound('Workspace not found'))
+        }
+
+        const invitation = await Invitation.findOneAndUpdate(
+            { _id: req.params.invitationId, workspace: workspace._id, status: 'pending' },
+            { status: 'revoked', respondedAt: new Date() },
+            { new: true }
+        )
+
+        if (!invitation) {
+            return next(notFound('Invitation not found'))
+        }
+
+        res.send(invitation)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Fetches the invitations sent to the User's email that haven't been answered yet, with the Workspace's name
+ * 
+ * Example:
+ *      localhost:3000/invitations
+ */
+router.get('/invitations', auth, requireScope('workspaces:read'), async (req, res, next) => {
+    try {
+        const invitations = await Invitation.find({ email: req.user.email, status: 'pending', expiresAt: { $gt: new Date() } })
+            .sort({ createdAt: -1 })
+            .populate('workspace', 'name')
+            .populate('invitedBy', 'name')
+
+        res.send(invitations)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Accepts or declines an invitation sent to the User's email. The email has to be verified first,
+ *      so only the person who can read the invitation email can answer it.
+ * 
+ * Parameters:
+ *      @param status: 'accepted' or 'declined'
+ */
+const answerInvitation = (status) => async (req, res, next) => {
+    if (!req.user.emailVerified) {
+        return next(forbidden('Please verify your email before answering invitations'))
+    }
+
+    try {
+        const invitation = await Invitation.findOneAndUpdate(           // Only one answer counts, even if two arrive at the same time
+            { _id: req.params.id, email: req.user.email, status: 'pending', expiresAt: { $gt: new Date() } },
+            { status, respondedAt: new Date() },
+            { new: true }
+        )
+
+        if (!invitation) {
+            return next(notFound('This invitation doesn\'t exist or has expired'))
+        }
+
+        const workspace = await Workspace.findById(invitation.workspace)
+
+        if (!workspace) {
+            return next(notFound('This workspace no longer exists'))
+        }
+
+        if (status === 'accepted' && !workspace.getMemberRole(req.user._id)) {
+            workspace.members.push({ user: req.user._id, role: invitation.role })
+            await workspace.save()
+        }
+
+        res.send({ invitation, workspace })
+    } catch (e) {
+        next(e)
+    }
+}
+
+/**
+ * Description:
+ *      Accepts an invitation, the User joins the Workspace with the invitation's role
+ * 
+ * EXAMPLE:
+ *      localhost:3000/invitations/5cf0a3.../accept
+ */
+router.post('/invitations/:id/accept', auth, requireScope('workspaces:write'), validate({ params: idParams }), answerInvitation('accepted'))
+
+/**
+ * Description:
+ *      Declines an invitation
+ * 
+ * EXAMPLE:
+ *      localhost:3000/invitations/5cf0a3.../decline
+ */
+router.post('/invitations/:id/decline', auth, requireScope('workspaces:write'), validate({ params: idParams }), answerInvitation('declined'))
+
+/**
+ * Description:
+ *      Fetches the Workspace's Tasks. Accepts the same URL queries as GET /tasks (completed, priority, tags, sortBy, limit, skip, ...)
+ *      and 'assignee' (a member's _id, or 'me') to only return the Tasks assigned to them.
+ *      The Tasks themselves are read and changed with the usual /tasks/:id routes.
+ * 
+ * Example:
+ *      localhost:3000/workspaces/5cf0a1.../tasks?assignee=me&completed=false&sortBy=dueDate_asc
+ */
+router.get('/workspaces/:id/tasks', auth, requireScope('tasks:read'), taskQuota, validate({
+    params: idParams,
+    query: { ...pagination, assignee: { type: 'string' } }
+}), async (req, res, next) => {
+    try {
+        const query = buildTaskQuery(req.query)                         // The filter and sort objects built from the URL queries
+        const { workspace } = await Workspace.findWithRole(req.params.id, req.user._id)
+
+        if (!workspace) {
+            return next(notFound('Workspace not found'))
+        }
+
+        const match = { ...query.match, workspace: workspace._id }
+
+        if (req.query.assignee) {
+            match.assignee = req.query.assignee === 'me' ? req.user._id : req.query.assignee
+        }
+
+        const tasks = await Task.find(match)
+            .sort(query.sort)
+            .limit(parseInt(req.query.limit) || 0)          // 0 means no limit
+            .skip(parseInt(req.query.skip) || 0)
+
+        res.send(tasks)
+    } catch (e) {
+        next(e)
+    }
+})
+
+/**
+ * Description:
+ *      Creates a Task in the Workspace (any member). Takes the same body as POST /tasks,
+ *      'assignee' can be any member of the Workspace.
+ *      There are no Workspace versions of the other Task routes: the Task is read, changed, shared and deleted
+ *      with the usual /tasks/:id routes, where every member has access through their role in the Workspace.
+ * 
+ * EXAMPLE:
+ *      localhost:3000/workspaces/5cf0a1.../tasks
+ *      body:   {
+ *                  description: "Plan the launch",
+ *                  assignee: "5cf0a2..."
+ *              }
+ */
+router.post('/workspaces/:id/tasks', auth, requireScope('tasks:write'), taskQuota, validate({ params: idParams, body: newTaskBody }), async (req, res, next) => {
+    try {
+        const { workspace } = await Workspace.findWithRole(req.params.id, req.user._id)
+
+        if (!workspace) {
+            return next(notFound('Workspace not found'))
+        }
+
+        const task = new Task({
+            ...req.body,
+            subtaskCount: 0,
+            completedSubtaskCount: 0,
+            commentCount: 0,
+            collaborators: [],                  // Every member can already access the Task
+            workspace: workspace._id,
+            owner: req.user._id                 // The member who created the Task
+        })
+
+        task.$locals.userId = req.user._id      // For the Task's history
+
+        await task.save()
+        sendWithEtag(res, task, 201)
+    } catch (e) {
+        next(e)
+    }
+})
+
+
+module.exports = router
@@ -0,0 +1,54 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+
+// Folder the files are saved in (ATTACHMENT_DIR in the config, defaults to an 'uploads' folder where the server is started)
+const directory = path.resolve(process.env.ATTACHMENT_DIR || 'uploads')
+
+/**
+ * Description:
+ *      Saves a file in the uploads folder under a random name
+ * 
+ * Parameters:
+ *      @param buffer: The file's binary data
+ * 
+ * Returns:
+ *      The key used to read or remove the file later
+ */
+const save = async (buffer) => {
+    const key = crypto.randomBytes(16).toString('hex')
+
+    await fs.promises.mkdir(directory, { recursive: true })
+    await fs.promises.writeFile(path.join(directory, key), buffer)
+
+    return key
+}
+
+/**
+ * Description:
+ *      Returns a readable stream of the file saved under the key
+ */
+const createReadStream = (key) => {
+    return fs.createReadStream(path.join(directory, path.basename(key)))     // basename() so a key can't point outside the folder
+}
+
+/**
+ * Description:
+ *      Deletes the file saved under the key (does nothing if it is already gone)
+ */
+const remove = async (key) => {
+    try {
+        await fs.promises.unlink(path.join(directory, path.basename(key)))
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            throw e
+        }
+    }
+}
+
+
+module.exports = {
+    save,
+    createReadStream,
+    remove
+}
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose')
+
+/**
+ * Description:
+ *      Returns the GridFS bucket the files are saved in (uses the connection from db/mongoose.js)
+ */
+const getBucket = () => {
+    return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'attachments' })
+}
+
+/**
+ * Description:
+ *      Saves a file in MongoDB GridFS
+ * 
+ * Parameters:
+ *      @param buffer: The file's binary data
+ *      @param options: { filename, contentType } saved with the file in GridFS
+ * 
+ * Returns:
+ *      The key (the GridFS file id as a string) used to read or remove the file later
+ */
+const save = (buffer, options) => {
+    return new Promise((resolve, reject) => {
+        const uploadStream = getBucket().openUploadStream(options.filename, { contentType: options.contentType })
+
+        uploadStream.on('error', reject)
+        uploadStream.on('finish', () => resolve(uploadStream.id.toString()))
+        uploadStream.end(buffer)
+    })
+}
+
+/**
+ * Description:
+ *      Returns a readable stream of the file saved under the key
+ */
+const createReadStream = (key) => {
+    return getBucket().openDownloadStream(new mongoose.Types.ObjectId(key))
+}
+
+/**
+ * Description:
+ *      Deletes the file saved under the key (does nothing if it is already gone)
+ */
+const remove = (key) => {
+    return new Promise((resolve, reject) => {
+        getBucket().delete(new mongoose.Types.ObjectId(key), (error) => {
+            if (error && !error.message.startsWith('FileNotFound')) {
+                return reject(error)
+            }
+
+            resolve()
+        })
+    })
+}
+
+
+module.exports = {
+    save,
+    createReadStream,
+    remove
+}
@@ -0,0 +1,28 @@
+/**
+ * 
+ * This file picks where attachment files are stored
+ * 
+ * ATTACHMENT_STORAGE in the config can be:
+ *      disk (default): Files are saved in the ATTACHMENT_DIR folder
+ *      gridfs: Files are saved in MongoDB using GridFS
+ * 
+ * Every storage has the same methods:
+ *      save(buffer, { filename, contentType }): Saves the file and returns its key
+ *      createReadStream(key): Returns a readable stream of the file
+ *      remove(key): Deletes the file
+ * 
+ */
+
+const storages = {
+    disk: () => require('./diskStorage'),
+    gridfs: () => require('./gridfsStorage')
+}
+
+const name = process.env.ATTACHMENT_STORAGE || 'disk'
+
+if (!storages[name]) {
+    throw new Error(`Unknown ATTACHMENT_STORAGE '${name}', must be one of: ` + Object.keys(storages).join(', '))
+}
+
+
+module.exports = storages[name]()
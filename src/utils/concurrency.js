@@ -0,0 +1,90 @@
+const crypto = require('crypto')
+const { ApiError } = require('./errors')
+
+/**
+ * Description:
+ *      Creates a strong ETag from the JSON a Document is sent as, so it changes whenever the response would change
+ *
+ * Parameters:
+ *      @param doc: The Document (or any object) that is sent in the response
+ *
+ * Returns:
+ *      The quoted ETag (example: "2jmj7l5rSw0yVb/vlWAYkK/YBwk")
+ */
+const etagFor = (doc) => {
+    const hash = crypto.createHash('sha1').update(JSON.stringify(doc)).digest('base64')
+
+    return `"${hash.replace(/=+$/, '')}"`
+}
+
+/**
+ * Description:
+ *      Sends a Document with its ETag. Express answers GET requests with 304 Not Modified
+ *      when the ETag matches the request's If-None-Match header.
+ *
+ * Parameters:
+ *      @param res: The express response
+ *      @param doc: The Document to send
+ *      @param status: The status code (200 by default)
+ */
+const sendWithEtag = (res, doc, status = 200) => {
+    res.set('ETag', etagFor(doc))
+    res.status(status).send(doc)
+}
+
+/**
+ * Description:
+ *      Checks that the client is updating the latest version of a Document, either with the If-Match header
+ *      (ETag from a previous response) or a 'version' property in the body (the Document's version)
+ *
+ * Parameters:
+ *      @param req: The express request
+ *      @param doc: The current Document in the DB
+ *
+ * Returns:
+ *      null if the update can go ahead, otherwise the error to send back (see conflictError())
+ *          412: If-Match doesn't match the current ETag
+ *          409: version isn't the current version
+ */
+const checkPreconditions = (req, doc) => {
+    const ifMatch = req.get('If-Match')
+
+    if (ifMatch && ifMatch.trim() !== '*') {
+        const etags = ifMatch.split(',').map((etag) => etag.trim())     // Weak ETags (W/"...") never match
+
+        if (!etags.includes(etagFor(doc))) {
+            return conflictError(doc, 'The resource has changed since you fetched it', 412)
+        }
+    }
+
+    if (req.body.version !== undefined && Number(req.body.version) !== doc.__v) {
+        return conflictError(doc, `The resource is at version ${doc.__v}, not ${req.body.version}`)
+    }
+
+    return null
+}
+
+/**
+ * Description:
+ *      Creates the error for a failed precondition (or a conflicting save). The current state of the Document is sent
+ *      in 'current' with its ETag, so the client can merge its changes and try again.
+ *
+ * Parameters:
+ *      @param doc: The current Document in the DB
+ *      @param message: What went wrong
+ *      @param status: 409 (default) or 412
+ */
+const conflictError = (doc, message, status = 409) => {
+    return new ApiError(status, message, {
+        headers: { ETag: etagFor(doc) },
+        extra: { current: doc }
+    })
+}
+
+
+module.exports = {
+    etagFor,
+    sendWithEtag,
+    checkPreconditions,
+    conflictError
+}
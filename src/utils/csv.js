@@ -0,0 +1,113 @@
+// Spreadsheet apps run cells starting with these characters as formulas (example: =HYPERLINK(...))
+const formulaStart = /^[=+\-@\t\r]/
+
+/**
+ * Description:
+ *      Turns an array of values into one CSV line. Values with commas, quotes or new lines are quoted.
+ *      Text values that start like a formula get a ' in front, so spreadsheet apps show them as text.
+ * 
+ * Parameters:
+ *      @param values: An array of values (undefined and null become empty fields, dates become ISO strings)
+ * 
+ * Returns:
+ *      The CSV line ending with \r\n
+ */
+const toCsvLine = (values) => {
+    return values.map((value) => {
+        if (value === undefined || value === null) {
+            return ''
+        }
+
+        let text = value instanceof Date ? value.toISOString() : String(value)
+
+        if (typeof value === 'string' && formulaStart.test(text)) {
+            text = '\'' + text
+        }
+
+        if (/[",\r\n]/.test(text)) {
+            return '"' + text.replace(/"/g, '""') + '"'              // Quotes inside a quoted field are doubled
+        }
+
+        return text
+    }).join(',') + '\r\n'
+}
+
+/**
+ * Description:
+ *      Removes the ' toCsvLine() puts in front of text values that start like a formula, so exported files import the same
+ * 
+ * EXAMPLE:
+ *      "'-draft"       ---->   "-draft"
+ *      "'quoted'"      ---->   "'quoted'"          <---- left as it is, the rest doesn't start like a formula
+ */
+const unescapeFormula = (text) => {
+    if (text.startsWith('\'') && formulaStart.test(text.slice(1))) {
+        return text.slice(1)
+    }
+
+    return text
+}
+
+/**
+ * Description:
+ *      Parses CSV text (RFC 4180: quoted fields, doubled quotes, new lines inside quotes)
+ * 
+ * Parameters:
+ *      @param text: The content of the CSV file
+ * 
+ * Returns:
+ *      An array of rows, each row is an array of strings
+ */
+const parseCsv = (text) => {
+    const rows = []
+    let row = []
+    let field = ''
+    let inQuotes = false
+
+    text = text.replace(/^\uFEFF/, '')                              // Remove the byte order mark some spreadsheet apps add
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i]
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {                  // Escaped quote
+                field += '"'
+                i++
+            } else if (char === '"') {
+                inQuotes = false
+            } else {
+                field += char
+            }
+        } else if (char === '"') {
+            inQuotes = true
+        } else if (char === ',') {
+            row.push(field)
+            field = ''
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++
+            }
+
+            row.push(field)
+            rows.push(row)
+            row = []
+            field = ''
+        } else {
+            field += char
+        }
+    }
+
+    if (field !== '' || row.length > 0) {                               // The last line doesn't always end with a new line
+        row.push(field)
+        rows.push(row)
+    }
+
+    return rows.filter((row) => row.some((value) => value.trim() !== ''))      // Skip empty lines
+}
+
+
+module.exports = {
+    toCsvLine,
+    unescapeFormula,
+    parseCsv
+}
@@ -0,0 +1,199 @@
+/**
+ * 
+ * This file defines the errors the API responds with
+ * 
+ * Every error is sent back in the same format:
+ *      {
+ *          error: {
+ *              code: "validation_failed",                      <---- one of the codes below, for programs to check
+ *              message: "description is required",             <---- for people to read
+ *              details: [                                      <---- the problems with each field (empty for other errors)
+ *                  { field: "description", location: "body", message: "description is required" }
+ *              ]
+ *          }
+ *      }
+ * 
+ * The codes:
+ *      400 bad_request: The request can't be done as it is (example: a wrong password)
+ *      400 validation_failed: One or more fields are missing or invalid, see the details
+ *      400 invalid_json: The body isn't valid JSON
+ *      401 unauthorized: The token is missing, invalid or expired
+ *      403 forbidden: The User (or API key) isn't allowed to do this
+ *      404 not_found: The resource doesn't exist, or the User can't access it
+ *      409 conflict: The resource was changed by someone else, or already exists
+ *      412 precondition_failed: The If-Match header doesn't match the resource anymore
+ *      413 payload_too_large: The body or file is too big
+ *      429 too_many_requests: Too many requests or failed attempts, see the Retry-After header
+ *      500 internal_error: Something went wrong on the server
+ * 
+ */
+
+const codes = {
+    400: 'bad_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    412: 'precondition_failed',
+    413: 'payload_too_large',
+    429: 'too_many_requests',
+    500: 'internal_error'
+}
+
+// Mongoose's names for the types of a cast that failed
+const castTypes = {
+    ObjectId: 'a valid id',
+    Date: 'a valid date',
+    Number: 'a number',
+    Boolean: 'true or false',
+    String: 'a string'
+}
+
+/**
+ * Description:
+ *      An error that is sent back to the client as it is (by middleware/errorHandler.js)
+ * 
+ * Parameters:
+ *      @param status: The HTTP status code
+ *      @param message: The message for people to read
+ *      @param options: 
+ *          code: Defaults to the code of the status
+ *          details: [{ field, location, message }]
+ *          headers: Headers sent with the error (example: { 'Retry-After': '60' })
+ *          extra: Properties added next to 'error' in the body (example: { current } for conflicts)
+ */
+class ApiError extends Error {
+    constructor(status, message, options = {}) {
+        super(message)
+
+        this.name = 'ApiError'
+        this.status = status
+        this.code = options.code || codes[status]
+        this.details = options.details || []
+        this.headers = options.headers
+        this.extra = options.extra
+    }
+}
+
+const badRequest = (message, options) => new ApiError(400, message, options)
+const unauthorized = (message = 'Authentication failed', options) => new ApiError(401, message, options)
+const forbidden = (message, options) => new ApiError(403, message, options)
+const notFound = (message, options) => new ApiError(404, message, options)
+const conflict = (message, options) => new ApiError(409, message, options)
+
+/**
+ * Description:
+ *      A 400 validation_failed error, its message is the first problem
+ * 
+ * Parameters:
+ *      @param details: [{ field, location, message }]
+ */
+const validationFailed = (details) => {
+    const message = details.length === 1 ? details[0].message : `${details[0].message} (and ${details.length - 1} more)`
+
+    return new ApiError(400, message, { code: 'validation_failed', details })
+}
+
+/**
+ * Description:
+ *      The message for one of the fields of a Mongoose ValidationError, without the internals Mongoose adds
+ */
+const fieldMessage = (error) => {
+    if (error.name === 'CastError') {
+        return `${error.path} must be ${castTypes[error.kind] || 'valid'}`
+    }
+
+    if (error.kind === 'required') {
+        return `${error.path} is required`
+    }
+
+    if (error.kind === 'enum') {
+        return `${error.path} must be one of: ${error.properties.enumValues.join(', ')}`
+    }
+
+    return error.message
+}
+
+/**
+ * Description:
+ *      Converts any error into an ApiError: errors from Mongoose and express become 4xx errors with a clear message,
+ *      everything else is a 500 without any of its internals.
+ */
+const toApiError = (error) => {
+    if (error instanceof ApiError) {
+        return error
+    }
+
+    if (error.name === 'ValidationError' && error.errors) {                        // Mongoose validation of a Document
+        return validationFailed(Object.values(error.errors).map((fieldError) => ({
+            field: fieldError.path,
+            location: 'body',
+            message: fieldMessage(fieldError)
+        })))
+    }
+
+    if (error.name === 'CastError') {                                               // Usually an invalid id
+        return validationFailed([{ field: error.path, message: fieldMessage(error) }])
+    }
+
+    if (error.name === 'VersionError') {
+        return conflict('This was changed by another request, please try again')
+    }
+
+    if (error.code === 11000) {                                                     // A unique index (example: the email of a User)
+        const match = /index: (?:\S+\.\$)?(\w+?)_1/.exec(error.message)
+        const field = match ? match[1] : undefined
+
+        return conflict(field ? `This ${field} is already in use` : 'This already exists', {
+            details: field ? [{ field, location: 'body', message: `This ${field} is already in use` }] : []
+        })
+    }
+
+    if (error.type === 'entity.parse.failed') {                                     // From express.json()
+        return badRequest('The body isn\'t valid JSON', { code: 'invalid_json' })
+    }
+
+    if (error.type === 'entity.too.large' || error.code === 'LIMIT_FILE_SIZE') {     // From express.json() or multer
+        return new ApiError(413, 'The request is too large')
+    }
+
+    if (error.name === 'MulterError') {
+        return badRequest(error.message)
+    }
+
+    return new ApiError(500, 'Something went wrong, please try again later')
+}
+
+/**
+ * Description:
+ *      Sends an error back in the API's error format
+ */
+const sendError = (res, error) => {
+    const apiError = toApiError(error)
+
+    if (apiError.headers) {
+        res.set(apiError.headers)
+    }
+
+    res.status(apiError.status).send({
+        error: {
+            code: apiError.code,
+            message: apiError.message,
+            details: apiError.details
+        },
+        ...apiError.extra
+    })
+}
+
+
+module.exports = {
+    ApiError,
+    badRequest,
+    unauthorized,
+    forbidden,
+    notFound,
+    conflict,
+    validationFailed,
+    toApiError,
+    sendError
+}
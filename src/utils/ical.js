@@ -0,0 +1,88 @@
+// iCalendar priorities go from 1 (highest) to 9 (lowest)
+const icalPriorities = {
+    urgent: 1,
+    high: 3,
+    medium: 5,
+    low: 9
+}
+
+/**
+ * Description:
+ *      Formats a date the way iCalendar expects it in UTC (example: 20190601T170000Z)
+ */
+const formatDate = (date) => {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+/**
+ * Description:
+ *      Escapes the characters that have a special meaning in iCalendar text values
+ */
+const escapeText = (text) => {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n')
+}
+
+/**
+ * Description:
+ *      Splits lines longer than 75 characters, as required by iCalendar (continuation lines start with a space)
+ */
+const foldLine = (line) => {
+    const parts = []
+
+    while (line.length > 75) {
+        parts.push(line.slice(0, 75))
+        line = ' ' + line.slice(75)
+    }
+    parts.push(line)
+
+    return parts.join('\r\n') + '\r\n'
+}
+
+// The first and last lines of the calendar file
+const calendarStart = foldLine('BEGIN:VCALENDAR') + foldLine('VERSION:2.0') + foldLine('PRODID:-//Task Manager//Tasks//EN')
+const calendarEnd = foldLine('END:VCALENDAR')
+
+/**
+ * Description:
+ *      Turns a Task into a VTODO entry so it shows up in calendar apps
+ * 
+ * Parameters:
+ *      @param task: The Task Document (it should have a due date)
+ * 
+ * Returns:
+ *      The VTODO lines
+ */
+const toVTodo = (task) => {
+    const lines = [
+        'BEGIN:VTODO',
+        `UID:${task._id}@task-manager`,
+        `DTSTAMP:${formatDate(task.updatedAt || new Date())}`,
+        `SUMMARY:${escapeText(task.description)}`,
+        `DUE:${formatDate(task.dueDate)}`,
+        `PRIORITY:${icalPriorities[task.priority] || 0}`,
+        `STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`
+    ]
+
+    if (task.startDate) {
+        lines.push(`DTSTART:${formatDate(task.startDate)}`)
+    }
+
+    if (task.tags && task.tags.length > 0) {
+        lines.push(`CATEGORIES:${task.tags.map(escapeText).join(',')}`)
+    }
+
+    lines.push('END:VTODO')
+
+    return lines.map(foldLine).join('')
+}
+
+
+module.exports = {
+    calendarStart,
+    calendarEnd,
+    toVTodo
+}
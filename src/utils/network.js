@@ -0,0 +1,163 @@
+const dns = require('dns')
+const net = require('net')
+
+/**
+ *
+ * This file checks the addresses the server sends requests to for users (Webhooks), so they can't be used
+ * to reach the server's own network: loopback, private, link-local (cloud metadata at 169.254.169.254) and reserved addresses
+ *
+ */
+
+// The IPv4 ranges that aren't on the public internet: [first address, prefix length]
+const privateRangesV4 = [
+    ['0.0.0.0', 8],                 // "This" network
+    ['10.0.0.0', 8],                // Private
+    ['100.64.0.0', 10],             // Carrier-grade NAT
+    ['127.0.0.0', 8],               // Loopback
+    ['169.254.0.0', 16],            // Link-local, cloud metadata services
+    ['172.16.0.0', 12],             // Private
+    ['192.0.0.0', 24],              // IETF protocol assignments
+    ['192.0.2.0', 24],              // Documentation
+    ['192.168.0.0', 16],            // Private
+    ['198.18.0.0', 15],             // Benchmarking
+    ['198.51.100.0', 24],           // Documentation
+    ['203.0.113.0', 24],            // Documentation
+    ['224.0.0.0', 4],               // Multicast
+    ['240.0.0.0', 4]                // Reserved and broadcast
+]
+
+const blockedMessage = 'The URL points to a private network address'
+
+/**
+ * Description:
+ *      Converts an IPv4 address into a number (example: '0.0.1.2' is 258)
+ */
+const ipv4ToNumber = (address) => address.split('.').reduce((value, part) => value * 256 + parseInt(part, 10), 0)
+
+const isPrivateIPv4 = (address) => {
+    const value = ipv4ToNumber(address)
+
+    return privateRangesV4.some(([first, prefix]) => {
+        const start = ipv4ToNumber(first)
+        return value >= start && value < start + Math.pow(2, 32 - prefix)
+    })
+}
+
+/**
+ * Description:
+ *      Splits an IPv6 address into its 8 groups of 16 bits, expanding '::' and an IPv4 address at the end
+ *
+ * EXAMPLE:
+ *      '::ffff:127.0.0.1'      ---->   [0, 0, 0, 0, 0, 0xffff, 0x7f00, 1]
+ */
+const ipv6Groups = (address) => {
+    let text = address.split('%')[0]                                   // Without the zone (example: fe80::1%eth0)
+    const ipv4 = /(\d+\.\d+\.\d+\.\d+)$/.exec(text)
+
+    if (ipv4) {
+        const value = ipv4ToNumber(ipv4[1])
+        text = text.slice(0, ipv4.index) + Math.floor(value / 65536).toString(16) + ':' + (value % 65536).toString(16)
+    }
+
+    const [head, tail] = text.split('::')
+    const headGroups = head ? head.split(':') : []
+    const tailGroups = tail ? tail.split(':') : []
+    const zeros = tail === undefined ? [] : new Array(8 - headGroups.length - tailGroups.length).fill('0')
+
+    return headGroups.concat(zeros, tailGroups).map((group) => parseInt(group, 16))
+}
+
+/**
+ * Description:
+ *      The IPv4 address in two groups of an IPv6 address
+ */
+const embeddedIPv4 = (high, low) => [high >> 8, high & 255, low >> 8, low & 255].join('.')
+
+const isPrivateIPv6 = (address) => {
+    const groups = ipv6Groups(address)
+
+    if (groups.slice(0, 5).every((group) => group === 0) && [0, 0xffff].includes(groups[5])) {   // ::, ::1 and IPv4-mapped (::ffff:a.b.c.d)
+        return isPrivateIPv4(embeddedIPv4(groups[6], groups[7]))
+    }
+
+    if (groups[0] === 0x64 && groups[1] === 0xff9b) {                  // NAT64 (64:ff9b::a.b.c.d)
+        return isPrivateIPv4(embeddedIPv4(groups[6], groups[7]))
+    }
+
+    if (groups[0] === 0x2002) {                                         // 6to4 (2002:aabb:ccdd::)
+        return isPrivateIPv4(embeddedIPv4(groups[1], groups[2]))
+    }
+
+    return (groups[0] & 0xfe00) === 0xfc00                              // Unique local (fc00::/7)
+        || (groups[0] & 0xffc0) === 0xfe80                              // Link-local (fe80::/10)
+        || (groups[0] & 0xffc0) === 0xfec0                              // Site-local (fec0::/10)
+        || (groups[0] & 0xff00) === 0xff00                              // Multicast (ff00::/8)
+        || (groups[0] === 0x2001 && groups[1] === 0)                    // Teredo (2001::/32)
+        || (groups[0] === 0x2001 && groups[1] === 0xdb8)                // Documentation (2001:db8::/32)
+}
+
+/**
+ * Description:
+ *      Checks if an IP address is one the server shouldn't send requests to for users
+ *
+ * Parameters:
+ *      @param address: An IPv4 or IPv6 address (example: '169.254.169.254' or '::1')
+ *
+ * Returns:
+ *      true if the address isn't on the public internet (anything that isn't an IP address counts as private)
+ */
+const isPrivateAddress = (address) => {
+    if (net.isIPv4(address)) {
+        return isPrivateIPv4(address)
+    }
+
+    if (net.isIPv6(address)) {
+        return isPrivateIPv6(address)
+    }
+
+    return true
+}
+
+/**
+ * Description:
+ *      A drop-in for dns.lookup() (the 'lookup' option of http.request()) that fails when the host resolves to a private address.
+ *      The check happens when the request connects, so a host can't resolve to a public address first and a private one after.
+ */
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            return callback(error)
+        }
+
+        const addresses = Array.isArray(address) ? address : [{ address, family }]       // options.all gives every address
+
+        if (addresses.some((entry) => isPrivateAddress(entry.address))) {
+            return callback(new Error(blockedMessage))
+        }
+
+        callback(null, address, family)
+    })
+}
+
+/**
+ * Description:
+ *      Checks the host of a URL before a request is sent to it. Names are checked when they are resolved (see publicLookup),
+ *      IP addresses in the URL are never resolved so they are checked here.
+ *
+ * Errors:
+ *      Throws an error if the URL's host is a private IP address
+ */
+const checkPublicUrl = (url) => {
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '')       // IPv6 addresses are in brackets (http://[::1]/)
+
+    if (net.isIP(host) && isPrivateAddress(host)) {
+        throw new Error(blockedMessage)
+    }
+}
+
+
+module.exports = {
+    isPrivateAddress,
+    publicLookup,
+    checkPublicUrl
+}
@@ -0,0 +1,84 @@
+const day = 24 * 60 * 60 * 1000             // One day in milliseconds
+
+/**
+ * Description:
+ *      Returns a copy of the date moved by a number of days (keeps the time of day)
+ */
+const addDays = (date, days) => {
+    const result = new Date(date)
+    result.setDate(result.getDate() + days)
+    return result
+}
+
+/**
+ * Description:
+ *      Returns midnight of the Sunday that starts the date's week
+ */
+const startOfWeek = (date) => {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() - date.getDay())
+}
+
+/**
+ * Description:
+ *      Calculates the date of the next occurrence of a recurring Task
+ * 
+ * Parameters:
+ *      @param recurrence: The Task's recurrence rule
+ *          frequency: 'daily', 'weekly' or 'monthly'
+ *          interval: Repeat every N days/weeks/months (default 1)
+ *          weekdays: For weekly rules, the days of the week (0 = Sunday ... 6 = Saturday)
+ *          dayOfMonth: For monthly rules, the day of the month (clamped to the last day for short months)
+ *          until: No occurrences after this date
+ *          count: The total number of occurrences in the series
+ *      @param date: The date of the current occurrence
+ *      @param occurrence: The number of the current occurrence (1 for the first Task of the series)
+ * 
+ * Returns:
+ *      The date of the next occurrence, or null if the series is finished
+ */
+const nextOccurrence = (recurrence, date, occurrence) => {
+    const interval = recurrence.interval || 1
+    let next = null
+
+    if (recurrence.count && occurrence >= recurrence.count) {          // Every occurrence has already been created
+        return null
+    }
+
+    if (recurrence.frequency === 'daily') {
+        next = addDays(date, interval)
+    } else if (recurrence.frequency === 'weekly') {
+        const weekdays = recurrence.weekdays && recurrence.weekdays.length > 0 ? recurrence.weekdays : [date.getDay()]
+
+        // Go forward one day at a time until we land on one of the weekdays in a week that is part of the schedule
+        // (the current week, or every 'interval' weeks after it)
+        for (let days = 1; days <= 7 * (interval + 1); days++) {
+            const candidate = addDays(date, days)
+            const weeks = Math.round((startOfWeek(candidate) - startOfWeek(date)) / (7 * day))
+
+            if (weeks % interval === 0 && weekdays.includes(candidate.getDay())) {
+                next = candidate
+                break
+            }
+        }
+    } else if (recurrence.frequency === 'monthly') {
+        const dayOfMonth = recurrence.dayOfMonth || date.getDate()
+        const month = date.getMonth() + interval
+        const daysInMonth = new Date(date.getFullYear(), month + 1, 0).getDate()
+
+        next = new Date(date)
+        next.setDate(1)                                                 // Avoid overflowing into the next month while changing it
+        next.setMonth(month)
+        next.setDate(Math.min(dayOfMonth, daysInMonth))
+    }
+
+    if (!next || (recurrence.until && next > recurrence.until)) {
+        return null
+    }
+
+    return next
+}
+
+
+module.exports = {
+    nextOccurrence
+}
@@ -0,0 +1,107 @@
+/**
+ * Description:
+ *      Splits a search query into its parts, using the same syntax as MongoDB text search
+ *          words: Plain words (example: report)
+ *          phrases: Text in double quotes (example: "weekly report")
+ *          negated: Words starting with a minus sign (example: -draft)
+ * 
+ * Parameters:
+ *      @param q: The search query typed by the user
+ * 
+ * Returns:
+ *      { words, phrases, negated }
+ */
+const parseSearchQuery = (q) => {
+    const phrases = []
+    const rest = q.replace(/"([^"]*)"/g, (match, phrase) => {       // Take the phrases out first
+        if (phrase.trim()) {
+            phrases.push(phrase.trim())
+        }
+        return ' '
+    })
+
+    const tokens = rest.split(/\s+/).filter((token) => token.length > 0)
+
+    return {
+        words: tokens.filter((token) => !token.startsWith('-')),
+        phrases,
+        negated: tokens.filter((token) => token.startsWith('-') && token.length > 1).map((token) => token.slice(1))
+    }
+}
+
+/**
+ * Description:
+ *      Escapes a string so it can be used inside a regular expression
+ */
+const escapeRegExp = (text) => {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+// The characters that have to be escaped to show text as HTML
+const htmlEntities = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    '\'': '&#39;'
+}
+
+/**
+ * Description:
+ *      Escapes a string so it is shown as text when it is put in HTML
+ */
+const escapeHtml = (text) => {
+    return text.replace(/[&<>"']/g, (char) => htmlEntities[char])
+}
+
+/**
+ * Description:
+ *      Creates a short snippet of text around the first search match with every match wrapped in <mark></mark>.
+ *      The text is HTML escaped, so the only markup in the snippet is the <mark> tags.
+ * 
+ * Parameters:
+ *      @param text: The text that was searched (example: a Task's description)
+ *      @param search: The parsed search query from parseSearchQuery()
+ *      @param radius: How many characters to keep before and after the first match
+ * 
+ * Returns:
+ *      The snippet (HTML), or undefined if nothing in the text matches
+ */
+const highlight = (text, search, radius = 40) => {
+    const terms = search.phrases.concat(search.words)
+
+    if (!text || terms.length === 0) {
+        return
+    }
+
+    // Words match at the start of a word so 'report' also highlights 'reports' (MongoDB matches word stems)
+    const pattern = new RegExp('\\b(' + terms.map(escapeRegExp).join('|') + ')\\w*', 'gi')
+    const firstMatch = pattern.exec(text)
+
+    if (!firstMatch) {
+        return
+    }
+
+    const start = Math.max(0, firstMatch.index - radius)
+    const end = Math.min(text.length, firstMatch.index + firstMatch[0].length + radius)
+    const excerpt = text.slice(start, end)
+    let snippet = ''
+    let last = 0                                                    // Where the text after the last match starts
+
+    excerpt.replace(pattern, (match, term, offset) => {             // Escape the text and the matches separately so the marks stay
+        snippet += escapeHtml(excerpt.slice(last, offset)) + '<mark>' + escapeHtml(match) + '</mark>'
+        last = offset + match.length
+        return match
+    })
+    snippet += escapeHtml(excerpt.slice(last))
+
+    return (start > 0 ? '...' : '') + snippet + (end < text.length ? '...' : '')
+}
+
+
+module.exports = {
+    parseSearchQuery,
+    escapeRegExp,
+    escapeHtml,
+    highlight
+}
@@ -0,0 +1,28 @@
+const Task = require('../models/task')
+
+// The rules for the properties of a Task in the body (see middleware/validate.js)
+// Shared by the routes that create or change Tasks (taskRouter.js and workspaceRouter.js)
+const taskFields = {
+    description: { type: 'string', minLength: 1 },
+    completed: { type: 'boolean' },
+    dueDate: { type: 'date', nullable: true },
+    startDate: { type: 'date', nullable: true },
+    priority: { type: 'string', enum: Task.PRIORITIES },
+    tags: { type: 'array', items: { type: 'string' } },
+    project: { type: 'objectId', nullable: true },
+    parent: { type: 'objectId', nullable: true },
+    checklist: { type: 'array', items: { type: 'object' } },
+    recurrence: { type: 'object', nullable: true },
+    reminders: { type: 'array', items: { type: 'object' } },
+    assignee: { type: 'objectId', nullable: true }
+}
+
+const newTaskBody = { ...taskFields, description: { ...taskFields.description, required: true } }     // POST /tasks, POST /tasks/:id/subtasks and POST /workspaces/:id/tasks
+const taskUpdateBody = { ...taskFields, version: { type: 'integer', min: 0 } }                         // PATCH /tasks/:id
+
+
+module.exports = {
+    taskFields,
+    newTaskBody,
+    taskUpdateBody
+}
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose')
+const Task = require('../models/task')
+const { validationFailed } = require('./errors')
+
+// The properties a user is allowed to sort Tasks by
+// 'priority' is mapped to 'priorityRank' so that urgent > high > medium > low
+const sortableFields = {
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    dueDate: 'dueDate',
+    startDate: 'startDate',
+    priority: 'priorityRank',
+    description: 'description'
+}
+
+// The URL queries buildTaskQuery() reads
+const queryFields = ['completed', 'dueBefore', 'dueAfter', 'overdue', 'priority', 'tags', 'tagMode', 'project', 'sortBy']
+
+/**
+ * Description:
+ *      Creates the error for an invalid URL query, its message is the same as the error's message
+ */
+const invalidQuery = (field, message) => validationFailed([{ field, location: 'query', message }])
+
+/**
+ * Description:
+ *      Converts a URL query value into a Date
+ * 
+ * Parameters:
+ *      @param value: The value of the URL query (example: '2019-06-01')
+ *      @param name: The name of the URL query, used in the error message
+ * 
+ * Errors:
+ *      Throws an error if the value is not a valid date
+ */
+const parseDate = (value, name) => {
+    const date = new Date(value)
+
+    if (isNaN(date.getTime())) {
+        throw invalidQuery(name, `'${name}' must be a valid date`)
+    }
+
+    return date
+}
+
+/**
+ * Description:
+ *      Builds the MongoDB filter and sort objects from the URL queries of a request that lists Tasks.
+ *      Used by every endpoint that returns a list of Tasks so they all filter and sort the same way.
+ * 
+ * Parameters:
+ *      @param query: The request's URL queries (req.query)
+ *          completed: 'true' or 'false'
+ *          dueBefore: Only Tasks due before this date
+ *          dueAfter: Only Tasks due after this date
+ *          overdue: 'true' for incomplete Tasks whose due date has passed
+ *          priority: A priority or comma separated list of priorities (example: high,urgent)
+ *          tags: A comma separated list of tag names (example: work,home)
+ *          tagMode: 'any' (default) for Tasks with at least one of the tags, 'all' for Tasks with every tag
+ *          project: Only Tasks in the Project with this id, or 'inbox' for Tasks without a Project
+ *          sortBy: <property>_<asc|desc> (example: dueDate_asc or priority_desc)
+ * 
+ * Errors:
+ *      Throws a validation_failed error (see utils/errors.js) if one of the URL queries is invalid
+ * 
+ * Returns:
+ *      { match, sort } which can be passed to populate() or find()
+ */
+const buildTaskQuery = (query) => {
+    const match = { }                                   // Object used for filtering in queries
+    const sort = { }                                    // Object used for sorting in queries
+
+    queryFields.forEach((field) => {                    // Repeated (?tags=a&tags=b) or nested (?tags[a]=b) queries
+        if (query[field] !== undefined && typeof query[field] !== 'string') {
+            throw invalidQuery(field, `${field} can only be given once`)
+        }
+    })
+
+    if (query.completed) {                              // If the user provided the completed url query
+        match.completed = query.completed === 'true'        // If string they typed is equal to 'true' then match.completed = true
+                                                            // Otherwise, match.completed = false
+    }
+
+    if (query.dueBefore || query.dueAfter) {
+        match.dueDate = { }
+
+        if (query.dueBefore) {
+            match.dueDate.$lt = parseDate(query.dueBefore, 'dueBefore')
+        }
+        if (query.dueAfter) {
+            match.dueDate.$gt = parseDate(query.dueAfter, 'dueAfter')
+        }
+    }
+
+    if (query.overdue === 'true') {                     // Overdue means it isn't done and the due date has passed
+        const now = new Date()
+        const dueBefore = match.dueDate && match.dueDate.$lt
+
+        match.completed = false
+        match.dueDate = { ...match.dueDate, $lt: dueBefore && dueBefore < now ? dueBefore : now }
+    }
+
+    if (query.priority) {
+        const priorities = query.priority.toLowerCase().split(',')
+
+        const isValidPriority = priorities.every((priority) => {
+            return Task.PRIORITIES.includes(priority)
+        })
+
+        if (!isValidPriority) {
+            throw invalidQuery('priority', 'Priority must be one of: ' + Task.PRIORITIES.join(', '))
+        }
+
+        match.priority = { $in: priorities }
+    }
+
+    if (query.tags) {
+        const tags = query.tags.toLowerCase().split(',').map((tag) => tag.trim())
+
+        if (query.tagMode && !['any', 'all'].includes(query.tagMode)) {
+            throw invalidQuery('tagMode', 'tagMode must be either any or all')
+        }
+
+        match.tags = query.tagMode === 'all' ? { $all: tags } : { $in: tags }
+    }
+
+    if (query.project) {
+        if (query.project === 'inbox') {
+            match.project = null                        // Matches Tasks where the project is missing or null
+        } else if (mongoose.Types.ObjectId.isValid(query.project)) {
+            match.project = query.project
+        } else {
+            throw invalidQuery('project', 'project must be a project id or inbox')
+        }
+    }
+
+    if (query.sortBy) {
+        const parts = query.sortBy.split('_')           // Split up the sort string by the "_" which will give us "createdAt" and ("asc" or "desc")
+        const field = sortableFields[parts[0]]
+
+        if (!field) {
+            throw invalidQuery('sortBy', 'Tasks can only be sorted by: ' + Object.keys(sortableFields).join(', '))
+        }
+
+        sort[field] = parts[1] === 'desc' ? -1 : 1      // Use Ternary operator to determine asc or descending pattern
+    }
+
+    return { match, sort }
+}
+
+
+module.exports = {
+    buildTaskQuery
+}
@@ -0,0 +1,143 @@
+const crypto = require('crypto')
+
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps: 6 digits, a new code every 30 seconds, HMAC-SHA1
+const period = 30
+const digits = 6
+const base32Alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+/**
+ * Description:
+ *      Encodes bytes in base32 (the format authenticator apps expect the secret in)
+ */
+const toBase32 = (buffer) => {
+    let bits = ''
+    let output = ''
+
+    buffer.forEach((byte) => {
+        bits += byte.toString(2).padStart(8, '0')
+    })
+
+    for (let i = 0; i < bits.length; i += 5) {
+        output += base32Alphabet[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)]
+    }
+
+    return output
+}
+
+/**
+ * Description:
+ *      Decodes a base32 secret (spaces, dashes, padding and lowercase letters are allowed)
+ */
+const fromBase32 = (text) => {
+    const clean = text.toUpperCase().replace(/[\s=-]/g, '')
+    let bits = ''
+    const bytes = []
+
+    for (const char of clean) {
+        const value = base32Alphabet.indexOf(char)
+
+        if (value === -1) {
+            throw new Error('The secret isn\'t valid base32')
+        }
+
+        bits += value.toString(2).padStart(5, '0')
+    }
+
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2))
+    }
+
+    return Buffer.from(bytes)
+}
+
+/**
+ * Description:
+ *      Creates a new random secret to share with the User's authenticator app
+ *
+ * Returns:
+ *      The secret in base32
+ */
+const generateSecret = () => toBase32(crypto.randomBytes(20))
+
+/**
+ * Description:
+ *      The number of 30 second periods since the epoch, each period has its own code
+ */
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / period)
+
+/**
+ * Description:
+ *      Works out the code for a secret and time step
+ *
+ * Returns:
+ *      The code as a string of 6 digits
+ */
+const generateCode = (secret, step = currentStep()) => {
+    const counter = Buffer.alloc(8)
+    counter.writeUInt32BE(Math.floor(step / 0x100000000), 0)
+    counter.writeUInt32BE(step % 0x100000000, 4)
+
+    const hmac = crypto.createHmac('sha1', fromBase32(secret)).update(counter).digest()
+    const offset = hmac[hmac.length - 1] & 0xf
+    const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % Math.pow(10, digits)
+
+    return binary.toString().padStart(digits, '0')
+}
+
+/**
+ * Description:
+ *      Checks a code from the User's authenticator app. The codes of the previous and next periods are accepted too,
+ *      in case the clocks are a little off.
+ *
+ * Parameters:
+ *      @param secret: The User's secret in base32
+ *      @param code: The code the User typed in
+ *      @param lastUsedStep: The step of the last code that was accepted, it and older codes are rejected so a code can't be used twice
+ *
+ * Returns:
+ *      The step of the code if it is valid, otherwise null
+ */
+const verifyCode = (secret, code, lastUsedStep = -1) => {
+    const clean = String(code || '').replace(/\s/g, '')
+
+    if (!/^\d{6}$/.test(clean)) {
+        return null
+    }
+
+    const now = currentStep()
+
+    for (const step of [now - 1, now, now + 1]) {
+        const expected = generateCode(secret, step)
+
+        if (step > lastUsedStep && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) {
+            return step
+        }
+    }
+
+    return null
+}
+
+/**
+ * Description:
+ *      Creates the otpauth:// URI that authenticator apps read (usually shown as a QR code)
+ *
+ * Parameters:
+ *      @param secret: The secret in base32
+ *      @param account: The name of the account in the app (the User's email)
+ *      @param issuer: The name of the app
+ */
+const otpauthUri = (secret, account, issuer = 'Task Manager') => {
+    const label = encodeURIComponent(`${issuer}:${account}`)
+
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${digits}&period=${period}`
+}
+
+
+module.exports = {
+    toBase32,
+    generateSecret,
+    currentStep,
+    generateCode,
+    verifyCode,
+    otpauthUri
+}
@@ -0,0 +1,107 @@
+/**
+ * This test class is used to test the admin endpoints and the audit log.
+ * 
+ * It uses the 'jest' testing library in conjunction with the 'supertest' request testing library.
+ */
+
+const log = console.log
+
+/******* LIBRARIES **********/
+const request = require('supertest')                        // Get the nodeJS testing library
+const app = require('../src/app')                           // Get our server express app
+const jwt = require('jsonwebtoken')                         // Used for authentication
+const mongoose = require('mongoose')                        // Used to create our own Object Id
+const User = require('../src/models/user')                  // Tests will require User database
+const Task = require('../src/models/task')                  // Tests will require Task database
+const AuditLog = require('../src/models/auditLog')          // Tests will require AuditLog database
+
+jest.mock('../src/emails/account')                          // Don't send real emails
+
+/******* PROPERTIES **********/
+const adminId = new mongoose.Types.ObjectId()
+const userOneId = new mongoose.Types.ObjectId()
+
+const admin = {
+    _id: adminId,
+    name : 'Admin User',
+    email : 'adminUser@gmail.com',
+    password: 'nodejs!72',
+    role: 'admin',
+    tokens: [{
+        token: jwt.sign({_id: adminId}, process.env.JWT_SECRET)
+    }]
+}
+
+const userOne = {
+    _id: userOneId,
+    name : 'Regular User',
+    email : 'regularUser@gmail.com',
+    password: 'nodejs!72',
+    tokens: [{
+        token: jwt.sign({_id: userOneId}, process.env.JWT_SECRET)
+    }]
+}
+
+//Runs before each test case
+beforeEach(async () => {
+    await User.deleteMany()         // Clear the DB before any requests
+    await Task.deleteMany()
+    await AuditLog.deleteMany()
+
+    await new User(admin).save()
+    await new User(userOne).save()
+})
+
+/**
+ * Description:
+ *      Only admins can use the admin routes
+ */
+test('Should not allow regular users on the admin routes', async () => {
+    await request(app).get('/admin/users')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(403)
+
+    const response = await request(app).get('/admin/users?search=regular')
+        .set('Authorization', `Bearer ${admin.tokens[0].token}`)
+        .expect(200)
+    expect(response.body.length).toBe(1)
+    expect(response.body[0].email).toBe(userOne.email)
+})
+
+/**
+ * Description:
+ *      A disabled User can't use their sessions or log in, and the action is in the audit log
+ */
+test('Should disable a user and record it', async () => {
+    await request(app).post(`/admin/users/${userOneId}/disable`)
+        .send({ reason: 'Spam' })
+        .set('Authorization', `Bearer ${admin.tokens[0].token}`)
+        .expect(200)
+
+    await request(app).get('/users/me')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(401)                                            // The session was logged out
+
+    await request(app).post('/users/login')
+        .send({ email: userOne.email, password: userOne.password })
+        .expect(403)
+
+    const auditLog = await request(app).get(`/admin/audit-log?targetUser=${userOneId}`)
+        .set('Authorization', `Bearer ${admin.tokens[0].token}`)
+        .expect(200)
+    expect(auditLog.body[0].action).toBe('user.disable')
+    expect(auditLog.body[0].details.reason).toBe('Spam')
+    expect(auditLog.body[0].admin.email).toBe(admin.email)
+})
+
+/**
+ * Description:
+ *      Users can't make themselves admins when they sign up
+ */
+test('Should not allow signing up as an admin', async () => {
+    const response = await request(app).post('/users')
+        .send({ name: 'Sneaky', email: 'sneaky@gmail.com', password: 'nodejs!72', role: 'admin' })
+        .expect(400)
+    expect(response.body.error.details[0].field).toBe('role')
+    expect(await User.findOne({ email: 'sneaky@gmail.com' })).toBeNull()
+})
@@ -0,0 +1,115 @@
+/**
+ * This test class is used to test the personal API key endpoints and their scopes.
+ * 
+ * It uses the 'jest' testing library in conjunction with the 'supertest' request testing library.
+ */
+
+const log = console.log
+
+/******* LIBRARIES **********/
+const request = require('supertest')                        // Get the nodeJS testing library
+const app = require('../src/app')                           // Get our server express app
+const jwt = require('jsonwebtoken')                         // Used for authentication
+const mongoose = require('mongoose')                        // Used to create our own Object Id
+const User = require('../src/models/user')                  // Tests will require User database
+const Task = require('../src/models/task')                  // Tests will require Task database
+const ApiKey = require('../src/models/apiKey')              // Tests will require ApiKey database
+
+/******* PROPERTIES **********/
+const userOneId = new mongoose.Types.ObjectId()
+
+const userOne = {
+    _id: userOneId,
+    name : 'API Key User',
+    email : 'apiKeyUser@gmail.com',
+    password: 'nodejs!72',
+    tokens: [{
+        token: jwt.sign({_id: userOneId}, process.env.JWT_SECRET)
+    }]
+}
+
+//Runs before each test case
+beforeEach(async () => {
+    await User.deleteMany()         // Clear the DB before any requests
+    await Task.deleteMany()
+    await ApiKey.deleteMany()
+
+    await new User(userOne).save()
+})
+
+/**
+ * Description:
+ *      An API key can be used like a token, but only on the routes its scopes allow
+ */
+test('Should only allow the routes in the API key\'s scopes', async () => {
+    const response = await request(app).post('/users/me/api-keys')
+        .send({ name: 'Backup script', scopes: ['tasks:read'] })
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(201)
+    const key = response.body.key
+    expect(key).toMatch(/^tm_/)
+    expect(response.body.apiKey.keyHash).toBeUndefined()
+
+    await request(app).get('/tasks')
+        .set('Authorization', `Bearer ${key}`)
+        .expect(200)
+
+    await request(app).post('/tasks')
+        .send({ description: 'Not allowed' })
+        .set('Authorization', `Bearer ${key}`)
+        .expect(403)
+
+    // API keys can't manage other API keys
+    await request(app).post('/users/me/api-keys')
+        .send({ name: 'Another key', scopes: ['tasks:write'] })
+        .set('Authorization', `Bearer ${key}`)
+        .expect(403)
+})
+
+/**
+ * Description:
+ *      Revoked and expired keys stop working
+ */
+test('Should reject revoked and expired API keys', async () => {
+    const expired = new ApiKey({ name: 'Old', scopes: ['tasks:read'], expiresAt: Date.now() - 1000, owner: userOneId })
+    const expiredKey = expired.generateKey()
+    await expired.save()
+
+    await request(app).get('/tasks')
+        .set('Authorization', `Bearer ${expiredKey}`)
+        .expect(401)
+
+    const response = await request(app).post('/users/me/api-keys')
+        .send({ name: 'Revoked', scopes: ['tasks:read'] })
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(201)
+
+    await request(app).delete(`/users/me/api-keys/${response.body.apiKey._id}`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    await request(app).get('/tasks')
+        .set('Authorization', `Bearer ${response.body.key}`)
+        .expect(401)
+})
+
+/**
+ * Description:
+ *      API keys with profile:write can change the profile, but not the email or password
+ */
+test('Should not change the email or password with an API key', async () => {
+    const apiKey = new ApiKey({ name: 'Profile sync', scopes: ['profile:write'], owner: userOneId })
+    const key = apiKey.generateKey()
+    await apiKey.save()
+
+    await request(app).patch('/users/me')
+        .send({ email: 'attacker@example.com' })
+        .set('Authorization', `Bearer ${key}`)
+        .expect(403)
+    expect((await User.findById(userOneId)).email).toBe(userOne.email.toLowerCase())
+
+    await request(app).patch('/users/me')
+        .send({ name: 'Synced name' })
+        .set('Authorization', `Bearer ${key}`)
+        .expect(200)
+})
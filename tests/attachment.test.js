@@ -0,0 +1,143 @@
+/**
+ * This test class is used to test all Attachment endpoints in our server.
+ * 
+ * It uses the 'jest' testing library in conjunction with the 'supertest' request testing library.
+ */
+
+const log = console.log
+
+/******* LIBRARIES **********/
+const request = require('supertest')                        // Get the nodeJS testing library
+const app = require('../src/app')                           // Get our server express app
+const jwt = require('jsonwebtoken')                         // Used for authentication
+const mongoose = require('mongoose')                        // Used to create our own Object Id
+const User = require('../src/models/user')                  // Tests will require User database
+const Task = require('../src/models/task')                  // Tests will require Task database
+const Attachment = require('../src/models/attachment')      // Tests will require Attachment database
+const storage = require('../src/storage')                   // Used to check the files are removed
+
+/******* PROPERTIES **********/
+const userOneId = new mongoose.Types.ObjectId()
+
+const userOne = {
+    _id: userOneId,
+    name : 'Attachment User',
+    email : 'attachmentUser@gmail.com',
+    password: 'nodejs!72',
+    tokens: [{
+        token: jwt.sign({_id: userOneId}, process.env.JWT_SECRET)
+    }]
+}
+
+const userTwoId = new mongoose.Types.ObjectId()     // A User that can't access taskOne
+
+const userTwo = {
+    _id: userTwoId,
+    name : 'Stranger',
+    email : 'stranger@gmail.com',
+    password: 'nodejs!72',
+    tokens: [{
+        token: jwt.sign({_id: userTwoId}, process.env.JWT_SECRET)
+    }]
+}
+
+const taskOne = {
+    _id: new mongoose.Types.ObjectId(),
+    description: 'Has files',
+    owner: userOneId
+}
+
+//Runs before each test case
+beforeEach(async () => {
+    await User.deleteMany()         // Clear the DB before any requests
+    await Task.deleteMany()
+    await Attachment.deleteMany()
+
+    await new User(userOne).save()
+    await new User(userTwo).save()
+    await new Task(taskOne).save()
+})
+
+/**
+ * Description:
+ *      Uploads a file to a Task and downloads it again
+ */
+test('Should upload and download an attachment', async () => {
+    const upload = await request(app).post(`/tasks/${taskOne._id}/attachments`)
+        .attach('attachments', Buffer.from('Meeting notes'), 'notes.txt')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(201)
+
+    expect(upload.body[0].filename).toBe('notes.txt')
+    expect(upload.body[0].storageKey).toBeUndefined()
+
+    const download = await request(app).get(`/tasks/${taskOne._id}/attachments/${upload.body[0]._id}`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    expect(download.headers['content-disposition']).toContain('notes.txt')
+    expect(download.text).toBe('Meeting notes')
+})
+
+/**
+ * Description:
+ *      Files with a type that isn't allowed are rejected
+ */
+test('Should not upload a file type that is not allowed', async () => {
+    await request(app).post(`/tasks/${taskOne._id}/attachments`)
+        .attach('attachments', Buffer.from('echo hi'), 'script.sh')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(400)
+})
+
+/**
+ * Description:
+ *      The type the client sends is ignored, so a text file can't be shown as a page
+ */
+test('Should not serve attachments as html', async () => {
+    const upload = await request(app).post(`/tasks/${taskOne._id}/attachments`)
+        .attach('attachments', Buffer.from('<script>alert(1)</script>'), { filename: 'page.txt', contentType: 'text/html' })
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(201)
+    expect(upload.body[0].contentType).toBe('text/plain')
+
+    const download = await request(app).get(`/tasks/${taskOne._id}/attachments/${upload.body[0]._id}?inline=true`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    expect(download.headers['content-type']).toContain('text/plain')
+    expect(download.headers['content-disposition']).toContain('attachment')
+    expect(download.headers['x-content-type-options']).toBe('nosniff')
+})
+
+/**
+ * Description:
+ *      Users that can't edit the Task can't upload to it
+ */
+test('Should not upload to a task the user can not edit', async () => {
+    await request(app).post(`/tasks/${taskOne._id}/attachments`)
+        .attach('attachments', Buffer.from('Not yours'), 'notes.txt')
+        .set('Authorization', `Bearer ${userTwo.tokens[0].token}`)
+        .expect(404)
+
+    expect(await Attachment.countDocuments()).toBe(0)
+})
+
+/**
+ * Description:
+ *      The stored file is removed again if its Attachment can't be saved
+ */
+test('Should remove the stored file when the attachment is not saved', async () => {
+    const save = jest.spyOn(Attachment.prototype, 'save').mockRejectedValueOnce(new Error('Unable to save'))
+    const remove = jest.spyOn(storage, 'remove')
+
+    await request(app).post(`/tasks/${taskOne._id}/attachments`)
+        .attach('attachments', Buffer.from('Meeting notes'), 'notes.txt')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(500)
+
+    expect(remove).toHaveBeenCalledTimes(1)
+
+    save.mockRestore()
+    remove.mockRestore()
+})
@@ -0,0 +1,83 @@
+/**
+ * This test class is used to test all Comment endpoints in our server.
+ * 
+ * It uses the 'jest' testing library in conjunction with the 'supertest' request testing library.
+ */
+
+const log = console.log
+
+/******* LIBRARIES **********/
+const request = require('supertest')                // Get the nodeJS testing library
+const app = require('../src/app')                   // Get our server express app
+const jwt = require('jsonwebtoken')                 // Used for authentication
+const mongoose = require('mongoose')                // Used to create our own Object Id
+const User = require('../src/models/user')          // Tests will require User database
+const Task = require('../src/models/task')          // Tests will require Task database
+const Comment = require('../src/models/comment')    // Tests will require Comment database
+
+/******* PROPERTIES **********/
+const userOneId = new mongoose.Types.ObjectId()
+
+const userOne = {
+    _id: userOneId,
+    name : 'Comment User',
+    email : 'commentUser@gmail.com',
+    password: 'nodejs!72',
+    tokens: [{
+        token: jwt.sign({_id: userOneId}, process.env.JWT_SECRET)
+    }]
+}
+
+const taskOne = {
+    _id: new mongoose.Types.ObjectId(),
+    description: 'Discuss me',
+    owner: userOneId
+}
+
+//Runs before each test case
+beforeEach(async () => {
+    await User.deleteMany()         // Clear the DB before any requests
+    await Task.deleteMany()
+    await Comment.deleteMany()
+
+    await new User(userOne).save()
+    await new Task(taskOne).save()
+})
+
+/**
+ * Description:
+ *      Adding and editing a Comment updates the count and the edited flag
+ */
+test('Should add and edit a comment', async () => {
+    const response = await request(app).post(`/tasks/${taskOne._id}/comments`)
+        .send({ text: 'First!' })
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(201)
+
+    expect((await Task.findById(taskOne._id)).commentCount).toBe(1)
+
+    const edited = await request(app).patch(`/tasks/${taskOne._id}/comments/${response.body._id}`)
+        .send({ text: 'Second!' })
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    expect(edited.body.edited).toBe(true)
+})
+
+/**
+ * Description:
+ *      Deleting the Task and purging it from the trash deletes its Comments
+ */
+test('Should delete comments with their task', async () => {
+    await new Comment({ text: 'Bye', task: taskOne._id, author: userOneId }).save()
+
+    await request(app).delete(`/tasks/${taskOne._id}`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    await request(app).delete(`/tasks/trash/${taskOne._id}`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    expect(await Comment.countDocuments({ task: taskOne._id })).toBe(0)
+})
@@ -0,0 +1,167 @@
+/**
+ * This test class is used to test the event stream (GET /events) of our server.
+ * 
+ * It uses the 'jest' testing library. The stream never ends so it is read with a plain HTTP request instead of 'supertest'.
+ */
+
+const log = console.log
+
+/******* LIBRARIES **********/
+const request = require('supertest')        // Get the nodeJS testing library
+const app = require('../src/app')           // Get our server express app
+const http = require('http')                // Used to read the stream
+const jwt = require('jsonwebtoken')         // Used for authentication
+const mongoose = require('mongoose')        // Used to create our own Object Id
+const User = require('../src/models/user')  // Tests will require User database
+const Task = require('../src/models/task')  // Tests will require Task database
+const Event = require('../src/models/event')    // Tests will require Event database
+
+/******* PROPERTIES **********/
+const userOneId = new mongoose.Types.ObjectId()
+
+const userOne = {
+    _id: userOneId,
+    name : 'Event User',
+    email : 'eventUser@gmail.com',
+    password: 'nodejs!72',
+    tokens: [{
+        token: jwt.sign({_id: userOneId}, process.env.JWT_SECRET)
+    }]
+}
+
+let server                          // The app listening on a random port
+
+beforeAll((done) => {
+    server = app.listen(0, done)
+})
+
+afterAll((done) => {
+    server.close(done)
+})
+
+//Runs before each test case
+beforeEach(async () => {
+    await User.deleteMany()         // Clear the DB before any requests
+    await Task.deleteMany()
+    await Event.deleteMany()
+
+    await new User(userOne).save()
+})
+
+/**
+ * Description:
+ *      Opens the event stream and resolves with everything received once 'text' shows up in it
+ *      (or with the status code if the stream can't be opened)
+ */
+const readStreamUntil = (headers, text, path = '/events') => new Promise((resolve, reject) => {
+    const streamRequest = http.get({ port: server.address().port, path, headers }, (response) => {
+        let received = ''
+
+        if (response.statusCode !== 200) {
+            response.resume()
+            return resolve(response.statusCode)
+        }
+
+        response.on('data', (chunk) => {
+            received += chunk
+
+            if (received.includes(text)) {
+                streamRequest.abort()
+                resolve(received)
+            }
+        })
+    })
+
+    streamRequest.on('error', (e) => e.code !== 'ECONNRESET' && reject(e))
+})
+
+/**
+ * Description:
+ *      Events are published in the background after a save, so wait until the event is there
+ */
+const waitForEvent = async (filter) => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        const event = await Event.findOne(filter)
+
+        if (event) {
+            return event
+        }
+
+        await new Promise((resolve) => setTimeout(resolve, 20))
+    }
+}
+
+/**
+ * Description:
+ *      Events published after the Last-Event-ID are replayed when the client reconnects
+ */
+test('Should replay the events missed since the last event id', async () => {
+    const task = await new Task({ description: 'Before', owner: userOneId }).save()
+    const seen = await waitForEvent({ user: userOneId, type: 'task.created' })
+
+    task.description = 'While offline'
+    await task.save()
+
+    const received = await readStreamUntil({
+        'Authorization': `Bearer ${userOne.tokens[0].token}`,
+        'Last-Event-ID': seen._id.toString()
+    }, 'While offline')
+
+    expect(received).toContain('event: task.updated')
+    expect(received).not.toContain('event: task.created')
+})
+
+/**
+ * Description:
+ *      The stream can be opened with a stream token in the URL, but not with the login token
+ */
+test('Should only open the stream with a stream token in the URL', async () => {
+    const status = await readStreamUntil({}, 'retry', `/events?token=${userOne.tokens[0].token}`)
+    expect(status).toBe(401)
+
+    const response = await request(app).post('/events/token')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+    expect(response.body.expiresIn).toBe(60)
+
+    const received = await readStreamUntil({}, 'retry', `/events?token=${response.body.token}`)
+    expect(received).toContain('retry: 5000')
+
+    await request(app).get('/tasks')                            // The stream token only works for the stream
+        .set('Authorization', `Bearer ${response.body.token}`)
+        .expect(401)
+})
+
+/**
+ * Description:
+ *      An open stream is closed once its session is logged out, without sending the events that come after
+ */
+test('Should close the stream once the session is logged out', async () => {
+    let received = ''
+
+    const ended = new Promise((resolve, reject) => {
+        const streamRequest = http.get({
+            port: server.address().port,
+            path: '/events',
+            headers: { 'Authorization': `Bearer ${userOne.tokens[0].token}` }
+        }, (response) => {
+            response.on('data', (chunk) => received += chunk)
+            response.on('end', resolve)
+        })
+
+        streamRequest.on('error', reject)
+    })
+
+    while (!received.includes('retry')) {                      // The stream is listening for events from here
+        await new Promise((resolve) => setTimeout(resolve, 20))
+    }
+
+    await request(app).post('/users/logout')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    await new Task({ description: 'After logout', owner: userOneId }).save()
+
+    await ended
+    expect(received).not.toContain('After logout')
+})
@@ -0,0 +1,90 @@
+/**
+ * This test class is used to test task reminders and the Notification endpoints in our server.
+ * 
+ * It uses the 'jest' testing library in conjunction with the 'supertest' request testing library.
+ */
+
+const log = console.log
+
+/******* LIBRARIES **********/
+const request = require('supertest')                        // Get the nodeJS testing library
+const app = require('../src/app')                           // Get our server express app
+const jwt = require('jsonwebtoken')                         // Used for authentication
+const mongoose = require('mongoose')                        // Used to create our own Object Id
+const User = require('../src/models/user')                  // Tests will require User database
+const Task = require('../src/models/task')                  // Tests will require Task database
+const Notification = require('../src/models/notification')  // Tests will require Notification database
+const { sendDueReminders } = require('../src/jobs/reminders')
+
+jest.mock('../src/emails/account')                          // Don't send real emails
+
+/******* PROPERTIES **********/
+const userOneId = new mongoose.Types.ObjectId()
+
+const userOne = {
+    _id: userOneId,
+    name : 'Reminder User',
+    email : 'reminderUser@gmail.com',
+    password: 'nodejs!72',
+    tokens: [{
+        token: jwt.sign({_id: userOneId}, process.env.JWT_SECRET)
+    }]
+}
+
+const hour = 60 * 60 * 1000         // One hour in milliseconds
+
+//Runs before each test case
+beforeEach(async () => {
+    await User.deleteMany()         // Clear the DB before any requests
+    await Task.deleteMany()
+    await Notification.deleteMany()
+
+    await new User(userOne).save()
+})
+
+/**
+ * Description:
+ *      Reminders before the due date are scheduled from the due date
+ */
+test('Should schedule reminders from the due date', async () => {
+    const dueDate = new Date(Date.now() + 2 * hour)
+
+    const response = await request(app).post('/tasks')
+        .send({ description: 'Call the bank', dueDate, reminders: [{ minutesBefore: 60 }] })
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(201)
+
+    expect(new Date(response.body.reminders[0].remindAt).getTime()).toBe(dueDate.getTime() - hour)
+    expect(response.body.reminders[0].sentAt).toBeUndefined()
+})
+
+/**
+ * Description:
+ *      Due reminders are sent once and show up in the User's Notifications until they are read
+ */
+test('Should send due reminders once and mark notifications as read', async () => {
+    const task = await new Task({
+        description: 'Call the bank',
+        reminders: [{ at: new Date(Date.now() + hour) }],
+        owner: userOneId
+    }).save()
+
+    await Task.updateOne({ _id: task._id }, { 'reminders.0.remindAt': new Date(Date.now() - 1000) })     // The reminder is now due
+
+    expect(await sendDueReminders()).toBe(1)
+    expect(await sendDueReminders()).toBe(0)
+
+    const notifications = await request(app).get('/notifications?unread=true')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+    expect(notifications.body.length).toBe(1)
+
+    await request(app).post(`/notifications/${notifications.body[0]._id}/read`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    const unread = await request(app).get('/notifications?unread=true')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+    expect(unread.body.length).toBe(0)
+})
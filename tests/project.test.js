@@ -0,0 +1,87 @@
+/**
+ * This test class is used to test all Project endpoints in our server.
+ * 
+ * It uses the 'jest' testing library in conjunction with the 'supertest' request testing library.
+ */
+
+const log = console.log
+
+/******* LIBRARIES **********/
+const request = require('supertest')                // Get the nodeJS testing library
+const app = require('../src/app')                   // Get our server express app
+const jwt = require('jsonwebtoken')                 // Used for authentication
+const mongoose = require('mongoose')                // Used to create our own Object Id
+const User = require('../src/models/user')          // Tests will require User database
+const Task = require('../src/models/task')          // Tests will require Task database
+const Project = require('../src/models/project')    // Tests will require Project database
+
+/******* PROPERTIES **********/
+const userOneId = new mongoose.Types.ObjectId()
+
+const userOne = {
+    _id: userOneId,
+    name : 'Project User',
+    email : 'projectUser@gmail.com',
+    password: 'nodejs!72',
+    tokens: [{
+        token: jwt.sign({_id: userOneId}, process.env.JWT_SECRET)
+    }]
+}
+
+const projectOne = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Project One',
+    owner: userOneId
+}
+
+//Runs before each test case
+beforeEach(async () => {
+    await User.deleteMany()         // Clear the DB before any requests
+    await Task.deleteMany()
+    await Project.deleteMany()
+
+    await new User(userOne).save()
+    await new Project(projectOne).save()
+})
+
+/**
+ * Description:
+ *      Lists the Project's Tasks and its completion counts
+ */
+test('Should fetch project tasks and completion counts', async () => {
+    await new Task({ description: 'Done', completed: true, project: projectOne._id, owner: userOneId }).save()
+    await new Task({ description: 'Open', project: projectOne._id, owner: userOneId }).save()
+    await new Task({ description: 'Inbox', owner: userOneId }).save()
+
+    const project = await request(app).get(`/projects/${projectOne._id}`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+    expect(project.body.taskCount).toBe(2)
+    expect(project.body.completedCount).toBe(1)
+
+    const tasks = await request(app).get(`/projects/${projectOne._id}/tasks?completed=false`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+    expect(tasks.body.length).toBe(1)
+})
+
+/**
+ * Description:
+ *      Deleting a Project moves its Tasks to the inbox unless tasks=delete is passed
+ */
+test('Should move or delete tasks when a project is deleted', async () => {
+    const task = await new Task({ description: 'Open', project: projectOne._id, owner: userOneId }).save()
+
+    await request(app).delete(`/projects/${projectOne._id}`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+    expect((await Task.findById(task._id)).project).toBeUndefined()
+
+    const projectTwo = await new Project({ name: 'Project Two', owner: userOneId }).save()
+    await new Task({ description: 'Gone', project: projectTwo._id, owner: userOneId }).save()
+
+    await request(app).delete(`/projects/${projectTwo._id}?tasks=delete`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+    expect(await Task.countDocuments({ project: projectTwo._id })).toBe(0)
+})
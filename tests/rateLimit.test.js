@@ -0,0 +1,84 @@
+/**
+ * This test class is used to test the rate limits and the lockout after failed logins.
+ * 
+ * It uses the 'jest' testing library in conjunction with the 'supertest' request testing library.
+ * The counters are kept in memory (the default RATE_LIMIT_STORE), so each test uses its own account.
+ */
+
+const log = console.log
+
+/******* LIBRARIES **********/
+const request = require('supertest')                        // Get the nodeJS testing library
+const app = require('../src/app')                           // Get our server express app
+const mongoose = require('mongoose')                        // Used to create our own Object Id
+const User = require('../src/models/user')                  // Tests will require User database
+
+jest.mock('../src/emails/account')                          // Don't send real emails
+
+/******* PROPERTIES **********/
+const userOne = {
+    _id: new mongoose.Types.ObjectId(),
+    name : 'Locked User',
+    email : 'lockedUser@gmail.com',
+    password: 'nodejs!72'
+}
+
+//Runs before each test case
+beforeEach(async () => {
+    await User.deleteMany()         // Clear the DB before any requests
+    await new User(userOne).save()
+})
+
+/**
+ * Description:
+ *      A wrong email and a wrong password get the same response
+ */
+test('Should not reveal whether the email exists', async () => {
+    const wrongEmail = await request(app).post('/users/login')
+        .send({ email: 'nobody@gmail.com', password: userOne.password })
+        .expect(400)
+
+    await new User({ name: 'Other User', email: 'otherUser@gmail.com', password: 'nodejs!72' }).save()
+
+    const wrongPassword = await request(app).post('/users/login')
+        .send({ email: 'otherUser@gmail.com', password: 'wrong' })
+        .expect(400)
+
+    expect(wrongEmail.body.error.message).toBe('Unable to login')
+    expect(wrongPassword.body).toEqual(wrongEmail.body)
+})
+
+/**
+ * Description:
+ *      After 5 failed logins the account is locked, even for the right password
+ */
+test('Should lock the account after too many failed logins', async () => {
+    for (let i = 0; i < 5; i++) {
+        await request(app).post('/users/login')
+            .send({ email: userOne.email, password: 'wrong' + i })
+            .expect(400)
+    }
+
+    const response = await request(app).post('/users/login')
+        .send({ email: userOne.email, password: userOne.password })
+        .expect(429)
+    expect(parseInt(response.headers['retry-after'])).toBeGreaterThan(0)
+})
+
+/**
+ * Description:
+ *      The password reset emails are limited per IP
+ */
+test('Should limit the password reset requests', async () => {
+    for (let i = 0; i < 5; i++) {
+        await request(app).post('/users/password/forgot')
+            .send({ email: userOne.email })
+            .expect(200)
+    }
+
+    const response = await request(app).post('/users/password/forgot')
+        .send({ email: userOne.email })
+        .expect(429)
+    expect(response.headers['retry-after']).toBeDefined()
+    expect(response.headers['x-ratelimit-remaining']).toBe('0')
+})
@@ -0,0 +1,114 @@
+/**
+ * This test class is used to test all Tag endpoints in our server.
+ * 
+ * It uses the 'jest' testing library in conjunction with the 'supertest' request testing library.
+ */
+
+const log = console.log
+
+/******* LIBRARIES **********/
+const request = require('supertest')        // Get the nodeJS testing library
+const app = require('../src/app')           // Get our server express app
+const jwt = require('jsonwebtoken')         // Used for authentication
+const mongoose = require('mongoose')        // Used to create our own Object Id
+const User = require('../src/models/user')  // Tests will require User database
+const Task = require('../src/models/task')  // Tests will require Task database
+const Tag = require('../src/models/tag')    // Tests will require Tag database
+
+/******* PROPERTIES **********/
+const userOneId = new mongoose.Types.ObjectId()
+
+const userOne = {
+    _id: userOneId,
+    name : 'Tag User',
+    email : 'tagUser@gmail.com',
+    password: 'nodejs!72',
+    tokens: [{
+        token: jwt.sign({_id: userOneId}, process.env.JWT_SECRET)
+    }]
+}
+
+//Runs before each test case
+beforeEach(async () => {
+    await User.deleteMany()         // Clear the DB before any requests
+    await Task.deleteMany()
+    await Tag.deleteMany()
+
+    await new User(userOne).save()
+})
+
+/**
+ * Description:
+ *      Attaching a new tag to a Task should create the Tag and count its usage
+ */
+test('Should create tags from tasks and count them', async () => {
+    await new Task({ description: 'One', tags: ['work'], owner: userOneId }).save()
+    await new Task({ description: 'Two', tags: ['work', 'home'], owner: userOneId }).save()
+
+    const response = await request(app).get('/tags?sortBy=count_desc')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    expect(response.body.length).toBe(2)
+    expect(response.body[0].name).toBe('work')
+    expect(response.body[0].count).toBe(2)
+})
+
+/**
+ * Description:
+ *      Filters Tasks by tags with tagMode any and all
+ */
+test('Should filter tasks by tags', async () => {
+    await new Task({ description: 'One', tags: ['work'], owner: userOneId }).save()
+    await new Task({ description: 'Two', tags: ['work', 'home'], owner: userOneId }).save()
+
+    const any = await request(app).get('/tasks?tags=work,home')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+    expect(any.body.length).toBe(2)
+
+    const all = await request(app).get('/tasks?tags=work,home&tagMode=all')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+    expect(all.body.length).toBe(1)
+})
+
+/**
+ * Description:
+ *      Renaming a Tag renames it on every Task, deleting it removes it from every Task
+ */
+test('Should rename and delete tags on tasks', async () => {
+    const task = await new Task({ description: 'One', tags: ['work'], owner: userOneId }).save()
+    const tag = await Tag.findOne({ owner: userOneId, name: 'work' })
+
+    await request(app).patch(`/tags/${tag._id}`)
+        .send({ name: 'office' })
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+    expect((await Task.findById(task._id)).tags).toEqual(['office'])
+
+    await request(app).delete(`/tags/${tag._id}`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+    expect((await Task.findById(task._id)).tags.length).toBe(0)
+})
+
+/**
+ * Description:
+ *      Tag errors are sent back in the API's error format
+ */
+test('Should send back tag errors in the error format', async () => {
+    await new Tag({ name: 'work', owner: userOneId }).save()
+
+    const duplicate = await request(app).post('/tags')
+        .send({ name: 'work' })
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(409)
+    expect(duplicate.body.error.code).toBe('conflict')
+
+    const invalid = await request(app).patch('/tags/not-an-id')
+        .send({ size: 'large' })
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(400)
+    expect(invalid.body.error.details.map((detail) => detail.field)).toEqual(['id', 'size'])
+})
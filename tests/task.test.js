@@ -0,0 +1,676 @@
+/**
+ * This test class is used to test all Task endpoints in our server.
+ * 
+ * It uses the 'jest' testing library in conjunction with the 'supertest' request testing library.
+ */
+
+const log = console.log
+
+/******* LIBRARIES **********/
+const request = require('supertest')        // Get the nodeJS testing library
+const app = require('../src/app')           // Get our server express app
+const jwt = require('jsonwebtoken')         // Used for authentication
+const mongoose = require('mongoose')        // Used to create our own Object Id
+const User = require('../src/models/user')  // Tests will require User database
+const Task = require('../src/models/task')  // Tests will require Task database
+const TaskHistory = require('../src/models/taskHistory')
+const Comment = require('../src/models/comment')
+
+/******* PROPERTIES **********/
+const userOneId = new mongoose.Types.ObjectId()     // Create an object id for the User Document that is going to be saved in the DB
+
+const userOne = {
+    _id: userOneId,                 // Set the object id from above
+    name : 'Task User',
+    email : 'taskUser@gmail.com',
+    password: 'nodejs!72',
+    tokens: [{                      // Set the token ourselves
+        token: jwt.sign({_id: userOneId}, process.env.JWT_SECRET)
+    }]
+}
+
+const userTwoId = new mongoose.Types.ObjectId()     // A second User to share Tasks with
+
+const userTwo = {
+    _id: userTwoId,
+    name : 'Collaborator',
+    email : 'collaborator@gmail.com',
+    password: 'nodejs!72',
+    tokens: [{
+        token: jwt.sign({_id: userTwoId}, process.env.JWT_SECRET)
+    }]
+}
+
+const day = 24 * 60 * 60 * 1000     // One day in milliseconds
+
+//Runs before each test case
+beforeEach(async () => {
+    await User.deleteMany()         // Clear the DB before any requests
+    await Task.deleteMany()
+    await TaskHistory.deleteMany()
+    await Comment.deleteMany()
+
+    await new User(userOne).save()
+    await new User(userTwo).save()
+})
+
+/**
+ * Description:
+ *      Creates a Task with a due date and priority
+ */
+test('Should create task with due date and priority', async () => {
+    const response = await request(app).post('/tasks')
+        .send({
+            description: 'Submit report',
+            dueDate: new Date(Date.now() + day),
+            priority: 'urgent'
+        })
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(201)
+
+    expect(response.body.priority).toBe('urgent')
+    expect(response.body.priorityRank).toBeUndefined()
+})
+
+/**
+ * Description:
+ *      Creating a Task with an unknown priority or a start date after the due date should fail
+ */
+test('Should not create task with invalid priority or dates', async () => {
+    await request(app).post('/tasks')
+        .send({ description: 'Bad priority', priority: 'whenever' })
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(400)
+
+    await request(app).post('/tasks')
+        .send({ description: 'Bad dates', dueDate: new Date(), startDate: new Date(Date.now() + day) })
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(400)
+})
+
+/**
+ * Description:
+ *      Only returns incomplete Tasks whose due date has passed
+ */
+test('Should fetch overdue tasks', async () => {
+    await new Task({ description: 'Late', dueDate: new Date(Date.now() - day), owner: userOneId }).save()
+    await new Task({ description: 'Late but done', dueDate: new Date(Date.now() - day), completed: true, owner: userOneId }).save()
+    await new Task({ description: 'Not late', dueDate: new Date(Date.now() + day), owner: userOneId }).save()
+
+    const response = await request(app).get('/tasks?overdue=true')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    expect(response.body.length).toBe(1)
+    expect(response.body[0].description).toBe('Late')
+})
+
+/**
+ * Description:
+ *      Sorting by priority should put the most urgent Task first
+ */
+test('Should sort tasks by priority', async () => {
+    await new Task({ description: 'Low', priority: 'low', owner: userOneId }).save()
+    await new Task({ description: 'Urgent', priority: 'urgent', owner: userOneId }).save()
+
+    const response = await request(app).get('/tasks?sortBy=priority_desc')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    expect(response.body[0].description).toBe('Urgent')
+})
+
+/**
+ * Description:
+ *      The priority and tags filters can only be given once (?priority=high&priority=low is an array)
+ */
+test('Should not filter by repeated priority or tags', async () => {
+    const response = await request(app).get('/tasks?priority=high&priority=low')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(400)
+
+    expect(response.body.error.details[0].field).toBe('priority')
+
+    await request(app).get('/tasks?tags=work&tags=home')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(400)
+})
+
+/**
+ * Description:
+ *      Groups the open Tasks into the agenda buckets
+ */
+test('Should group open tasks in the agenda', async () => {
+    await new Task({ description: 'Late', dueDate: new Date(Date.now() - day), owner: userOneId }).save()
+    await new Task({ description: 'Later', dueDate: new Date(Date.now() + 30 * day), owner: userOneId }).save()
+    await new Task({ description: 'Someday', owner: userOneId }).save()
+
+    const response = await request(app).get('/tasks/agenda')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    expect(response.body.overdue.length).toBe(1)
+    expect(response.body.later.length).toBe(1)
+    expect(response.body.noDueDate.length).toBe(1)
+})
+
+/**
+ * Description:
+ *      Creating and completing subtasks should update the parent's progress
+ */
+test('Should report subtask progress on the parent', async () => {
+    const parent = await new Task({ description: 'Parent', checklist: [{ text: 'Step', done: true }], owner: userOneId }).save()
+
+    const response = await request(app).post(`/tasks/${parent._id}/subtasks`)
+        .send({ description: 'Child' })
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(201)
+
+    await request(app).patch(`/tasks/${response.body._id}`)
+        .send({ completed: true })
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    const updatedParent = await request(app).get(`/tasks/${parent._id}`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    expect(updatedParent.body.progress).toEqual({ done: 2, total: 2 })
+})
+
+/**
+ * Description:
+ *      A Task can't become a subtask of its own subtask
+ */
+test('Should not allow subtask cycles', async () => {
+    const parent = await new Task({ description: 'Parent', owner: userOneId }).save()
+    const child = await new Task({ description: 'Child', parent: parent._id, owner: userOneId }).save()
+
+    await request(app).patch(`/tasks/${parent._id}`)
+        .send({ parent: child._id })
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(400)
+})
+
+/**
+ * Description:
+ *      Deleting a parent moves its subtasks up by default, or deletes them with subtasks=delete
+ */
+test('Should reparent or delete subtasks when the parent is deleted', async () => {
+    const grandparent = await new Task({ description: 'Grandparent', owner: userOneId }).save()
+    const parent = await new Task({ description: 'Parent', parent: grandparent._id, owner: userOneId }).save()
+    const child = await new Task({ description: 'Child', parent: parent._id, owner: userOneId }).save()
+
+    await request(app).delete(`/tasks/${parent._id}`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+    expect((await Task.findById(child._id)).parent).toEqual(grandparent._id)
+
+    await request(app).delete(`/tasks/${grandparent._id}?subtasks=delete`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+    expect(await Task.findById(child._id)).toBeNull()
+})
+
+/**
+ * Description:
+ *      Completing a recurring Task creates the next occurrence with the next due date
+ */
+test('Should create the next occurrence of a recurring task', async () => {
+    const task = await new Task({
+        description: 'Weekly report',
+        dueDate: new Date(2019, 5, 3, 17),              // Monday
+        recurrence: { frequency: 'weekly', weekdays: [1, 3] },
+        owner: userOneId
+    }).save()
+
+    await request(app).patch(`/tasks/${task._id}`)
+        .send({ completed: true })
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    const next = await Task.findOne({ seriesId: task._id, occurrence: 2 })
+    expect(next.dueDate).toEqual(new Date(2019, 5, 5, 17))     // Wednesday
+    expect(next.completed).toBe(false)
+})
+
+/**
+ * Description:
+ *      Completing a Task with completeSubtasks=true completes its subtasks like completing them one by one
+ */
+test('Should complete subtasks with their history and next occurrences', async () => {
+    const parent = await new Task({ description: 'Parent', owner: userOneId }).save()
+    const child = await new Task({
+        description: 'Weekly child',
+        parent: parent._id,
+        dueDate: new Date(2019, 5, 3, 17),
+        recurrence: { frequency: 'weekly' },
+        owner: userOneId
+    }).save()
+
+    await request(app).patch(`/tasks/${parent._id}?completeSubtasks=true`)
+        .send({ completed: true })
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    expect((await Task.findById(child._id)).completed).toBe(true)
+    expect(await Task.findOne({ seriesId: child._id, occurrence: 2 })).not.toBeNull()
+
+    const latest = await TaskHistory.findOne({ task: child._id }).sort({ version: -1 })
+    expect(latest.action).toBe('complete')
+    expect(latest.version).toBe(2)
+})
+
+/**
+ * Description:
+ *      Skipping an occurrence closes it and creates the next one
+ */
+test('Should skip an occurrence of a recurring task', async () => {
+    const task = await new Task({
+        description: 'Invoices',
+        dueDate: new Date(2019, 0, 31),
+        recurrence: { frequency: 'monthly', count: 2 },
+        owner: userOneId
+    }).save()
+
+    const response = await request(app).post(`/tasks/${task._id}/skip`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    expect(response.body.skipped.skipped).toBe(true)
+    expect(new Date(response.body.next.dueDate)).toEqual(new Date(2019, 1, 28))
+
+    const last = await request(app).post(`/tasks/${response.body.next._id}/skip`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    expect(last.body.next).toBeNull()                   // The series only has 2 occurrences
+})
+
+/**
+ * Description:
+ *      Skipping an unknown Task or a Task that doesn't repeat is an error
+ */
+test('Should not skip an unknown or non-recurring task', async () => {
+    await request(app).post(`/tasks/${new mongoose.Types.ObjectId()}/skip`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(404)
+
+    const task = await new Task({ description: 'Once', owner: userOneId }).save()
+
+    const response = await request(app).post(`/tasks/${task._id}/skip`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(400)
+
+    expect(response.body.error.message).toBe('Only recurring tasks can be skipped')
+})
+
+/**
+ * Description:
+ *      Viewers can read a shared Task but not update it, editors can update it
+ */
+test('Should enforce roles on shared tasks', async () => {
+    const task = await new Task({ description: 'Shared', owner: userOneId }).save()
+
+    await request(app).post(`/tasks/${task._id}/share`)
+        .send({ email: userTwo.email, role: 'viewer' })
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    await request(app).get(`/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${userTwo.tokens[0].token}`)
+        .expect(200)
+
+    await request(app).patch(`/tasks/${task._id}`)
+        .send({ completed: true })
+        .set('Authorization', `Bearer ${userTwo.tokens[0].token}`)
+        .expect(403)
+
+    await request(app).post(`/tasks/${task._id}/share`)
+        .send({ email: userTwo.email, role: 'editor' })
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    await request(app).patch(`/tasks/${task._id}`)
+        .send({ completed: true, assignee: userTwoId })
+        .set('Authorization', `Bearer ${userTwo.tokens[0].token}`)
+        .expect(200)
+
+    await request(app).delete(`/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${userTwo.tokens[0].token}`)
+        .expect(403)
+})
+
+/**
+ * Description:
+ *      Shared Tasks show up in "shared with me" until access is revoked
+ */
+test('Should list and revoke shared tasks', async () => {
+    const task = await new Task({ description: 'Shared', collaborators: [{ user: userTwoId, role: 'viewer' }], owner: userOneId }).save()
+
+    const shared = await request(app).get('/tasks/shared')
+        .set('Authorization', `Bearer ${userTwo.tokens[0].token}`)
+        .expect(200)
+    expect(shared.body.length).toBe(1)
+
+    await request(app).delete(`/tasks/${task._id}/share/${userTwoId}`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    await request(app).get(`/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${userTwo.tokens[0].token}`)
+        .expect(404)
+})
+
+/**
+ * Description:
+ *      Searches Task descriptions with phrases and excluded words, and highlights the matches
+ */
+test('Should search tasks', async () => {
+    await Task.init()                               // Make sure the text index has been built
+    await new Task({ description: 'Write the weekly report', owner: userOneId }).save()
+    await new Task({ description: 'Draft the weekly report', owner: userOneId }).save()
+    await new Task({ description: 'Buy milk', owner: userOneId }).save()
+
+    const response = await request(app).get('/tasks/search?q="weekly report" -draft')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    expect(response.body.length).toBe(1)
+    expect(response.body[0].highlights[0].snippet).toContain('<mark>weekly report</mark>')
+
+    await new Task({ description: 'Fix the <img src=x onerror=alert(1)> milk bug', owner: userOneId }).save()
+
+    const escaped = await request(app).get('/tasks/search?q=milk bug')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+    const bug = escaped.body.find((task) => task.description.startsWith('Fix'))
+    expect(bug.highlights[0].snippet).toBe('Fix the &lt;img src=x onerror=alert(1)&gt; <mark>milk</mark> <mark>bug</mark>')
+})
+
+/**
+ * Description:
+ *      Tasks are found through their Comments, only if the Task matches the other URL queries and belongs to the User
+ */
+test('Should search tasks by their comments', async () => {
+    await Task.init()
+    await Comment.init()
+    const open = await new Task({ description: 'Open task', owner: userOneId }).save()
+    const done = await new Task({ description: 'Done task', completed: true, owner: userOneId }).save()
+    const other = await new Task({ description: 'Not mine', owner: userTwoId }).save()
+
+    for (const task of [open, done, other]) {
+        await new Comment({ text: 'Ask about the invoice', task: task._id, author: task.owner }).save()
+    }
+
+    const response = await request(app).get('/tasks/search?q=invoice&completed=false')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    expect(response.body.map((task) => task.description)).toEqual(['Open task'])
+    expect(response.body[0].highlights[0]).toEqual({ field: 'comment', snippet: 'Ask about the <mark>invoice</mark>' })
+})
+
+/**
+ * Description:
+ *      Runs a list of operations and reports a result for each one
+ */
+test('Should run bulk task operations', async () => {
+    const task = await new Task({ description: 'Finish me', owner: userOneId }).save()
+
+    const response = await request(app).post('/tasks/bulk')
+        .send({
+            operations: [
+                { op: 'create', data: { description: 'Bulk created' } },
+                { op: 'complete', id: task._id },
+                { op: 'update', id: task._id, data: { owner: userTwoId } }
+            ]
+        })
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    expect(response.body.results.map((result) => result.status)).toEqual([201, 200, 400])
+    expect((await Task.findById(task._id)).completed).toBe(true)
+})
+
+/**
+ * Description:
+ *      Completes every Task matching a filter
+ */
+test('Should bulk update tasks matching a filter', async () => {
+    await new Task({ description: 'Work one', tags: ['work'], owner: userOneId }).save()
+    await new Task({ description: 'Work two', tags: ['work'], owner: userOneId }).save()
+    await new Task({ description: 'Home', tags: ['home'], owner: userOneId }).save()
+
+    await request(app).post('/tasks/bulk')
+        .send({ filter: { tags: 'work' }, update: { completed: true } })
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    expect(await Task.countDocuments({ completed: true })).toBe(2)
+})
+
+/**
+ * Description:
+ *      Bulk operations are checked with the same rules as the single Task endpoints
+ */
+test('Should validate bulk task operations', async () => {
+    const response = await request(app).post('/tasks/bulk')
+        .send({
+            operations: [
+                { op: 'create', data: { description: 'Planted', seriesId: new mongoose.Types.ObjectId(), occurrence: 2 } },
+                { op: 'create', data: { description: 'Valid' } }
+            ],
+            transactional: true
+        })
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(400)
+
+    expect(response.body.error.message).toBe('One or more operations are invalid, no changes were made')
+    expect(response.body.applied).toBe(false)
+    expect(response.body.results.map((result) => result.status)).toEqual([400, 201])
+    expect(await Task.countDocuments({})).toBe(0)
+
+    const filter = await request(app).post('/tasks/bulk')
+        .send({ filter: { completed: false }, update: { completed: true } })
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(400)
+
+    expect(filter.body.error.message).toBe('filter.completed must be a string')
+})
+
+/**
+ * Description:
+ *      Exports the Tasks as CSV and as an iCalendar file with VTODO entries
+ */
+test('Should export tasks', async () => {
+    await new Task({ description: 'Pay rent, today', dueDate: new Date(2019, 5, 1), owner: userOneId }).save()
+    await new Task({ description: 'No due date', owner: userOneId }).save()
+    await new Task({ description: '=HYPERLINK("http://example.com")', owner: userOneId }).save()
+
+    const csv = await request(app).get('/tasks/export?format=csv')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+    expect(csv.text).toContain('"Pay rent, today"')
+    expect(csv.text).toContain('"\'=HYPERLINK(""http://example.com"")"')
+
+    const ics = await request(app).get('/tasks/export?format=ics')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+    expect(ics.text.match(/BEGIN:VTODO/g).length).toBe(1)
+})
+
+/**
+ * Description:
+ *      A dry run reports the invalid rows without saving anything
+ */
+test('Should validate an import with a dry run', async () => {
+    const csv = 'description,priority,tags\r\nGood row,high,work;home\r\n,low,\r\nBad priority,whenever,\r\n'
+
+    const response = await request(app).post('/tasks/import?dryRun=true')
+        .attach('file', Buffer.from(csv), 'tasks.csv')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    expect(response.body.imported).toBe(1)
+    expect(response.body.errors.map((error) => error.row)).toEqual([3, 4])
+    expect(await Task.countDocuments()).toBe(0)
+})
+
+/**
+ * Description:
+ *      An exported CSV file imports the same Tasks, without the ' added in front of values that start like a formula
+ */
+test('Should import an exported csv file as it was', async () => {
+    await new Task({ description: '-draft', owner: userOneId }).save()
+    await new Task({ description: '\'quoted\'', owner: userOneId }).save()
+
+    const csv = await request(app).get('/tasks/export?format=csv')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+    expect(csv.text).toContain('\'-draft')
+
+    await Task.deleteMany()
+
+    await request(app).post('/tasks/import')
+        .attach('file', Buffer.from(csv.text), 'tasks.csv')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    const descriptions = (await Task.find({ owner: userOneId })).map((task) => task.description).sort()
+    expect(descriptions).toEqual(['\'quoted\'', '-draft'])
+})
+
+/**
+ * Description:
+ *      Deleted Tasks go to the trash, are hidden from GET /tasks and can be restored
+ */
+test('Should move deleted tasks to the trash and restore them', async () => {
+    const task = await new Task({ description: 'Oops', owner: userOneId }).save()
+
+    await request(app).delete(`/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    const tasks = await request(app).get('/tasks')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+    expect(tasks.body.length).toBe(0)
+
+    const trash = await request(app).get('/tasks/trash')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+    expect(trash.body.length).toBe(1)
+
+    await request(app).post(`/tasks/${task._id}/restore`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    await request(app).get(`/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+})
+
+/**
+ * Description:
+ *      Emptying the trash permanently deletes the Tasks
+ */
+test('Should purge the trash', async () => {
+    await new Task({ description: 'Gone', deletedAt: new Date(), owner: userOneId }).save()
+
+    await request(app).delete('/tasks/trash')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    expect(await Task.countDocuments({ deletedAt: { $ne: null } })).toBe(0)
+})
+
+/**
+ * Description:
+ *      Updates are recorded in the Task's history and can be reverted
+ */
+test('Should record task history and revert to an earlier version', async () => {
+    const response = await request(app).post('/tasks')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .send({ description: 'First draft' })
+        .expect(201)
+
+    await request(app).patch(`/tasks/${response.body._id}`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .send({ description: 'Second draft', priority: 'high' })
+        .expect(200)
+
+    const history = await request(app).get(`/tasks/${response.body._id}/history`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+    expect(history.body.length).toBe(2)
+    expect(history.body[0].action).toBe('update')
+    expect(history.body[0].user.name).toBe(userOne.name)
+    expect(history.body[0].changes).toContainEqual({ field: 'description', oldValue: 'First draft', newValue: 'Second draft' })
+
+    const reverted = await request(app).post(`/tasks/${response.body._id}/revert`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .send({ version: 1 })
+        .expect(200)
+    expect(reverted.body.description).toBe('First draft')
+    expect(reverted.body.priority).toBe('medium')
+
+    const latest = await TaskHistory.findOne({ task: response.body._id }).sort({ version: -1 })
+    expect(latest.action).toBe('revert')
+    expect(latest.revertedTo).toBe(1)
+})
+
+/**
+ * Description:
+ *      Updates with an outdated ETag should fail instead of overwriting newer changes
+ */
+test('Should reject task updates with an outdated ETag', async () => {
+    const task = await new Task({ description: 'Shared', owner: userOneId }).save()
+
+    const response = await request(app).get(`/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+    const etag = response.headers.etag
+
+    await request(app).get(`/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .set('If-None-Match', etag)
+        .expect(304)
+
+    await request(app).patch(`/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .set('If-Match', etag)
+        .send({ description: 'First change' })
+        .expect(200)
+
+    const conflict = await request(app).patch(`/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .set('If-Match', etag)
+        .send({ description: 'Second change' })
+        .expect(412)
+    expect(conflict.body.current.description).toBe('First change')
+})
+
+/**
+ * Description:
+ *      Invalid requests get a validation_failed error with the problem with each field
+ */
+test('Should send back validation errors in the error format', async () => {
+    const invalidId = await request(app).get('/tasks/not-an-id')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(400)
+    expect(invalidId.body.error.code).toBe('validation_failed')
+    expect(invalidId.body.error.details).toEqual([{ field: 'id', location: 'params', message: 'id must be a valid id' }])
+
+    const invalidBody = await request(app).post('/tasks')
+        .send({ priority: 'whenever', owner: userTwoId })
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(400)
+    expect(invalidBody.body.error.details.map((detail) => detail.field)).toEqual(['description', 'priority', 'owner'])
+
+    const missing = await request(app).patch(`/tasks/${new mongoose.Types.ObjectId()}`)
+        .send({ completed: true })
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(404)
+    expect(missing.body.error).toEqual({ code: 'not_found', message: 'Task not found', details: [] })
+})
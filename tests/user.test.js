@@ -14,6 +14,7 @@ const app = require('../src/app')           // Get our server express app
 const jwt = require('jsonwebtoken')         // Used for authentication
 const mongoose = require('mongoose')        // Used to create our own Object Id
 const User = require('../src/models/user')  // Tests will require User database
+const { generateCode } = require('../src/utils/totp')     // Used to act as the authenticator app
 
 /******* PROPERTIES **********/
 const userOneId = new mongoose.Types.ObjectId()     // Create an object id for the User Document that is going to be saved in the DB
@@ -139,4 +140,160 @@ test('Testing user account deletion failure', async () => {
         .send()
         .set('Accept', 'application/json')
         .expect(401)            // Not authorized response
-})
\ No newline at end of file
+})
+
+/**
+ * Description:
+ *      Updating the profile with an outdated version should fail with a conflict
+ */
+test('Should reject profile updates based on an old version', async () => {
+    const profile = await request(app).get('/users/me')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    await request(app).get('/users/me')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .set('If-None-Match', profile.headers.etag)
+        .expect(304)
+
+    await request(app).patch('/users/me')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .send({ name: 'First', version: profile.body.version })
+        .expect(200)
+
+    const response = await request(app).patch('/users/me')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .send({ name: 'Second', version: profile.body.version })
+        .expect(409)
+    expect(response.body.current.name).toBe('First')
+})
+
+/**
+ * Description:
+ *      Logging in on another device doesn't change the profile's version
+ */
+test('Should keep the profile version when logging in', async () => {
+    const profile = await request(app).get('/users/me')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    await request(app).post('/users/login')
+        .send({ email: userOne.email, password: userOne.password })
+        .expect(200)
+
+    await request(app).patch('/users/me')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .set('If-Match', profile.headers.etag)
+        .send({ name: 'Renamed' })
+        .expect(200)
+})
+
+
+/**
+ * Description:
+ *      Refresh tokens rotate, and using an old one again revokes the session
+ */
+test('Should rotate refresh tokens and revoke the session on reuse', async () => {
+    const login = await request(app).post('/users/login')
+        .send({ email: userOne.email, password: userOne.password })
+        .set('User-Agent', 'Test Phone')
+        .expect(200)
+
+    const refreshed = await request(app).post('/users/token/refresh')
+        .send({ refreshToken: login.body.refreshToken })
+        .expect(200)
+
+    const sessions = await request(app).get('/users/me/sessions')
+        .set('Authorization', `Bearer ${refreshed.body.newToken}`)
+        .expect(200)
+    expect(sessions.body.find((session) => session.current).userAgent).toBe('Test Phone')
+
+    await request(app).post('/users/token/refresh')
+        .send({ refreshToken: login.body.refreshToken })       // Already used
+        .expect(401)
+
+    await request(app).get('/users/me')
+        .set('Authorization', `Bearer ${refreshed.body.newToken}`)
+        .expect(401)
+})
+
+
+/**
+ * Description:
+ *      A password reset token works once and logs out every session
+ */
+test('Should reset the password with a single-use token', async () => {
+    await request(app).post('/users/password/forgot')
+        .send({ email: 'nobody@gmail.com' })
+        .expect(200)                        // Same response whether or not the account exists
+
+    const user = await User.findById(userOneId)
+    const token = user.createOneTimeToken('passwordReset')
+    await user.save()
+
+    await request(app).post('/users/password/reset')
+        .send({ token, password: 'newSecret!99' })
+        .expect(200)
+
+    await request(app).post('/users/password/reset')
+        .send({ token, password: 'otherSecret!99' })
+        .expect(400)
+
+    await request(app).get('/users/me')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(401)
+
+    await request(app).post('/users/login')
+        .send({ email: userOne.email, password: 'newSecret!99' })
+        .expect(200)
+})
+
+/**
+ * Description:
+ *      Changing the password needs the current password
+ */
+test('Should require the current password to change it', async () => {
+    await request(app).patch('/users/me')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .send({ password: 'newSecret!99', currentPassword: 'wrong!1234' })
+        .expect(400)
+
+    await request(app).patch('/users/me')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .send({ password: 'newSecret!99', currentPassword: userOne.password })
+        .expect(200)
+})
+
+
+/**
+ * Description:
+ *      Once two-factor authentication is on, the login needs a code (or a recovery code)
+ */
+test('Should require a second factor after turning on two-factor authentication', async () => {
+    const setup = await request(app).post('/users/me/2fa/setup')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+    expect(setup.body.otpauthUri).toContain(setup.body.secret)
+
+    const confirm = await request(app).post('/users/me/2fa/confirm')
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .send({ code: generateCode(setup.body.secret) })
+        .expect(200)
+    expect(confirm.body.recoveryCodes.length).toBe(10)
+
+    const login = await request(app).post('/users/login')
+        .send({ email: userOne.email, password: userOne.password })
+        .expect(200)
+    expect(login.body.twoFactorRequired).toBe(true)
+    expect(login.body.newToken).toBeUndefined()
+
+    const recoveryCode = confirm.body.recoveryCodes[0]
+
+    await request(app).post('/users/login/2fa')
+        .send({ twoFactorToken: login.body.twoFactorToken, recoveryCode })
+        .expect(200)
+
+    await request(app).post('/users/login/2fa')
+        .send({ twoFactorToken: login.body.twoFactorToken, recoveryCode })     // Recovery codes only work once
+        .expect(400)
+})
@@ -0,0 +1,158 @@
+/**
+ * This test class is used to test all Webhook endpoints in our server.
+ * 
+ * It uses the 'jest' testing library in conjunction with the 'supertest' request testing library.
+ * The Webhooks are sent to a small HTTP server started by the tests.
+ */
+
+const log = console.log
+
+process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true'                     // The receiver below runs on localhost
+
+/******* LIBRARIES **********/
+const request = require('supertest')                                // Get the nodeJS testing library
+const app = require('../src/app')                                   // Get our server express app
+const http = require('http')                                        // Used to receive the Webhooks
+const jwt = require('jsonwebtoken')                                 // Used for authentication
+const mongoose = require('mongoose')                                // Used to create our own Object Id
+const User = require('../src/models/user')                          // Tests will require User database
+const Task = require('../src/models/task')                          // Tests will require Task database
+const Webhook = require('../src/models/webhook')                    // Tests will require Webhook database
+const WebhookDelivery = require('../src/models/webhookDelivery')    // Tests will require WebhookDelivery database
+const { signPayload } = require('../src/jobs/webhooks')
+
+/******* PROPERTIES **********/
+const userOneId = new mongoose.Types.ObjectId()
+
+const userOne = {
+    _id: userOneId,
+    name : 'Webhook User',
+    email : 'webhookUser@gmail.com',
+    password: 'nodejs!72',
+    tokens: [{
+        token: jwt.sign({_id: userOneId}, process.env.JWT_SECRET)
+    }]
+}
+
+let receiver                        // The HTTP server receiving the Webhooks
+let received = []                   // The requests it received: { headers, body }
+let receiverUrl
+
+// Start the receiver once before all tests
+beforeAll((done) => {
+    receiver = http.createServer((req, res) => {
+        let body = ''
+        req.on('data', (chunk) => body += chunk)
+        req.on('end', () => {
+            received.push({ headers: req.headers, body })
+            res.statusCode = req.url === '/fail' ? 500 : 200
+            res.end()
+        })
+    })
+
+    receiver.listen(0, () => {
+        receiverUrl = `http://localhost:${receiver.address().port}`
+        done()
+    })
+})
+
+afterAll((done) => {
+    receiver.close(done)
+})
+
+//Runs before each test case
+beforeEach(async () => {
+    await User.deleteMany()         // Clear the DB before any requests
+    await Task.deleteMany()
+    await Webhook.deleteMany()
+    await WebhookDelivery.deleteMany()
+    received = []
+
+    await new User(userOne).save()
+})
+
+/**
+ * Description:
+ *      The test event is signed with the secret shown when the Webhook is created
+ */
+test('Should send a signed test event', async () => {
+    const webhook = await request(app).post('/webhooks')
+        .send({ url: `${receiverUrl}/hooks`, events: ['task.created'] })
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(201)
+    expect(webhook.body.secret).toBeDefined()
+
+    const delivery = await request(app).post(`/webhooks/${webhook.body._id}/test`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+    expect(delivery.body.status).toBe('succeeded')
+    expect(delivery.body.attempts[0].responseStatus).toBe(200)
+
+    const { headers, body } = received[0]
+    expect(headers['x-webhook-event']).toBe('ping')
+    expect(headers['x-webhook-signature']).toBe(signPayload(webhook.body.secret, headers['x-webhook-timestamp'], body))
+})
+
+/**
+ * Description:
+ *      Failed deliveries are logged with the response code and scheduled for a retry
+ */
+test('Should log failed deliveries for a retry', async () => {
+    const webhook = await request(app).post('/webhooks')
+        .send({ url: `${receiverUrl}/fail`, events: ['task.created'] })
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(201)
+
+    const delivery = await request(app).post(`/webhooks/${webhook.body._id}/test`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+    expect(delivery.body.status).toBe('pending')
+    expect(delivery.body.attempts[0].responseStatus).toBe(500)
+    expect(new Date(delivery.body.nextAttemptAt).getTime()).toBeGreaterThan(Date.now())
+
+    const deliveries = await request(app).get(`/webhooks/${webhook.body._id}/deliveries`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+    expect(deliveries.body.length).toBe(1)
+})
+
+/**
+ * Description:
+ *      Creating a Task sends the task.created event to the subscribed Webhooks
+ */
+test('Should send task events', async () => {
+    await new Webhook({ url: `${receiverUrl}/hooks`, events: ['task.created'], owner: userOneId }).save()
+
+    await request(app).post('/tasks')
+        .send({ description: 'Hooked' })
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(201)
+
+    const delivery = await WebhookDelivery.findOne({ event: 'task.created' })
+    expect(delivery.payload.data.task.description).toBe('Hooked')
+})
+
+/**
+ * Description:
+ *      Webhooks can't be used to reach the server's own network (loopback, private and metadata addresses)
+ */
+test('Should not send webhooks to private addresses', async () => {
+    const webhook = await new Webhook({ url: `${receiverUrl}/hooks`, events: ['task.created'], owner: userOneId }).save()
+
+    process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'false'
+
+    try {
+        await request(app).post('/webhooks')
+            .send({ url: 'http://169.254.169.254/latest/meta-data', events: ['task.created'] })
+            .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+            .expect(400)
+
+        const delivery = await request(app).post(`/webhooks/${webhook._id}/test`)       // Saved before, checked again when sent
+            .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+            .expect(200)
+        expect(delivery.body.attempts[0].error).toBe('The URL points to a private network address')
+        expect(received.length).toBe(0)
+    } finally {
+        process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true'
+    }
+})
@@ -0,0 +1,142 @@
+/**
+ * This test class is used to test Workspaces, their members, invitations and Tasks.
+ * 
+ * It uses the 'jest' testing library in conjunction with the 'supertest' request testing library.
+ */
+
+const log = console.log
+
+/******* LIBRARIES **********/
+const request = require('supertest')                        // Get the nodeJS testing library
+const app = require('../src/app')                           // Get our server express app
+const jwt = require('jsonwebtoken')                         // Used for authentication
+const mongoose = require('mongoose')                        // Used to create our own Object Id
+const User = require('../src/models/user')                  // Tests will require User database
+const Task = require('../src/models/task')                  // Tests will require Task database
+const Workspace = require('../src/models/workspace')        // Tests will require Workspace database
+const Invitation = require('../src/models/invitation')      // Tests will require Invitation database
+
+jest.mock('../src/emails/account')                          // Don't send real emails
+
+/******* PROPERTIES **********/
+const userOneId = new mongoose.Types.ObjectId()
+const userTwoId = new mongoose.Types.ObjectId()
+
+const userOne = {
+    _id: userOneId,
+    name : 'Workspace Owner',
+    email : 'workspaceOwner@gmail.com',
+    password: 'nodejs!72',
+    tokens: [{
+        token: jwt.sign({_id: userOneId}, process.env.JWT_SECRET)
+    }]
+}
+
+const userTwo = {
+    _id: userTwoId,
+    name : 'Workspace Member',
+    email : 'workspaceMember@gmail.com',
+    password: 'nodejs!72',
+    emailVerified: true,
+    tokens: [{
+        token: jwt.sign({_id: userTwoId}, process.env.JWT_SECRET)
+    }]
+}
+
+const workspaceOne = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Team',
+    members: [{ user: userOneId, role: 'owner' }]
+}
+
+//Runs before each test case
+beforeEach(async () => {
+    await User.deleteMany()         // Clear the DB before any requests
+    await Task.deleteMany()
+    await Workspace.deleteMany()
+    await Invitation.deleteMany()
+
+    await new User(userOne).save()
+    await new User(userTwo).save()
+    await new Workspace(workspaceOne).save()
+})
+
+/**
+ * Description:
+ *      An invited User joins by accepting the invitation and can then use the Workspace's Tasks
+ */
+test('Should invite a member who can work on the tasks', async () => {
+    const invitation = await request(app).post(`/workspaces/${workspaceOne._id}/invitations`)
+        .send({ email: userTwo.email })
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(201)
+
+    await request(app).get(`/workspaces/${workspaceOne._id}/tasks`)
+        .set('Authorization', `Bearer ${userTwo.tokens[0].token}`)
+        .expect(404)                                            // Not a member yet
+
+    await request(app).post(`/invitations/${invitation.body._id}/accept`)
+        .set('Authorization', `Bearer ${userTwo.tokens[0].token}`)
+        .expect(200)
+
+    const task = await request(app).post(`/workspaces/${workspaceOne._id}/tasks`)
+        .send({ description: 'Team task', assignee: userOneId })
+        .set('Authorization', `Bearer ${userTwo.tokens[0].token}`)
+        .expect(201)
+
+    await request(app).patch(`/tasks/${task.body._id}`)
+        .send({ completed: true })
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+
+    const tasks = await request(app).get(`/workspaces/${workspaceOne._id}/tasks?assignee=me`)
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(200)
+    expect(tasks.body.length).toBe(1)
+})
+
+/**
+ * Description:
+ *      When a member deletes their account, the Tasks they created stay in the Workspace with the owner
+ */
+test('Should hand over the tasks of a member who deletes their account', async () => {
+    await Workspace.updateOne({ _id: workspaceOne._id }, { $push: { members: { user: userTwoId, role: 'member' } } })
+    const task = await new Task({ description: 'Keep me', workspace: workspaceOne._id, owner: userTwoId, assignee: userTwoId }).save()
+
+    await request(app).delete('/users/me')
+        .set('Authorization', `Bearer ${userTwo.tokens[0].token}`)
+        .expect(200)
+
+    const handedOver = await Task.findById(task._id)
+    expect(handedOver.owner).toEqual(userOneId)
+    expect(handedOver.assignee).toBeUndefined()
+
+    const workspace = await Workspace.findById(workspaceOne._id)
+    expect(workspace.members.length).toBe(1)
+})
+
+/**
+ * Description:
+ *      Tasks can't be put in a Workspace through POST /tasks
+ */
+test('Should not create workspace tasks through POST /tasks', async () => {
+    const response = await request(app).post('/tasks')
+        .send({ description: 'Sneaky', workspace: workspaceOne._id })
+        .set('Authorization', `Bearer ${userTwo.tokens[0].token}`)
+        .expect(400)
+    expect(response.body.error.details[0].field).toBe('workspace')
+    expect(await Task.countDocuments({ description: 'Sneaky' })).toBe(0)
+})
+
+/**
+ * Description:
+ *      Workspace Tasks are checked like the ones created through POST /tasks
+ */
+test('Should validate new workspace tasks', async () => {
+    const response = await request(app).post(`/workspaces/${workspaceOne._id}/tasks`)
+        .send({ description: 'Sneaky', owner: userTwoId })
+        .set('Authorization', `Bearer ${userOne.tokens[0].token}`)
+        .expect(400)
+    expect(response.body.error.details[0].field).toBe('owner')
+    expect(await Task.countDocuments({ description: 'Sneaky' })).toBe(0)
+})